@@ -0,0 +1,140 @@
+/**
+ * Admin panel
+ * Serves the built-in control panel at /admin and the session-protected
+ * endpoints behind it: status of every channel plus skip, pause/resume
+ * Auto DJ and forced fallback.
+ *
+ * Log in with an admin key; the panel then uses a session cookie.
+ */
+
+import express from 'express';
+import { fileURLToPath } from 'url';
+import { SESSION_COOKIE, readCookie, requireSession } from './auth.js';
+
+const PAGES_DIR = fileURLToPath(new URL('./admin/', import.meta.url));
+
+function sessionCookie(req, value, maxAge) {
+  return [
+    `${SESSION_COOKIE}=${encodeURIComponent(value)}`,
+    'Path=/admin',
+    'HttpOnly',
+    'SameSite=Strict',
+    `Max-Age=${Math.floor(maxAge / 1000)}`,
+    ...(req.secure ? ['Secure'] : [])
+  ].join('; ');
+}
+
+export function createAdminRouter({ sessions, channels, listenerStats, signer }) {
+  const router = express.Router();
+  const auth = requireSession(sessions);
+
+  // Panel pages - the dashboard itself only for logged-in browsers
+  router.get('/admin', (req, res) => {
+    if (!sessions.get(readCookie(req, SESSION_COOKIE))) {
+      return res.redirect('/admin/login');
+    }
+    res.setHeader('Cache-Control', 'no-store');
+    res.sendFile('index.html', { root: PAGES_DIR });
+  });
+
+  router.get('/admin/login', (req, res) => {
+    res.sendFile('login.html', { root: PAGES_DIR });
+  });
+
+  router.post('/admin/login', (req, res) => {
+    const key = req.body && typeof req.body.key === 'string' ? req.body.key.trim() : '';
+    const result = sessions.login(key);
+    if (result.error === 'invalid') {
+      console.warn(`🚫 [AUTH] Admin panel login failed from ${req.ip}`);
+      return res.status(401).json({ error: 'Invalid key' });
+    }
+    if (result.error === 'forbidden') {
+      return res.status(403).json({ error: `Key role "${result.identity.role}" cannot manage` });
+    }
+    res.setHeader('Set-Cookie', sessionCookie(req, result.token, sessions.ttl));
+    res.json({ role: result.identity.role, label: result.identity.label, expiresAt: new Date(result.expiresAt).toISOString() });
+  });
+
+  router.post('/admin/logout', (req, res) => {
+    sessions.logout(readCookie(req, SESSION_COOKIE));
+    res.setHeader('Set-Cookie', sessionCookie(req, '', 0));
+    res.json({ ok: true });
+  });
+
+  router.use('/admin/api', auth);
+
+  router.get('/admin/api/status', (req, res) => {
+    const listeners = listenerStats.getStats().current.channels;
+    // Signed channels' previews get URLs that last as long as a session
+    const expires = Math.floor((Date.now() + sessions.ttl) / 1000);
+    res.json({
+      user: { role: req.auth.role, label: req.auth.label },
+      channels: [...channels.values()].map((channel) => {
+        const status = channel.getStatus();
+        const preview = (file) => {
+          const url = `/channels/${channel.id}/${file}`;
+          return channel.access === 'signed' ? signer.signUrl(url, expires) : url;
+        };
+        return {
+          id: channel.id,
+          name: channel.name,
+          streaming: status.streaming,
+          source: status.source,
+          live: status.live,
+          onAir: status.onAir.state,
+          fallbackForced: channel.fallbackForced,
+          deadAir: status.deadAir.deadAir,
+          recording: status.recording,
+          listeners: listeners[channel.id] || 0,
+          nowPlaying: status.nowPlaying,
+          autoDJ: { ...channel.autoDJ.getNowPlaying(), paused: channel.autoDJPaused },
+          preview: {
+            streams: Object.keys(channel.icecastStreams).map(format => preview(`stream.${format}`)),
+            hls: preview('live.m3u8')
+          }
+        };
+      })
+    });
+  });
+
+  // Controls act on one channel
+  const control = (action) => async (req, res) => {
+    const channel = channels.get(req.params.id);
+    if (!channel) {
+      return res.status(404).json({ error: 'Channel not found' });
+    }
+    try {
+      const error = await action(channel, req);
+      if (error) {
+        return res.status(409).json({ error });
+      }
+      res.json(channel.getStatus());
+    } catch (err) {
+      console.error(`❌ [ADMIN] Error on ${req.path}:`, err);
+      res.status(500).json({ error: 'Action failed' });
+    }
+  };
+
+  router.post('/admin/api/channels/:id/skip', control(async (channel) => {
+    console.log(`⏭️ [ADMIN] Skip requested on ${channel.id}`);
+    return await channel.autoDJ.skip() ? null : 'Auto DJ is not on air';
+  }));
+
+  router.post('/admin/api/channels/:id/autodj/pause', control(async (channel) => {
+    await channel.pauseAutoDJ();
+  }));
+
+  router.post('/admin/api/channels/:id/autodj/resume', control(async (channel) => {
+    await channel.resumeAutoDJ();
+  }));
+
+  router.post('/admin/api/channels/:id/fallback', control(async (channel, req) => {
+    const active = !(req.body && req.body.active === false);
+    if (!channel.onAir.isLive()) {
+      return 'No live show on air';
+    }
+    return await channel.forceFallback(active) ? null : 'Fallback audio could not be started';
+  }));
+
+  return router;
+}
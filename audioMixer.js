@@ -0,0 +1,300 @@
+/**
+ * Audio Mixer
+ * PCM mixing bus in front of the HLS encoder
+ *
+ * Every source (Auto DJ, live, music bed, ...) writes f32le PCM into its own
+ * queue. A real-time clock pulls the same number of samples from each one,
+ * applies its gain (with timed fades), ducks music under the host's voice and
+ * sums everything into a single feed for FFmpeg. Sources that fall behind
+ * just contribute silence, so the output never stops.
+ */
+
+import { EventEmitter } from 'events';
+
+const SAMPLE_RATE = 48000;
+const CHANNELS = 2;
+const BYTES_PER_SAMPLE = 4;  // f32le
+const TICK_MS = 20;
+
+export function dbToGain(db) {
+  return db <= -90 ? 0 : Math.pow(10, db / 20);
+}
+
+export function gainToDb(gain) {
+  return gain > 0 ? 20 * Math.log10(gain) : -Infinity;
+}
+
+/**
+ * Per-source sample queue with a small jitter buffer
+ */
+class MixerSource {
+  constructor(name, { gain = 1, duck = false } = {}) {
+    this.name = name;
+    this.chunks = [];        // Float32Array chunks waiting to be mixed
+    this.length = 0;         // Samples queued
+    this.primed = false;     // Jitter buffer filled - source is being mixed
+    this.gain = gain;        // Current gain (linear)
+    this.target = gain;      // Gain we're fading towards
+    this.step = 0;           // Gain change per sample while fading
+    this.duck = duck;        // Ducked under the voice source
+    this.level = -Infinity;  // dBFS of the last block mixed
+  }
+
+  push(samples, maxSamples) {
+    this.chunks.push(samples);
+    this.length += samples.length;
+    // Too far behind real time - drop the oldest audio rather than drift
+    while (this.length > maxSamples && this.chunks.length > 1) {
+      this.length -= this.chunks.shift().length;
+    }
+  }
+
+  /**
+   * Copy up to `count` samples into `out`, returning how many were available
+   */
+  read(out, count) {
+    let filled = 0;
+    while (filled < count && this.chunks.length > 0) {
+      const chunk = this.chunks[0];
+      const take = Math.min(chunk.length, count - filled);
+      out.set(chunk.subarray(0, take), filled);
+      filled += take;
+      if (take === chunk.length) {
+        this.chunks.shift();
+      } else {
+        this.chunks[0] = chunk.subarray(take);
+      }
+    }
+    this.length -= filled;
+    return filled;
+  }
+
+  clear() {
+    this.chunks = [];
+    this.length = 0;
+    this.primed = false;
+  }
+}
+
+export class AudioMixer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.jitter = parseFloat(options.jitter ?? process.env.MIXER_JITTER_MS ?? '250') / 1000;           // Seconds buffered before a source is mixed
+    this.maxLatency = parseFloat(options.maxLatency ?? process.env.MIXER_MAX_LATENCY_MS ?? '2000') / 1000;  // Seconds queued before dropping old audio
+    this.fadeTime = parseFloat(options.fade ?? process.env.MIXER_FADE ?? '2');                          // Default fade length (seconds)
+
+    // Ducking: music sources drop by duckDb while the voice source is above the threshold
+    this.voice = options.voice || 'live';
+    this.duckDb = parseFloat(options.duckDb ?? process.env.MIXER_DUCK_DB ?? '-12');
+    this.duckThreshold = parseFloat(options.duckThreshold ?? process.env.MIXER_DUCK_THRESHOLD ?? '-40');
+    this.duckAttack = parseFloat(options.duckAttack ?? process.env.MIXER_DUCK_ATTACK ?? '0.1');        // Seconds to duck down
+    this.duckRelease = parseFloat(options.duckRelease ?? process.env.MIXER_DUCK_RELEASE ?? '0.8');     // Seconds to come back up
+    this.duckHold = parseFloat(options.duckHold ?? process.env.MIXER_DUCK_HOLD ?? '0.5');              // Pause in speech before releasing
+    this.duckGain = 1;          // Current ducking gain applied to music sources
+    this.lastVoiceAt = 0;
+
+    this.sources = new Map();   // name -> MixerSource
+    this.output = null;         // (Buffer) => void
+    this.timer = null;
+    this.startedAt = 0;
+    this.framesOut = 0;
+  }
+
+  /**
+   * Register a source (or update its settings). Gains are linear.
+   */
+  addSource(name, settings = {}) {
+    let source = this.sources.get(name);
+    if (!source) {
+      source = new MixerSource(name, settings);
+      this.sources.set(name, source);
+    } else if (settings.duck !== undefined) {
+      source.duck = settings.duck;
+    }
+    return source;
+  }
+
+  source(name) {
+    return this.sources.get(name) || this.addSource(name);
+  }
+
+  /**
+   * Queue PCM (f32le Buffer) from a source
+   */
+  write(name, buffer) {
+    const source = this.source(name);
+    const count = Math.floor(buffer.length / BYTES_PER_SAMPLE);
+    if (count === 0) {
+      return;
+    }
+    // Copy into an aligned array - socket/pipe buffers can start at any offset
+    const samples = new Float32Array(count);
+    if (buffer.byteOffset % BYTES_PER_SAMPLE === 0) {
+      samples.set(new Float32Array(buffer.buffer, buffer.byteOffset, count));
+    } else {
+      for (let i = 0; i < count; i++) {
+        samples[i] = buffer.readFloatLE(i * BYTES_PER_SAMPLE);
+      }
+    }
+    source.push(samples, Math.round(this.maxLatency * SAMPLE_RATE * CHANNELS));
+  }
+
+  /**
+   * Set a source's gain, fading over `seconds` (0 = immediately)
+   */
+  setGain(name, gain, seconds = 0) {
+    const source = this.source(name);
+    source.target = Math.max(0, gain);
+    if (seconds > 0) {
+      source.step = Math.abs(source.target - source.gain) / (seconds * SAMPLE_RATE);
+    } else {
+      source.gain = source.target;
+      source.step = 0;
+    }
+  }
+
+  fadeIn(name, seconds = this.fadeTime, gain = 1) {
+    this.setGain(name, gain, seconds);
+  }
+
+  fadeOut(name, seconds = this.fadeTime) {
+    this.setGain(name, 0, seconds);
+  }
+
+  /**
+   * Throw away whatever a source has queued (e.g. a stopped decoder's tail)
+   */
+  flush(name) {
+    const source = this.sources.get(name);
+    if (source) {
+      source.clear();
+    }
+  }
+
+  start(output) {
+    this.output = output;
+    this.startedAt = Date.now();
+    this.framesOut = 0;
+    if (!this.timer) {
+      this.timer = setInterval(() => this.tick(), TICK_MS);
+    }
+    console.log(`🎛️ [MIXER] Mixing bus running (${Math.round(this.jitter * 1000)}ms jitter buffer, duck ${this.duckDb} dB)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    for (const source of this.sources.values()) {
+      source.clear();
+    }
+  }
+
+  tick() {
+    const now = Date.now();
+    let frames = Math.floor((now - this.startedAt) * SAMPLE_RATE / 1000) - this.framesOut;
+    if (frames > SAMPLE_RATE) {
+      // Event loop stalled for over a second - skip ahead instead of bursting
+      console.warn(`⚠️ [MIXER] Fell ${(frames / SAMPLE_RATE).toFixed(1)}s behind - skipping ahead`);
+      this.framesOut += frames - Math.round(TICK_MS * SAMPLE_RATE / 1000);
+      frames = Math.round(TICK_MS * SAMPLE_RATE / 1000);
+    }
+    if (frames <= 0) {
+      return;
+    }
+    this.framesOut += frames;
+    const block = this.mix(frames);
+    if (this.output) {
+      this.output(Buffer.from(block.buffer, block.byteOffset, block.byteLength));
+    }
+  }
+
+  /**
+   * Mix `frames` frames from every source
+   */
+  mix(frames) {
+    const count = frames * CHANNELS;
+    const out = new Float32Array(count);
+    const scratch = new Float32Array(count);
+    const jitterSamples = this.jitter * SAMPLE_RATE * CHANNELS;
+
+    // Voice level decides the ducking gain for this block
+    const voice = this.sources.get(this.voice);
+    const voiceActive = voice && voice.primed && voice.target > 0 && voice.level > this.duckThreshold;
+    const now = Date.now();
+    if (voiceActive) {
+      this.lastVoiceAt = now;
+    }
+    const duckTarget = now - this.lastVoiceAt < this.duckHold * 1000 ? dbToGain(this.duckDb) : 1;
+    const duckTime = duckTarget < this.duckGain ? this.duckAttack : this.duckRelease;
+    const duckStep = duckTime > 0 ? (1 - dbToGain(this.duckDb)) / (duckTime * SAMPLE_RATE) : 1;
+    const duckStart = this.duckGain;
+
+    for (const source of this.sources.values()) {
+      if (!source.primed) {
+        if (source.length < jitterSamples) {
+          source.level = -Infinity;
+          continue;
+        }
+        source.primed = true;
+      }
+      const available = source.read(scratch, count);
+      if (available < count) {
+        scratch.fill(0, available);
+        source.primed = false;  // Underrun - rebuild the jitter buffer
+      }
+
+      let sum = 0;
+      let gain = source.gain;
+      let duck = duckStart;
+      for (let i = 0; i < count; i += CHANNELS) {
+        if (gain !== source.target) {
+          gain = gain < source.target ? Math.min(source.target, gain + source.step) : Math.max(source.target, gain - source.step);
+        }
+        if (source.duck && duck !== duckTarget) {
+          duck = duck < duckTarget ? Math.min(duckTarget, duck + duckStep) : Math.max(duckTarget, duck - duckStep);
+        }
+        const g = source.duck ? gain * duck : gain;
+        for (let c = 0; c < CHANNELS; c++) {
+          const sample = scratch[i + c];
+          sum += sample * sample;
+          out[i + c] += sample * g;
+        }
+      }
+      source.gain = gain;
+      source.level = available > 0 ? gainToDb(Math.sqrt(sum / count)) : -Infinity;
+    }
+
+    // Advance the ducking envelope once per block (same ramp every ducked source used)
+    let duck = duckStart;
+    for (let i = 0; i < frames && duck !== duckTarget; i++) {
+      duck = duck < duckTarget ? Math.min(duckTarget, duck + duckStep) : Math.max(duckTarget, duck - duckStep);
+    }
+    this.duckGain = duck;
+
+    // Hard clip - overlapping sources can sum past full scale
+    for (let i = 0; i < count; i++) {
+      if (out[i] > 1) {
+        out[i] = 1;
+      } else if (out[i] < -1) {
+        out[i] = -1;
+      }
+    }
+    return out;
+  }
+
+  getStatus() {
+    const sources = {};
+    for (const [name, source] of this.sources) {
+      sources[name] = {
+        gainDb: Number.isFinite(gainToDb(source.gain)) ? Math.round(gainToDb(source.gain) * 10) / 10 : null,
+        fading: source.gain !== source.target,
+        bufferedMs: Math.round(source.length / (SAMPLE_RATE * CHANNELS) * 1000),
+        levelDb: Number.isFinite(source.level) ? Math.round(source.level) : null,
+        ducked: source.duck && this.duckGain < 1
+      };
+    }
+    return { sources, duckGainDb: Math.round(gainToDb(this.duckGain) * 10) / 10 };
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * Output Processing Chain
+ * FFmpeg filters applied to the mixed feed before it is encoded
+ *
+ * compressor (optional) -> EBU R128 loudness normalization -> true-peak limiter
+ */
+
+function flag(value, fallback) {
+  return String(value ?? fallback) !== 'false';
+}
+
+function number(value, fallback) {
+  const parsed = parseFloat(value ?? fallback);
+  return Number.isNaN(parsed) ? parseFloat(fallback) : parsed;
+}
+
+/**
+ * Processing settings from options, falling back to the environment
+ */
+export function parseProcessing(options = {}) {
+  const env = process.env;
+  return {
+    loudness: {
+      enabled: flag(options.loudnorm ?? env.AUDIO_LOUDNORM, 'true'),
+      target: number(options.targetLufs ?? env.AUDIO_TARGET_LUFS, '-16'),      // Integrated loudness (LUFS)
+      truePeak: number(options.truePeak ?? env.AUDIO_TRUE_PEAK, '-1.5'),       // dBTP
+      range: number(options.lra ?? env.AUDIO_LRA, '11')                        // Loudness range (LU)
+    },
+    compressor: {
+      enabled: flag(options.compressor ?? env.AUDIO_COMPRESSOR, 'false'),
+      threshold: number(options.compThreshold ?? env.AUDIO_COMP_THRESHOLD, '-18'),  // dBFS
+      ratio: number(options.compRatio ?? env.AUDIO_COMP_RATIO, '3'),
+      attack: number(options.compAttack ?? env.AUDIO_COMP_ATTACK, '20'),            // ms
+      release: number(options.compRelease ?? env.AUDIO_COMP_RELEASE, '250')         // ms
+    },
+    limiter: {
+      enabled: flag(options.limiter ?? env.AUDIO_LIMITER, 'true'),
+      ceiling: number(options.limitDb ?? env.AUDIO_LIMIT_DB, '-1')                  // dBFS
+    }
+  };
+}
+
+/**
+ * FFmpeg filter chain for the settings ('anull' when everything is off)
+ */
+export function buildFilterChain(processing) {
+  const { loudness, compressor, limiter } = processing;
+  const filters = [];
+  if (compressor.enabled) {
+    filters.push(`acompressor=threshold=${compressor.threshold}dB:ratio=${compressor.ratio}:attack=${compressor.attack}:release=${compressor.release}`);
+  }
+  if (loudness.enabled) {
+    // Single-pass (dynamic) loudnorm works on a live feed; it upsamples internally
+    filters.push(`loudnorm=I=${loudness.target}:TP=${loudness.truePeak}:LRA=${loudness.range}`);
+    filters.push('aresample=48000');
+  }
+  if (limiter.enabled) {
+    const limit = Math.pow(10, limiter.ceiling / 20).toFixed(4);
+    filters.push(`alimiter=limit=${limit}:attack=5:release=50:level=disabled`);
+  }
+  return filters.length > 0 ? filters.join(',') : 'anull';
+}
+
+export function describeProcessing(processing) {
+  const { loudness, compressor, limiter } = processing;
+  const parts = [];
+  if (compressor.enabled) {
+    parts.push(`compressor ${compressor.ratio}:1 @ ${compressor.threshold} dB`);
+  }
+  if (loudness.enabled) {
+    parts.push(`loudness ${loudness.target} LUFS`);
+  }
+  if (limiter.enabled) {
+    parts.push(`limiter ${limiter.ceiling} dB`);
+  }
+  return parts.length > 0 ? parts.join(', ') : 'off';
+}
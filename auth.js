@@ -0,0 +1,336 @@
+/**
+ * API authentication
+ * Role-based API keys for the management API and Socket.IO ingest
+ *
+ * Keys live in $DATA_DIR/api-keys.json (only a SHA-256 hash of each key is
+ * stored) and can be created/revoked through the API or by editing the file,
+ * so they can be rotated without a redeploy. Keys from the environment
+ * (API_KEY, BROADCASTER_KEY, CONTROL_KEY, PLAYER_KEY) are always accepted as well.
+ * The admin panel logs in with an admin key and then uses a session cookie.
+ */
+
+import { EventEmitter } from 'events';
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { promises as fs, watchFile, unwatchFile } from 'fs';
+import path from 'path';
+
+// What each role is allowed to do
+export const PERMISSIONS = {
+  admin: ['live-audio', 'live-start', 'live-stop', 'bed', 'manage', 'sign'],
+  broadcaster: ['live-audio', 'live-start', 'live-stop', 'bed'],
+  control: ['live-start', 'live-stop', 'bed'],
+  player: ['sign']   // App backends handing out signed stream URLs
+};
+
+export const ROLES = Object.keys(PERMISSIONS);
+
+const ENV_KEYS = {
+  API_KEY: 'admin',
+  BROADCASTER_KEY: 'broadcaster',
+  CONTROL_KEY: 'control',
+  PLAYER_KEY: 'player'
+};
+
+const KEY_HASH = /^[0-9a-f]{64}$/i;  // Stored keys: hex SHA-256 (any case - tools differ)
+
+function hashKey(key) {
+  return createHash('sha256').update(key).digest();
+}
+
+/**
+ * What's wrong with a key read from api-keys.json (e.g. hand-edited), or null
+ */
+function keyProblem(entry) {
+  if (!entry) {
+    return 'empty entry';
+  }
+  if (!ROLES.includes(entry.role)) {
+    return `unknown role "${entry.role}"`;
+  }
+  if (typeof entry.hash !== 'string' || !KEY_HASH.test(entry.hash)) {
+    return 'hash is not a hex SHA-256';
+  }
+  return null;
+}
+
+export function can(role, action) {
+  return Boolean(PERMISSIONS[role] && PERMISSIONS[role].includes(action));
+}
+
+/**
+ * Pull the key from `Authorization: Bearer <key>` or `X-API-Key: <key>`
+ */
+export function extractApiKey(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  return req.headers['x-api-key'] || null;
+}
+
+export class ApiKeyStore extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.dataDir = options.dataDir || process.env.DATA_DIR || './data';
+    this.filePath = path.join(this.dataDir, 'api-keys.json');
+    this.keys = [];   // { id, label, role, hash, createdAt }
+    this.writeQueue = Promise.resolve();
+    this.lastWriteMtime = 0;  // So the watcher ignores our own saves
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      const entries = Array.isArray(data.keys) ? data.keys : [];
+      this.keys = [];
+      for (const entry of entries) {
+        const problem = keyProblem(entry);
+        if (problem) {
+          console.warn(`⚠️ [AUTH] Ignoring key ${entry && entry.id ? entry.id : '(no id)'} in ${this.filePath}: ${problem}`);
+          continue;
+        }
+        this.keys.push({ ...entry, hash: entry.hash.toLowerCase() });
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ [AUTH] Failed to read ${this.filePath}:`, error.message);
+      }
+      this.keys = [];
+    }
+    console.log(`🔑 [AUTH] ${this.keys.length} stored key(s), ${this.envKeys().length} from environment`);
+    return this.keys;
+  }
+
+  /**
+   * Reload the key file when it's edited on disk (e.g. rotated by ops)
+   */
+  watch(intervalMs = 5000) {
+    watchFile(this.filePath, { interval: intervalMs }, async (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs || curr.mtimeMs === this.lastWriteMtime) {
+        return;
+      }
+      console.log('🔑 [AUTH] Key file changed on disk - reloading');
+      await this.load();
+      this.emit('change');
+    });
+  }
+
+  unwatch() {
+    unwatchFile(this.filePath);
+  }
+
+  save() {
+    const snapshot = JSON.stringify({
+      keys: this.keys.map(entry => ({ ...entry }))
+    }, null, 2);
+    this.writeQueue = this.writeQueue.then(async () => {
+      await fs.mkdir(this.dataDir, { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tmpPath, snapshot, { mode: 0o600 });
+      await fs.rename(tmpPath, this.filePath);
+      this.lastWriteMtime = (await fs.stat(this.filePath)).mtimeMs;
+    }).catch((error) => {
+      console.error('❌ [AUTH] Failed to save keys:', error);
+    });
+    return this.writeQueue;
+  }
+
+  envKeys() {
+    return Object.entries(ENV_KEYS)
+      .filter(([name]) => process.env[name])
+      .map(([name, role]) => ({ id: `env:${name}`, label: name, role, hash: hashKey(process.env[name]).toString('hex') }));
+  }
+
+  list() {
+    return this.keys.map(({ hash, ...entry }) => entry);
+  }
+
+  /**
+   * Create a new key. The plaintext key is only ever returned here.
+   */
+  async create(role, label = '') {
+    const key = `ark_${randomBytes(24).toString('base64url')}`;
+    const entry = {
+      id: randomUUID(),
+      label,
+      role,
+      hash: hashKey(key).toString('hex'),
+      createdAt: new Date().toISOString()
+    };
+    this.keys.push(entry);
+    await this.save();
+    this.emit('change');
+    console.log(`🔑 [AUTH] Created ${role} key ${entry.id}${label ? ` (${label})` : ''}`);
+    const { hash, ...summary } = entry;
+    return { ...summary, key };
+  }
+
+  async revoke(id) {
+    const entry = this.keys.find(k => k.id === id);
+    if (!entry) {
+      return null;
+    }
+    this.keys = this.keys.filter(k => k.id !== id);
+    await this.save();
+    this.emit('change');
+    console.log(`🔑 [AUTH] Revoked key ${id}`);
+    const { hash, ...summary } = entry;
+    return summary;
+  }
+
+  /**
+   * Look up a presented key. Returns { id, label, role } or null.
+   */
+  authenticate(key) {
+    if (!key || typeof key !== 'string') {
+      return null;
+    }
+    const presented = hashKey(key);
+    for (const entry of [...this.envKeys(), ...this.keys]) {
+      const stored = Buffer.from(entry.hash, 'hex');
+      if (stored.length === presented.length && timingSafeEqual(presented, stored)) {
+        return { id: entry.id, label: entry.label, role: entry.role };
+      }
+    }
+    return null;
+  }
+
+  has(id) {
+    return this.envKeys().some(k => k.id === id) || this.keys.some(k => k.id === id);
+  }
+}
+
+/**
+ * Express middleware factory - rejects requests whose key lacks the permission
+ */
+export function requirePermission(keyStore, action = 'manage') {
+  return (req, res, next) => {
+    const identity = keyStore.authenticate(extractApiKey(req));
+    if (!identity) {
+      console.warn(`🚫 [AUTH] Rejected ${req.method} ${req.originalUrl} from ${req.ip} - invalid or missing key`);
+      return res.status(401).json({ error: 'Invalid or missing API key' });
+    }
+    if (!can(identity.role, action)) {
+      console.warn(`🚫 [AUTH] Rejected ${req.method} ${req.originalUrl} - ${identity.role} key ${identity.id} lacks "${action}"`);
+      return res.status(403).json({ error: `Key role "${identity.role}" cannot ${action}` });
+    }
+    req.auth = identity;
+    next();
+  };
+}
+
+/**
+ * Socket.IO middleware - authenticates the handshake.
+ * Clients pass the key as `io(url, { auth: { token } })` (or a Bearer header).
+ */
+export function createSocketAuth(keyStore) {
+  return (socket, next) => {
+    const { auth = {}, headers = {}, address } = socket.handshake;
+    const header = headers.authorization || '';
+    const key = auth.token || auth.key || (header.startsWith('Bearer ') ? header.slice(7).trim() : null);
+
+    const identity = keyStore.authenticate(key);
+    if (!identity) {
+      console.warn(`🚫 [AUTH] Rejected socket ${socket.id} from ${address} - ${key ? 'invalid' : 'missing'} key`);
+      return next(new Error('unauthorized'));
+    }
+
+    socket.data.auth = identity;
+    next();
+  };
+}
+
+export const SESSION_COOKIE = 'audioroad_admin';
+
+/**
+ * Read one cookie from the request (no cookie-parser needed for a single value)
+ */
+export function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0 && part.slice(0, index).trim() === name) {
+      return decodeURIComponent(part.slice(index + 1).trim());
+    }
+  }
+  return null;
+}
+
+/**
+ * Admin panel logins. The browser signs in once with an admin key and gets
+ * a random session token (HttpOnly cookie) instead of keeping the key around.
+ * Sessions are in memory only, so a restart logs everyone out.
+ */
+export class SessionStore {
+  constructor(keyStore, options = {}) {
+    this.keyStore = keyStore;
+    this.ttl = parseFloat(options.ttlHours ?? process.env.ADMIN_SESSION_HOURS ?? '12') * 3600 * 1000;
+    this.sessions = new Map();  // sha256(token) hex -> { identity, expiresAt }
+  }
+
+  /**
+   * Start a session for an admin key. Returns { token, identity, expiresAt },
+   * { error: 'invalid' } or { error: 'forbidden' }
+   */
+  login(key) {
+    const identity = this.keyStore.authenticate(key);
+    if (!identity) {
+      return { error: 'invalid' };
+    }
+    if (!can(identity.role, 'manage')) {
+      return { error: 'forbidden', identity };
+    }
+    this.sweep();
+    const token = randomBytes(32).toString('base64url');
+    const expiresAt = Date.now() + this.ttl;
+    this.sessions.set(hashKey(token).toString('hex'), { identity, expiresAt });
+    console.log(`🔐 [AUTH] Admin panel login with ${identity.role} key ${identity.id}`);
+    return { token, identity, expiresAt };
+  }
+
+  /**
+   * Identity for a session token, or null if unknown, expired or its key was revoked
+   */
+  get(token) {
+    if (!token) {
+      return null;
+    }
+    const id = hashKey(token).toString('hex');
+    const session = this.sessions.get(id);
+    if (!session) {
+      return null;
+    }
+    if (session.expiresAt <= Date.now() || !this.keyStore.has(session.identity.id)) {
+      this.sessions.delete(id);
+      return null;
+    }
+    return session.identity;
+  }
+
+  logout(token) {
+    if (token) {
+      this.sessions.delete(hashKey(token).toString('hex'));
+    }
+  }
+
+  sweep(now = Date.now()) {
+    for (const [id, session] of this.sessions) {
+      if (session.expiresAt <= now) {
+        this.sessions.delete(id);
+      }
+    }
+  }
+}
+
+/**
+ * Express middleware - requires a logged-in admin panel session
+ */
+export function requireSession(sessions) {
+  return (req, res, next) => {
+    const identity = sessions.get(readCookie(req, SESSION_COOKIE));
+    if (!identity) {
+      return res.status(401).json({ error: 'Not logged in' });
+    }
+    req.auth = identity;
+    next();
+  };
+}
@@ -1,73 +1,384 @@
 /**
  * Auto DJ Service
  * Plays audio files when no live broadcast
+ *
+ * Rotates through the whole playlist (sequential, shuffle or weighted
+ * rotation) with an optional crossfade or gap between tracks.
+ *
+ * The current track, position and rotation are saved to a state file (when
+ * `statePath` is set) so a restart or redeploy picks up where it left off.
+ *
+ * Emits:
+ *   'track' (track, { resumed }) - a track started (or resumed) on air
+ *   'ended' (track)              - a track played to the end
+ *   'done'                       - `once` player got through its playlist
  */
 
 import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
 import axios from 'axios';
-import { promises as fs } from 'fs';
+import { createWriteStream, promises as fs } from 'fs';
+import { pipeline } from 'stream/promises';
 import path from 'path';
+import { ProcessSupervisor } from './processSupervisor.js';
 
-export class AutoDJ {
-  constructor(hlsServer) {
+// Decoder output format (must match what HLSServer expects)
+const SAMPLE_RATE = 48000;
+const CHANNELS = 2;
+const BYTES_PER_SAMPLE = 4;  // f32le
+const BYTES_PER_SECOND = SAMPLE_RATE * CHANNELS * BYTES_PER_SAMPLE;
+
+const MODES = ['sequential', 'shuffle', 'weighted'];
+const MAX_TRACK_FAILURES = 3;  // Decoder crashes on one track before skipping it
+const STATE_SAVE_INTERVAL = 5000;  // ms between position saves while playing
+const KILL_TIMEOUT_MS = 2000;      // Longest we wait for a killed decoder to exit
+
+function sameTrack(a, b) {
+  return Boolean(a && b && (a.id && b.id ? a.id === b.id : a.url === b.url));
+}
+
+/**
+ * Kill a decoder and wait until it has actually exited
+ */
+function killDecoder(decoder) {
+  if (decoder.exitCode !== null || decoder.signalCode !== null) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, KILL_TIMEOUT_MS);
+    decoder.once('exit', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    decoder.kill('SIGKILL');
+  });
+}
+
+export class AutoDJ extends EventEmitter {
+  constructor(hlsServer, options = {}) {
+    super();
     this.hlsServer = hlsServer;
     this.playing = false;
     this.ffmpeg = null;
     this.tempFile = null;          // Keep temp file for resume
     this.pausedAt = 0;             // Track pause position in seconds
-    this.startTime = null;         // Track when playback started
-    this.liveModeActive = false;   // CRITICAL: Block Auto DJ when live show is active
-    this.playlist = [
+    this.trackOffset = null;       // Position the running decoder started from (null when not decoding)
+    this.delivered = 0;            // Bytes of the current track handed to the mixer since then
+    this.liveModeActive = false;   // CRITICAL: Block Auto DJ when live show is active (set by the channel)
+    this.stopping = null;          // stop() in progress - start() waits for it
+    this.waitingForTracks = false; // Playlist ran out on air - start again when tracks are added
+    this.source = options.source || 'auto';  // Mixer input this player feeds
+    this.gainCache = options.gainCache || null;  // TrackGainCache for per-track loudness
+    this.library = options.library || null;      // MediaLibrary that fetches and caches track files
+
+    // Rotation settings
+    this.mode = options.mode || process.env.AUTODJ_MODE || 'sequential';
+    this.crossfade = parseFloat(options.crossfade ?? process.env.AUTODJ_CROSSFADE ?? '0');  // Seconds of overlap between tracks
+    this.gap = parseFloat(options.gap ?? process.env.AUTODJ_GAP ?? '2');                    // Seconds of silence when not crossfading
+    this.once = Boolean(options.once);  // Play the playlist through once, then stop (e.g. an ad break)
+
+    if (!MODES.includes(this.mode)) {
+      console.warn(`⚠️ [AUTO DJ] Unknown mode "${this.mode}" - falling back to sequential`);
+      this.mode = 'sequential';
+    }
+
+    // Rotation state
+    this.currentIndex = -1;        // Index into playlist of the current track
+    this.currentTrack = null;
+    this.upNext = null;            // { index, track, file } chosen ahead of the transition
+    this.shuffleOrder = [];        // Remaining indexes for the current shuffle pass
+    this.rotationWeights = [];     // Running weights for smooth weighted round-robin
+
+    // Crossfade state
+    this.incoming = null;          // { ffmpeg, track, index, file, received } while crossfading
+    this.crossfadeBuffer = Buffer.alloc(0);
+    this.crossfadePosition = 0;    // Samples mixed so far
+    this.crossfadeTimer = null;
+
+    this.programName = null;       // Scheduled programme currently loaded
+    this.downloads = new Set();    // Temp files we downloaded (safe to delete)
+
+    // Resume state that survives restarts
+    this.statePath = options.statePath || null;
+    this.stateWriteQueue = Promise.resolve();
+    this.lastStateSave = 0;
+
+    // Decoder crash recovery - a crashed track resumes where it stopped
+    this.supervisor = new ProcessSupervisor({ name: 'Auto DJ decoder' });
+    this.trackFailures = 0;        // Consecutive crashes on the current track
+
+    this.playlist = options.playlist || [
       {
         title: 'ROTC 9-23-25',
         url: 'https://destinationhealth-medical-docs-dev.s3.us-east-1.amazonaws.com/autodj/1761828187592-20250923 ROTC.m4a',
-        duration: 7117  // 1h 58m in seconds
+        duration: 7117,  // 1h 58m in seconds
+        weight: 1        // Only used in weighted mode
       }
     ];
   }
 
   async start() {
+    // Still shutting the last decoder down - don't race it
+    if (this.stopping) {
+      await this.stopping;
+    }
+
     // CRITICAL: Never start if live mode is active
     if (this.liveModeActive) {
       console.log('🚫 [AUTO DJ] BLOCKED - Live show is active, cannot start Auto DJ');
       return;
     }
-    
+
     if (this.playing) {
       console.log('⚠️ [AUTO DJ] Already playing - ignoring start request');
       return;
     }
-    
+
     if (this.ffmpeg && !this.ffmpeg.killed) {
       console.log('⚠️ [AUTO DJ] FFmpeg process still running - ignoring start request');
       return;
     }
-    
+
+    if (this.playlist.length === 0) {
+      console.log('⚠️ [AUTO DJ] Playlist is empty - nothing to play');
+      return;
+    }
+
     console.log('🎵 [AUTO DJ] Starting...');
-    console.log(`   Loaded ${this.playlist.length} track(s)`);
-    
+    console.log(`   Loaded ${this.playlist.length} track(s), mode: ${this.mode}, ${this.crossfade > 0 ? `crossfade: ${this.crossfade}s` : `gap: ${this.gap}s`}`);
+
     // Final check before marking as playing
     if (this.liveModeActive) {
       console.log('🚫 [AUTO DJ] Live mode activated during start - ABORTING');
       return;
     }
-    
+
     this.playing = true;
-    await this.playTrack(this.playlist[0]);
+
+    // Resume the paused (or restored) track if we have one, otherwise pick the first track
+    if (this.currentTrack && (this.tempFile || this.pausedAt > 0)) {
+      await this.playTrack(this.currentTrack);
+    } else {
+      await this.playNext();
+    }
+  }
+
+  async playNext() {
+    const next = this.takeNext();
+    if (!next.track) {
+      // Every track was removed - go quiet until some are added
+      console.log('⚠️ [AUTO DJ] Playlist is empty - waiting for tracks');
+      this.playing = false;
+      this.currentIndex = -1;
+      this.waitingForTracks = true;
+      return;
+    }
+    this.currentIndex = next.index;
+    const file = next.ready ? await next.ready : null;
+    await this.playTrack(next.track, file);
+  }
+
+  /**
+   * Pick the index of the track that should follow the current one.
+   * Advances the rotation state, so only call it once per transition.
+   */
+  pickNextIndex() {
+    const count = this.playlist.length;
+    if (count === 0) {
+      return -1;
+    }
+    if (count === 1) {
+      return 0;
+    }
+
+    if (this.mode === 'shuffle') {
+      if (this.shuffleOrder.length === 0) {
+        this.shuffleOrder = this.playlist.map((_, i) => i);
+        for (let i = count - 1; i > 0; i--) {
+          const j = Math.floor(Math.random() * (i + 1));
+          [this.shuffleOrder[i], this.shuffleOrder[j]] = [this.shuffleOrder[j], this.shuffleOrder[i]];
+        }
+        // Don't repeat the last track across a reshuffle boundary
+        if (this.shuffleOrder[0] === this.currentIndex) {
+          this.shuffleOrder.push(this.shuffleOrder.shift());
+        }
+      }
+      return this.shuffleOrder.shift();
+    }
+
+    if (this.mode === 'weighted') {
+      // Smooth weighted round-robin: heavier tracks air more often,
+      // but evenly spread out rather than back to back
+      if (this.rotationWeights.length !== count) {
+        this.rotationWeights = new Array(count).fill(0);
+      }
+      let total = 0;
+      let best = 0;
+      for (let i = 0; i < count; i++) {
+        const weight = Math.max(0, Number(this.playlist[i].weight ?? 1));
+        total += weight;
+        this.rotationWeights[i] += weight;
+        if (this.rotationWeights[i] > this.rotationWeights[best]) {
+          best = i;
+        }
+      }
+      this.rotationWeights[best] -= total;
+      return best;
+    }
+
+    return (this.currentIndex + 1) % count;
+  }
+
+  /**
+   * Reserve the next track (and start its download) ahead of the transition
+   */
+  prepareNext() {
+    if (!this.upNext) {
+      const index = this.pickNextIndex();
+      if (index < 0) {
+        return null;
+      }
+      const track = this.playlist[index];
+      this.upNext = { index, track, file: null };
+      this.upNext.ready = this.downloadTrack(track)
+        .then(async (file) => {
+          // Measure it while the current track plays so it starts at the right level
+          if (this.gainCache) {
+            await this.gainCache.analyze(track, file);
+          }
+          if (this.upNext && this.upNext.track === track) {
+            this.upNext.file = file;
+          }
+          return file;
+        })
+        .catch((error) => {
+          console.error(`❌ [AUTO DJ] Failed to prefetch "${track.title}":`, error.message);
+          return null;
+        });
+      console.log(`⏭️ [AUTO DJ] Up next: ${track.title}`);
+    }
+    return this.upNext;
+  }
+
+  /**
+   * Consume the reserved next track, picking one if nothing is reserved
+   */
+  takeNext() {
+    const next = this.upNext || { index: this.pickNextIndex(), file: null };
+    next.track = next.track || this.playlist[next.index];
+    this.upNext = null;
+    return next;
+  }
+
+  async downloadTrack(track) {
+    // The library fetches/transcodes once and serves later plays from its cache
+    if (this.library) {
+      return this.library.acquire(track);
+    }
+
+    // Local files (e.g. recordings) are played in place
+    if (track.file) {
+      return track.file;
+    }
+
+    console.log(`   Downloading "${track.title}"...`);
+    const response = await axios.get(track.url, {
+      responseType: 'stream',
+      timeout: 120000
+    });
+
+    const ext = path.extname(track.url.split('?')[0]) || '.m4a';
+    const file = `/tmp/autodj-${Date.now()}${ext}`;
+    this.downloads.add(file);
+    try {
+      await pipeline(response.data, createWriteStream(file));
+    } catch (error) {
+      await this.releaseFile(file);
+      throw error;
+    }
+    const { size } = await fs.stat(file);
+    console.log(`   ✓ Downloaded ${(size / 1024 / 1024).toFixed(1)} MB`);
+    return file;
   }
 
-  async playTrack(track) {
+  /**
+   * Done with a track file: hand it back to the library, or delete it if we
+   * downloaded it ourselves. Local files are never deleted.
+   */
+  async releaseFile(file) {
+    if (!file) {
+      return;
+    }
+    if (this.library) {
+      this.library.release(file);
+    } else if (this.downloads.delete(file)) {
+      await fs.unlink(file).catch(() => {});
+    }
+  }
+
+  /**
+   * Playback gain for a track in dB (manual `gain`, else the analysed ReplayGain)
+   */
+  trackGain(track) {
+    if (this.gainCache) {
+      return this.gainCache.gainFor(track);
+    }
+    return track.gain != null ? Number(track.gain) : 0;
+  }
+
+  spawnDecoder(file, offset = 0, gain = 0) {
+    const ffmpegArgs = [];
+
+    // If resuming, seek to the pause position BEFORE input
+    if (offset > 0) {
+      ffmpegArgs.push('-ss', offset.toString());  // Seek to position BEFORE -i
+      console.log(`   🎯 Seeking to ${offset}s in file`);
+    }
+
+    // CRITICAL: Use arealtime filter to pace output at real-time speed
+    ffmpegArgs.push(
+      '-i', file,
+      '-af', gain ? `volume=${gain}dB,arealtime` : 'arealtime',    // Pace audio at real-time (prevents 100x speed!)
+      '-f', 'f32le',
+      '-ar', SAMPLE_RATE.toString(),
+      '-ac', CHANNELS.toString(),
+      '-vn',
+      '-loglevel', 'error',
+      'pipe:1'
+    );
+
+    console.log(`🎬 [AUTO DJ] FFmpeg command: ffmpeg ${ffmpegArgs.join(' ')}`);
+
+    const decoder = spawn('ffmpeg', ffmpegArgs);
+
+    decoder.on('error', (error) => {
+      console.error('❌ [AUTO DJ] FFmpeg error:', error);
+    });
+
+    decoder.stderr.on('data', (data) => {
+      const msg = data.toString();
+      // Only log errors, not progress info
+      if (msg.includes('error') || msg.includes('Error')) {
+        decoder.lastError = msg.trim().substring(0, 200);
+        console.error(`❌ [AUTO DJ] FFmpeg stderr: ${msg.substring(0, 200)}`);
+      }
+    });
+
+    return decoder;
+  }
+
+  async playTrack(track, preparedFile = null) {
     // CRITICAL: Never play if live mode is active
     if (this.liveModeActive) {
       console.log('🚫 [AUTO DJ] BLOCKED - Live mode active, cannot play track');
       return;
     }
-    
+
     if (!this.playing) {
       console.log('⚠️ [AUTO DJ] Not in playing state - skipping playTrack');
       return;
     }
-    
+
     // CRITICAL: Check if FFmpeg is REALLY dead
     if (this.ffmpeg) {
       if (!this.ffmpeg.killed && this.ffmpeg.exitCode === null) {
@@ -77,177 +388,669 @@ export class AutoDJ {
     }
 
     console.log(`🎵 [AUTO DJ] Playing: ${track.title}`);
-    
+
     try {
       // Check if we have a paused file to resume from
-      if (this.tempFile && this.pausedAt > 0) {
+      if (this.tempFile && this.currentTrack === track) {
         console.log(`   ⏩ Resuming from ${Math.floor(this.pausedAt / 60)}m ${Math.floor(this.pausedAt % 60)}s`);
         console.log(`   Using existing temp file: ${this.tempFile}`);
       } else {
-        // Download file fresh
-        console.log('   Downloading file...');
-        const response = await axios.get(track.url, {
-          responseType: 'arraybuffer',
-          timeout: 120000
-        });
+        // Previous track's file is no longer needed
+        if (this.tempFile) {
+          await this.releaseFile(this.tempFile);
+        }
+        this.tempFile = preparedFile || await this.downloadTrack(track);
+        // Starting from beginning - unless it's the restored track, fetched again
+        if (this.currentTrack !== track) {
+          this.pausedAt = 0;
+        }
+        this.trackFailures = 0;
+      }
+      this.currentTrack = track;
 
-        this.tempFile = `/tmp/autodj-${Date.now()}.m4a`;
-        await fs.writeFile(this.tempFile, Buffer.from(response.data));
-        console.log(`   ✓ Downloaded ${(response.data.byteLength / 1024 / 1024).toFixed(1)} MB`);
-        this.pausedAt = 0;  // Starting from beginning
+      // Live show may have started while we were downloading
+      if (!this.playing || this.liveModeActive) {
+        console.log('   Not starting playback - Auto DJ was stopped during download');
+        return;
       }
-      
+
       console.log('   Starting playback...');
 
-      // Play with FFmpeg - seek to resume position if paused
-      const ffmpegArgs = [];
-      
-      // If resuming, seek to the pause position BEFORE input
-      if (this.pausedAt > 0) {
-        ffmpegArgs.push('-ss', this.pausedAt.toString());  // Seek to position BEFORE -i
-        console.log(`   🎯 Seeking to ${this.pausedAt}s in file`);
-      }
-      
-      // CRITICAL: Use arealtime filter to pace output at real-time speed
-      ffmpegArgs.push(
-        '-i', this.tempFile,
-        '-af', 'arealtime',    // Pace audio at real-time (prevents 100x speed!)
-        '-f', 'f32le',
-        '-ar', '48000',
-        '-ac', '2',
-        '-vn',
-        '-loglevel', 'error',
-        'pipe:1'
-      );
-      
-      console.log(`🎬 [AUTO DJ] FFmpeg command: ffmpeg ${ffmpegArgs.join(' ')}`);
-      
       // Make ABSOLUTELY sure old FFmpeg is dead before starting new one
       if (this.ffmpeg) {
         console.log('⚠️ [AUTO DJ] Cleaning up old FFmpeg before starting new one...');
-        try {
-          this.ffmpeg.kill('SIGKILL');
-        } catch(e) {}
+        const old = this.ffmpeg;
+        this.ffmpeg = null;
+        await killDecoder(old);
+      }
+
+      // Play with FFmpeg - seek to resume position if paused
+      this.ffmpeg = this.spawnDecoder(this.tempFile, this.pausedAt, this.trackGain(track));
+      this.trackOffset = this.pausedAt;
+      this.delivered = 0;
+      this.supervisor.started();
+      this.attachDecoder(this.ffmpeg, track);
+      this.scheduleTransition(track);
+      this.emit('track', track, { resumed: this.pausedAt > 0 });
+      this.saveState();
+
+      // Not measured yet (e.g. the first track) - analyse for next time
+      if (this.gainCache && !this.gainCache.get(track)) {
+        this.gainCache.analyze(track, this.tempFile);
+      }
+
+    } catch (error) {
+      console.error('❌ [AUTO DJ] Error playing track:', error);
+      this.handleDecoderFailure(track, error.message);
+    }
+  }
+
+  /**
+   * Route a decoder's audio to the HLS server and handle its exit.
+   * Works for both the current decoder and an incoming (crossfading) one.
+   */
+  attachDecoder(decoder, track) {
+    // Pipe audio to HLS server - just pass through directly
+    // Let HLS FFmpeg handle buffering and timing
+    let chunkCount = 0;
+    let lastLog = Date.now();
+
+    decoder.stdout.on('data', (chunk) => {
+      // CRITICAL: Stop sending audio if live mode became active
+      if (!this.playing || this.liveModeActive) {
+        return;
+      }
+
+      // Incoming track during a crossfade - hold it for mixing
+      if (this.incoming && decoder === this.incoming.ffmpeg) {
+        this.crossfadeBuffer = Buffer.concat([this.crossfadeBuffer, chunk]);
+        this.incoming.received += chunk.length;
+        return;
+      }
+
+      if (decoder !== this.ffmpeg) {
+        return;  // Stale process
+      }
+
+      chunkCount++;
+
+      // Log progress every 30 seconds
+      const now = Date.now();
+      if (now - lastLog > 30000) {
+        const elapsed = this.position().toFixed(0);
+        console.log(`  🎵 [AUTO DJ] Playing... (${chunkCount} chunks, ${elapsed}s elapsed)`);
+        lastLog = now;
+      }
+
+      // Pass buffer to HLS server (mark as Auto DJ source)
+      this.hlsServer.processAudio(this.incoming ? this.mixCrossfade(chunk) : chunk, this.source);
+      this.delivered += chunk.length;
+
+      if (now - this.lastStateSave > STATE_SAVE_INTERVAL) {
+        this.saveState();
+      }
+    });
+
+    decoder.on('exit', async (code, signal) => {
+      console.log(`📴 [AUTO DJ] FFmpeg exited (code: ${code}, signal: ${signal}, chunks: ${chunkCount}, track: ${track.title})`);
+
+      // Incoming track died before the crossfade finished - drop it
+      if (this.incoming && decoder === this.incoming.ffmpeg) {
+        console.log('   Incoming track ended during crossfade - discarding');
+        this.clearCrossfade();
+        return;
+      }
+
+      if (decoder !== this.ffmpeg) {
+        return;  // Already replaced
+      }
+
+      // If killed by SIGKILL (stop() was called), don't restart
+      if (signal === 'SIGKILL') {
+        console.log('   ⏸️ Paused/killed - not restarting');
         this.ffmpeg = null;
-        await new Promise(resolve => setTimeout(resolve, 200));
-      }
-      
-      this.ffmpeg = spawn('ffmpeg', ffmpegArgs);
-      this.startTime = Date.now() - (this.pausedAt * 1000);  // Adjust for resume position
-
-      // Pipe audio to HLS server - just pass through directly
-      // Let HLS FFmpeg handle buffering and timing
-      let chunkCount = 0;
-      let lastLog = Date.now();
-      
-      this.ffmpeg.stdout.on('data', (chunk) => {
-        // CRITICAL: Stop sending audio if live mode became active
-        if (!this.playing || this.liveModeActive) {
+        return;
+      }
+
+      // If track finished naturally AND we're still supposed to be playing
+      if (code === 0 && this.playing && !this.liveModeActive) {
+        // Crossfade already under way - the incoming track takes over
+        if (this.incoming) {
+          this.promoteIncoming();
           return;
         }
-        
-        chunkCount++;
-        
-        // Log progress every 30 seconds
-        const now = Date.now();
-        if (now - lastLog > 30000) {
-          const elapsed = ((now - this.startTime) / 1000).toFixed(0);
-          console.log(`  🎵 [AUTO DJ] Playing... (${chunkCount} chunks, ${elapsed}s elapsed)`);
-          lastLog = now;
-        }
-        
-        // Pass buffer directly to HLS server (mark as Auto DJ source)
-        this.hlsServer.processAudio(chunk, 'auto');
-      });
 
-      this.ffmpeg.on('exit', async (code, signal) => {
-        console.log(`📴 [AUTO DJ] FFmpeg exited (code: ${code}, signal: ${signal}, chunks: ${chunkCount})`);
-        
-        // If killed by SIGKILL (stop() was called), don't restart
-        if (signal === 'SIGKILL' || code === null) {
-          console.log('   ⏸️ Paused/killed - not restarting');
-          this.ffmpeg = null;
+        // Track played to the end naturally
+        console.log('   Track completed naturally - cleaning up...');
+        this.trackFailures = 0;
+        await this.releaseFile(this.tempFile);
+        this.tempFile = null;
+        this.pausedAt = 0;
+        this.trackOffset = null;
+        this.ffmpeg = null;
+        this.clearTransitionTimer();
+        this.emit('ended', track);
+        if (this.finishedOnce()) {
           return;
         }
-        
-        // If track finished naturally AND we're still supposed to be playing
-        if (code === 0 && this.playing && !this.liveModeActive) {
-          // Track played to the end naturally
-          console.log('   Track completed naturally - cleaning up...');
-          await fs.unlink(this.tempFile).catch(() => {});
-          this.tempFile = null;
-          this.pausedAt = 0;
-          this.startTime = null;
-          this.ffmpeg = null;
-          
-          // Wait 2 seconds before restarting to prevent rapid loops
-          console.log('🔄 [AUTO DJ] Will restart from beginning in 2 seconds...');
-          await new Promise(resolve => setTimeout(resolve, 2000));
-          
-          // TRIPLE CHECK: playing + no ffmpeg + NOT in live mode
-          if (this.playing && !this.ffmpeg && !this.liveModeActive) {
-            console.log('🔄 [AUTO DJ] Restarting track from beginning...');
-            await this.playTrack(track);
-          } else {
-            console.log('   Not restarting - live show active or other instance running');
+
+        // Wait before the next track to prevent rapid loops
+        if (this.gap > 0) {
+          console.log(`⏭️ [AUTO DJ] Next track in ${this.gap} seconds...`);
+          await new Promise(resolve => setTimeout(resolve, this.gap * 1000));
+        }
+
+        // TRIPLE CHECK: playing + no ffmpeg + NOT in live mode
+        if (this.playing && !this.ffmpeg && !this.liveModeActive) {
+          try {
+            await this.playNext();
+          } catch (error) {
+            console.error('❌ [AUTO DJ] Failed to start the next track:', error);
           }
-        } else if (code !== 0) {
-          // Error exit
-          console.error(`❌ [AUTO DJ] FFmpeg exited abnormally with code ${code}`);
-          this.ffmpeg = null;
-        } else if (this.liveModeActive) {
-          console.log('   Not restarting - live mode is active');
+        } else {
+          console.log('   Not advancing - live show active or other instance running');
         }
-      });
+      } else if (code !== 0) {
+        // Crash - the supervisor brings the track back
+        console.error(`❌ [AUTO DJ] FFmpeg exited abnormally with ${signal ? `signal ${signal}` : `code ${code}`}`);
+        this.ffmpeg = null;
+        this.handleDecoderFailure(track, decoder.lastError || (signal ? `killed by ${signal}` : `exit code ${code}`));
+      } else if (this.liveModeActive) {
+        console.log('   Not advancing - live mode is active');
+      }
+    });
+  }
 
-      this.ffmpeg.on('error', (error) => {
-        console.error('❌ [AUTO DJ] FFmpeg error:', error);
-      });
-      
-      this.ffmpeg.stderr.on('data', (data) => {
-        const msg = data.toString();
-        // Only log errors, not progress info
-        if (msg.includes('error') || msg.includes('Error')) {
-          console.error(`❌ [AUTO DJ] FFmpeg stderr: ${msg.substring(0, 200)}`);
+  /**
+   * The decoder crashed (or the track couldn't be fetched). Resume the same
+   * track from where it stopped after a backoff, or skip it if it keeps failing.
+   */
+  handleDecoderFailure(track, reason) {
+    this.clearTransitionTimer();
+    this.clearCrossfade();
+    if (!this.playing || this.liveModeActive) {
+      return;
+    }
+    // Resume from what reached the mixer - audio still queued there plays out meanwhile
+    if (this.trackOffset !== null) {
+      this.pausedAt = this.position({ aired: false });
+      this.trackOffset = null;
+    }
+    this.trackFailures++;
+    const skip = this.trackFailures >= MAX_TRACK_FAILURES;
+
+    this.supervisor.failed(reason, async () => {
+      if (!this.playing || this.liveModeActive || this.ffmpeg) {
+        return;
+      }
+      if (skip) {
+        console.log(`⏭️ [AUTO DJ] "${track.title}" failed ${this.trackFailures} times - skipping`);
+        await this.releaseFile(this.tempFile);
+        this.tempFile = null;
+        this.pausedAt = 0;
+        this.trackFailures = 0;
+        if (!this.finishedOnce()) {
+          await this.playNext();
         }
+      } else {
+        await this.playTrack(track);
+      }
+    });
+  }
+
+  /**
+   * A `once` player that's past its last track stops here instead of wrapping around
+   */
+  finishedOnce() {
+    if (!this.once || this.currentIndex < this.playlist.length - 1) {
+      return false;
+    }
+    console.log('✅ [AUTO DJ] Played through once - stopping');
+    this.playing = false;
+    this.emit('done');
+    return true;
+  }
+
+  /**
+   * Arrange for the next track to fade in before the current one ends
+   */
+  scheduleTransition(track) {
+    this.clearTransitionTimer();
+
+    if (this.crossfade <= 0 || !track.duration) {
+      return;  // Gap mode (or unknown length) - advance on exit instead
+    }
+
+    const startIn = track.duration - this.pausedAt - this.crossfade;
+    if (startIn <= 0) {
+      return;  // Too close to the end to crossfade
+    }
+
+    // Start downloading now so the file is ready when the fade begins
+    this.prepareNext();
+
+    this.crossfadeTimer = setTimeout(() => {
+      this.crossfadeTimer = null;
+      this.startCrossfade().catch((error) => {
+        console.error('❌ [AUTO DJ] Crossfade failed:', error);
+        this.clearCrossfade();
       });
+    }, startIn * 1000);
+  }
 
-    } catch (error) {
-      console.error('❌ [AUTO DJ] Error playing track:', error);
+  async startCrossfade() {
+    if (!this.playing || this.liveModeActive || this.incoming || !this.ffmpeg) {
+      return;
     }
+
+    const next = this.prepareNext();
+    if (!next) {
+      return;
+    }
+    const file = next.file || await next.ready;
+    if (!file) {
+      return;  // Download failed - fall back to a gap on exit
+    }
+
+    // State may have changed while waiting for the download
+    if (!this.playing || this.liveModeActive || this.incoming || !this.ffmpeg) {
+      return;
+    }
+
+    console.log(`🔀 [AUTO DJ] Crossfading into: ${next.track.title} (${this.crossfade}s)`);
+    this.upNext = null;
+    this.crossfadeBuffer = Buffer.alloc(0);
+    this.crossfadePosition = 0;
+    this.incoming = {
+      ffmpeg: this.spawnDecoder(file, 0, this.trackGain(next.track)),
+      track: next.track,
+      index: next.index,
+      file,
+      received: 0
+    };
+    this.attachDecoder(this.incoming.ffmpeg, next.track);
+    this.emit('track', next.track, { resumed: false });
+  }
+
+  /**
+   * Sum the outgoing chunk with buffered incoming audio using linear fades
+   */
+  mixCrossfade(chunk) {
+    const out = Buffer.from(chunk);
+    const samples = Math.floor(out.length / BYTES_PER_SAMPLE);
+    const fadeSamples = Math.max(1, this.crossfade * SAMPLE_RATE * CHANNELS);
+    const available = Math.floor(this.crossfadeBuffer.length / BYTES_PER_SAMPLE);
+    const mixed = Math.min(samples, available);
+
+    for (let i = 0; i < samples; i++) {
+      const t = Math.min(this.crossfadePosition / fadeSamples, 1);
+      const offset = i * BYTES_PER_SAMPLE;
+      let value = out.readFloatLE(offset) * (1 - t);
+      if (i < mixed) {
+        value += this.crossfadeBuffer.readFloatLE(offset) * t;
+        this.crossfadePosition++;
+      }
+      out.writeFloatLE(value, offset);
+    }
+
+    this.crossfadeBuffer = this.crossfadeBuffer.subarray(mixed * BYTES_PER_SAMPLE);
+    return out;
+  }
+
+  /**
+   * Outgoing track finished - hand over to the incoming decoder
+   */
+  promoteIncoming() {
+    const { ffmpeg, track, index, file, received } = this.incoming;
+    console.log(`🔀 [AUTO DJ] Crossfade complete - now playing: ${track.title}`);
+
+    this.releaseFile(this.tempFile);
+    this.ffmpeg = ffmpeg;
+    this.currentTrack = track;
+    this.currentIndex = index;
+    this.tempFile = file;
+    this.pausedAt = 0;
+    this.trackOffset = 0;
+    this.delivered = received;  // Includes the remainder flushed below
+    this.trackFailures = 0;
+    this.supervisor.started();
+
+    // Flush incoming audio that arrived after the outgoing track ended
+    const remainder = this.crossfadeBuffer;
+    this.incoming = null;
+    this.crossfadeBuffer = Buffer.alloc(0);
+    if (remainder.length > 0) {
+      this.hlsServer.processAudio(remainder, this.source);
+    }
+
+    this.scheduleTransition(track);
+    this.saveState();
+  }
+
+  clearTransitionTimer() {
+    if (this.crossfadeTimer) {
+      clearTimeout(this.crossfadeTimer);
+      this.crossfadeTimer = null;
+    }
+  }
+
+  clearCrossfade() {
+    if (this.incoming) {
+      try {
+        this.incoming.ffmpeg.kill('SIGKILL');
+      } catch(e) {}
+      this.releaseFile(this.incoming.file);
+      this.incoming = null;
+    }
+    this.crossfadeBuffer = Buffer.alloc(0);
+    this.crossfadePosition = 0;
   }
 
-  async stop() {
+  /**
+   * Pause, keeping the position for resume. Resolves once the decoder has
+   * exited; a second call meanwhile shares the first one's result.
+   */
+  stop() {
+    if (!this.stopping) {
+      this.stopping = this.halt().finally(() => {
+        this.stopping = null;
+      });
+    }
+    return this.stopping;
+  }
+
+  async halt() {
     console.log('⏸️ [AUTO DJ] Pausing (saving position for resume)...');
-    
+
     // Mark as not playing FIRST to prevent any new instances
     this.playing = false;
-    this.liveModeActive = true;  // CRITICAL: Block Auto DJ restarts during live show
-    
-    // Calculate current position
-    if (this.startTime) {
-      const elapsed = (Date.now() - this.startTime) / 1000;  // Convert to seconds
+    this.waitingForTracks = false;
+
+    // Abort any pending or in-progress crossfade - we resume the current track
+    this.supervisor.cancel();
+    this.clearTransitionTimer();
+    this.clearCrossfade();
+
+    // Calculate current position (what actually went out, not wall-clock time)
+    if (this.trackOffset !== null) {
+      const elapsed = this.position();
       this.pausedAt = elapsed;
+      this.trackOffset = null;
       console.log(`   Paused at: ${Math.floor(elapsed / 60)}m ${Math.floor(elapsed % 60)}s`);
     }
-    
+
     // Kill FFmpeg forcefully
     if (this.ffmpeg && !this.ffmpeg.killed) {
       console.log('   Killing FFmpeg process...');
-      this.ffmpeg.kill('SIGKILL');
-      
-      // Wait for it to actually die
-      await new Promise(resolve => setTimeout(resolve, 500));
+      await killDecoder(this.ffmpeg);
       this.ffmpeg = null;
       console.log('   ✓ FFmpeg killed');
     }
-    
+
     // Keep temp file for resume! Don't delete it
     console.log(`   Keeping temp file for resume: ${this.tempFile}`);
+    await this.saveState();
     console.log('✅ [AUTO DJ] Paused - will resume from this position');
   }
 
+  /**
+   * Cut the current track short and go straight to the next one.
+   * Returns false if Auto DJ isn't on air.
+   */
+  async skip() {
+    if (!this.playing || this.liveModeActive) {
+      return false;
+    }
+    console.log(`⏭️ [AUTO DJ] Skipping${this.currentTrack ? `: ${this.currentTrack.title}` : ''}`);
+
+    this.playing = false;  // Keeps exit handlers from advancing
+    this.supervisor.cancel();
+    this.clearTransitionTimer();
+    this.clearCrossfade();
+    if (this.ffmpeg && !this.ffmpeg.killed) {
+      await killDecoder(this.ffmpeg);
+    }
+    this.ffmpeg = null;
+    this.hlsServer.mixer.flush(this.source);  // Don't play out the buffered tail
+
+    if (this.tempFile) {
+      await this.releaseFile(this.tempFile);
+      this.tempFile = null;
+    }
+    this.pausedAt = 0;
+    this.trackOffset = null;
+    this.trackFailures = 0;
+
+    // A live show may have taken over meanwhile - it resumes with the next track
+    if (this.liveModeActive) {
+      return true;
+    }
+    this.playing = true;
+    await this.playNext();
+    return true;
+  }
+
+  /**
+   * Swap in an updated playlist without interrupting the current track.
+   * The change takes effect at the next transition.
+   */
+  setPlaylist(tracks) {
+    const previousIndex = this.currentIndex;
+
+    this.playlist = [...tracks];
+    this.shuffleOrder = [];
+    this.rotationWeights = [];
+
+    // Keep our place in the rotation. If the current track was removed,
+    // continue with whatever now sits at its old position.
+    const index = this.playlist.findIndex(track => sameTrack(track, this.currentTrack));
+    this.currentIndex = index >= 0 ? index : Math.max(Math.min(previousIndex, this.playlist.length) - 1, -1);
+
+    // Drop the reserved next track unless it's still a valid choice
+    if (this.upNext && !this.incoming) {
+      const stillListed = this.playlist.some(track => sameTrack(track, this.upNext.track));
+      const expected = this.mode === 'sequential' && this.playlist.length > 0
+        ? this.playlist[(this.currentIndex + 1) % this.playlist.length]
+        : this.upNext.track;
+      if (!stillListed || !sameTrack(expected, this.upNext.track)) {
+        console.log(`⏭️ [AUTO DJ] Playlist changed - dropping up next: ${this.upNext.track.title}`);
+        this.upNext.ready.then(file => this.releaseFile(file));
+        this.upNext = null;
+      } else {
+        this.upNext.index = this.playlist.findIndex(track => sameTrack(track, this.upNext.track));
+      }
+    }
+
+    console.log(`📋 [AUTO DJ] Playlist updated - ${this.playlist.length} track(s)`);
+
+    // Ran out of tracks on air - carry on now there's something to play
+    if (this.waitingForTracks && this.playlist.length > 0) {
+      this.waitingForTracks = false;
+      this.start().catch((error) => {
+        console.error('❌ [AUTO DJ] Failed to start after tracks were added:', error);
+      });
+    }
+  }
+
+  /**
+   * Cut over to a different set of tracks right away (e.g. a scheduled show).
+   * Unlike setPlaylist, the current track is abandoned and the new
+   * programme starts from its first track.
+   */
+  async switchPlaylist(tracks, programName = null) {
+    console.log(`📅 [AUTO DJ] Switching programme${programName ? ` to ${programName}` : ''} (${tracks.length} track(s))`);
+    const wasPlaying = this.playing;
+
+    if (wasPlaying) {
+      this.playing = false;  // Keeps exit handlers from advancing
+      this.supervisor.cancel();
+      this.clearTransitionTimer();
+      this.clearCrossfade();
+      if (this.ffmpeg && !this.ffmpeg.killed) {
+        await killDecoder(this.ffmpeg);
+      }
+      this.ffmpeg = null;
+    }
+
+    // Forget the old programme's position and files
+    if (this.upNext) {
+      this.upNext.ready.then(file => this.releaseFile(file));
+      this.upNext = null;
+    }
+    if (this.tempFile) {
+      await this.releaseFile(this.tempFile);
+      this.tempFile = null;
+    }
+    this.currentTrack = null;
+    this.currentIndex = -1;
+    this.pausedAt = 0;
+    this.trackOffset = null;
+    this.trackFailures = 0;
+    this.programName = programName;
+    this.setPlaylist(tracks);
+    this.saveState();
+
+    // While a live show is on, the new programme starts when Auto DJ resumes
+    if (wasPlaying && !this.liveModeActive && this.playlist.length > 0) {
+      this.playing = true;
+      await this.playNext();
+    }
+  }
+
+  getNowPlaying() {
+    const track = this.currentTrack;
+    return {
+      playing: this.playing,
+      liveModeActive: this.liveModeActive,
+      mode: this.mode,
+      program: this.programName || null,
+      track: track ? { id: track.id, title: track.title, duration: track.duration ?? null } : null,
+      index: this.currentIndex,
+      position: this.position(),
+      crossfading: Boolean(this.incoming),
+      upNext: this.upNext ? { id: this.upNext.track.id, title: this.upNext.track.title } : null
+    };
+  }
+
   isPlaying() {
     return this.playing;
   }
+
+  /**
+   * Seconds into the current track, counted from the samples handed to the
+   * mixer rather than wall-clock time (which drifts when the decoder stalls
+   * or the mixer drops audio). `aired` leaves out what's still queued there.
+   */
+  position({ aired = true } = {}) {
+    if (this.trackOffset === null) {
+      return this.pausedAt;
+    }
+    let seconds = this.delivered / BYTES_PER_SECOND;
+    if (aired && this.hlsServer.mixer) {
+      seconds -= this.hlsServer.mixer.source(this.source).length / (SAMPLE_RATE * CHANNELS);
+    }
+    return this.trackOffset + Math.max(seconds, 0);
+  }
+
+  /**
+   * Current track, position and rotation as saved to the state file
+   */
+  getState() {
+    const track = this.currentTrack;
+    return {
+      program: this.programName,
+      track: track ? { id: track.id, title: track.title, url: track.url, mediaId: track.mediaId, file: track.file } : null,
+      index: this.currentIndex,
+      position: track ? Math.round(this.position() * 1000) / 1000 : 0,
+      file: this.tempFile,
+      shuffleOrder: this.shuffleOrder,
+      rotationWeights: this.rotationWeights,
+      savedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Save the current track, position and rotation so a restart resumes here
+   * (or `state` from elsewhere, e.g. a failover peer's Auto DJ)
+   */
+  saveState(state = this.getState()) {
+    if (!this.statePath) {
+      return Promise.resolve();
+    }
+    this.lastStateSave = Date.now();
+    const snapshot = JSON.stringify(state, null, 2);
+    this.stateWriteQueue = this.stateWriteQueue.then(async () => {
+      await fs.mkdir(path.dirname(this.statePath), { recursive: true });
+      const tmpPath = `${this.statePath}.tmp`;
+      await fs.writeFile(tmpPath, snapshot);
+      await fs.rename(tmpPath, this.statePath);
+    }).catch((error) => {
+      console.error('❌ [AUTO DJ] Failed to save resume state:', error.message);
+    });
+    return this.stateWriteQueue;
+  }
+
+  /**
+   * Pick up the saved track and position. Call after the playlist and
+   * programme are set and before start(). Returns the restored state or null.
+   */
+  async loadState() {
+    if (!this.statePath) {
+      return null;
+    }
+    let state;
+    try {
+      state = JSON.parse(await fs.readFile(this.statePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ [AUTO DJ] Failed to read ${this.statePath}:`, error.message);
+      }
+      return null;
+    }
+
+    // The schedule moved on while we were down - start the new programme fresh
+    if ((state.program || null) !== (this.programName || null)) {
+      console.log(`📂 [AUTO DJ] Saved state is for ${state.program || 'another programme'} - starting fresh`);
+      return null;
+    }
+
+    const count = this.playlist.length;
+    const validIndexes = (list) => Array.isArray(list) && list.every(i => Number.isInteger(i) && i >= 0 && i < count);
+    if (validIndexes(state.shuffleOrder)) {
+      this.shuffleOrder = state.shuffleOrder;
+    }
+    if (Array.isArray(state.rotationWeights) && state.rotationWeights.length === count) {
+      this.rotationWeights = state.rotationWeights;
+    }
+
+    const index = state.track ? this.playlist.findIndex(track => sameTrack(track, state.track)) : -1;
+    if (index < 0) {
+      // Track was removed - carry on from its old place in the rotation
+      if (Number.isInteger(state.index) && state.index < count) {
+        this.currentIndex = Math.max(state.index - 1, -1);
+      }
+      console.log('📂 [AUTO DJ] Saved track is no longer in the playlist - continuing with the next one');
+      return state;
+    }
+
+    const track = this.playlist[index];
+    const position = Math.max(Number(state.position) || 0, 0);
+    this.currentIndex = index;
+    if (track.duration && position >= track.duration - 1) {
+      return state;  // Finished just before the restart - play the next one
+    }
+    this.currentTrack = track;
+    this.pausedAt = position;
+
+    // Still on disk from before the restart (same container) - no need to fetch it again
+    if (state.file && !this.library && !track.file) {
+      try {
+        await fs.access(state.file);
+        this.tempFile = state.file;
+        this.downloads.add(state.file);
+      } catch (error) {}
+    }
+    console.log(`📂 [AUTO DJ] Resuming "${track.title}" at ${Math.floor(position / 60)}m ${Math.floor(position % 60)}s`);
+    return state;
+  }
 }
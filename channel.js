@@ -0,0 +1,838 @@
+/**
+ * Channel
+ * One station: its own encoder, Auto DJ, playlists, schedule, recordings,
+ * live show state and now playing
+ *
+ * The main channel keeps the original paths ($DATA_DIR, /tmp/hls-stream) so
+ * existing deployments carry on unchanged; other channels keep their data in
+ * $DATA_DIR/channels/<id> and their segments in /tmp/hls-stream-<id>
+ * (HLS_STREAM_PATH and DVR_PATH move both).
+ *
+ * Live audio comes from the broadcaster's socket or, for standard encoders,
+ * an Icecast source client or this channel's RTMP/SRT listener (main:
+ * RTMP_INGEST_PORT / SRT_INGEST_PORT, others: the channel's rtmpPort/srtPort).
+ * An encoder has the live input to itself while it's connected.
+ *
+ * Switching between Auto DJ and the live show goes through `onAir` (see
+ * OnAirState): one handoff at a time, each step with a deadline. A socket
+ * broadcaster that drops without live-stop gets LIVE_DISCONNECT_GRACE seconds
+ * to reconnect before the show is ended.
+ *
+ * Emits:
+ *   'now-playing' (item)      - something new is on air
+ *   'dead-air' (alert)        - live show went silent, fallback is on air
+ *   'dead-air-recovered' (info)
+ *   'live-started' (show)     - { title, show, host, artwork, talkover, source }
+ *   'live-stopped' (show)     - the same, plus { startedAt, seconds, reason }
+ *   'process-failure' (info)  - an FFmpeg process crashed (see ProcessSupervisor)
+ *   'process-restart' (info)
+ */
+
+import { EventEmitter } from 'events';
+import path from 'path';
+import { HLSServer, toPCMBuffer } from './hlsServer.js';
+import { AutoDJ } from './autoDJ.js';
+import { PlaylistStore, DEFAULT_PLAYLIST } from './playlistStore.js';
+import { Scheduler } from './scheduler.js';
+import { Recorder } from './recorder.js';
+import { DeadAirMonitor } from './deadAirMonitor.js';
+import { NowPlaying } from './nowPlaying.js';
+import { InsertionScheduler } from './insertions.js';
+import { SegmentEncryption } from './hlsEncryption.js';
+import { IcecastStream } from './icecastStream.js';
+import { NetworkIngest } from './liveIngest.js';
+import { OnAirState } from './onAirState.js';
+import { MAIN_CHANNEL } from './channelStore.js';
+
+export class Channel extends EventEmitter {
+  constructor(definition, { gainCache, mediaLibrary, authenticate }) {
+    super();
+    const { id } = definition;
+    const main = id === MAIN_CHANNEL;
+    const baseDir = process.env.DATA_DIR || './data';
+    this.id = id;
+    this.name = definition.name || (main ? process.env.STATION_NAME || 'AudioRoad' : id);
+    this.description = definition.description || '';
+    this.dataDir = main ? baseDir : path.join(baseDir, 'channels', id);
+    this.mediaLibrary = mediaLibrary;
+    const streamPath = process.env.HLS_STREAM_PATH || '/tmp/hls-stream';
+    const dvrPath = process.env.DVR_PATH || '/tmp/hls-dvr';
+
+    this.hlsServer = new HLSServer({
+      streamPath: main ? undefined : `${streamPath}-${id}`,
+      dvrPath: main ? undefined : `${dvrPath}-${id}`,
+      renditions: definition.renditions || undefined,
+      lowLatency: definition.lowLatency != null ? String(definition.lowLatency) : undefined
+    });
+
+    // Who can listen: 'public', or 'signed' (HMAC-signed expiring URLs only);
+    // optionally with AES-128 encrypted segments (needs signed access to keep the keys private)
+    this.access = definition.access || process.env.STREAM_ACCESS || 'public';
+    const encryption = definition.encryption ?? (process.env.HLS_ENCRYPTION === 'true');
+    this.encryption = null;
+    if (encryption && this.hlsServer.lowLatency) {
+      console.warn(`⚠️  [${id}] AES-128 encryption isn't supported with low-latency HLS - segments are not encrypted`);
+    } else if (encryption) {
+      if (this.access !== 'signed') {
+        console.warn(`⚠️  [${id}] Encrypted segments with public access - anyone can fetch the keys`);
+      }
+      this.encryption = new SegmentEncryption(id);
+    }
+
+    this.autoDJ = new AutoDJ(this.hlsServer, {
+      gainCache,
+      library: mediaLibrary,
+      statePath: path.join(this.dataDir, 'autodj-state.json'),
+      ...(main ? {} : { playlist: [] })
+    });
+    this.playlistStore = new PlaylistStore({ dataDir: this.dataDir, defaults: this.autoDJ.playlist });
+    this.scheduler = new Scheduler({ dataDir: this.dataDir });
+    this.recorder = new Recorder(main ? {} : { dataDir: this.dataDir, dir: path.join(this.dataDir, 'recordings') });
+    this.deadAirMonitor = new DeadAirMonitor();
+    this.nowPlaying = new NowPlaying();
+    this.liveShow = null;  // Now-playing details of the show on air
+    this.liveSince = null;
+    this.autoDJPaused = false;    // Held off air from the admin panel
+    this.fallbackForced = false;  // Fallback put on air by hand (not dead air)
+
+    // Who has the air, and the socket broadcaster running the show
+    this.onAir = new OnAirState({ label: this.label });
+    this.broadcaster = null;       // { socket, key } that sent live-start
+    this.broadcasterTimer = null;  // Pending end of the show after the broadcaster dropped
+    this.disconnectGrace = parseFloat(process.env.LIVE_DISCONNECT_GRACE ?? '30') * 1000;
+
+    // Plain HTTP streams for players without HLS (/stream.mp3, /stream.aac)
+    this.icecastStreams = {};
+    for (const format of (process.env.ICECAST_FORMATS ?? 'mp3,aac').split(',').map(f => f.trim()).filter(Boolean)) {
+      this.icecastStreams[format] = new IcecastStream(this.hlsServer, {
+        format,
+        ...(main ? {} : { name: this.name, description: this.description })
+      });
+    }
+
+    // Dead-air fallback: 'autodj' (resume Auto DJ) or 'loop' (a "we'll be right back" recording)
+    this.deadAirFallback = process.env.DEAD_AIR_FALLBACK || 'autodj';
+    this.standbyDJ = (process.env.DEAD_AIR_LOOP_URL || process.env.DEAD_AIR_LOOP_FILE)
+      ? new AutoDJ(this.hlsServer, {
+        playlist: [{
+          title: "We'll be right back",
+          url: process.env.DEAD_AIR_LOOP_URL,
+          file: process.env.DEAD_AIR_LOOP_FILE
+        }],
+        gap: 0,
+        gainCache,
+        library: mediaLibrary
+      })
+      : null;
+    if (this.deadAirFallback === 'loop' && !this.standbyDJ) {
+      console.warn('⚠️  DEAD_AIR_FALLBACK=loop but no DEAD_AIR_LOOP_URL/FILE - falling back to Auto DJ');
+    }
+
+    // Music beds under the live show come from a playlist (MUSIC_BED_PLAYLIST, default "beds")
+    this.bedPlaylist = process.env.MUSIC_BED_PLAYLIST || 'beds';
+    this.bedDJ = new AutoDJ(this.hlsServer, { playlist: [], gap: 0, crossfade: 0, source: 'bed', gainCache, library: mediaLibrary });
+
+    // Station IDs, promos and ads between Auto DJ content
+    this.insertions = new InsertionScheduler(this, { dataDir: this.dataDir, gainCache, library: mediaLibrary });
+
+    // Encoders pushing to RTMP/SRT (the ports are per channel - each takes one publisher)
+    this.ingest = null;  // The encoder on air: { source, since, startedShow }
+    this.ingestListeners = {};
+    const rtmpPort = parseInt((main ? process.env.RTMP_INGEST_PORT : definition.rtmpPort) || '0', 10);
+    const srtPort = parseInt((main ? process.env.SRT_INGEST_PORT : definition.srtPort) || '0', 10);
+    if (rtmpPort > 0) {
+      this.ingestListeners.rtmp = new NetworkIngest(this, { protocol: 'rtmp', port: rtmpPort, authenticate });
+    }
+    if (srtPort > 0 && !process.env.SRT_PASSPHRASE) {
+      console.warn(`⚠️  [${id}] SRT ingest needs SRT_PASSPHRASE (10-79 characters) - not listening`);
+    } else if (srtPort > 0) {
+      this.ingestListeners.srt = new NetworkIngest(this, { protocol: 'srt', port: srtPort, passphrase: process.env.SRT_PASSPHRASE });
+    }
+
+    this.probingTracks = new Set();
+    this.wire();
+  }
+
+  /**
+   * Log prefix so extra channels can be told apart
+   */
+  get label() {
+    return this.id === MAIN_CHANNEL ? '' : ` [${this.id}]`;
+  }
+
+  wire() {
+    const { autoDJ, hlsServer, playlistStore, scheduler, nowPlaying, deadAirMonitor } = this;
+
+    // Running Auto DJ picks up edits to the playlist on air at the next track change
+    playlistStore.on('change', (name, tracks) => {
+      if (scheduler.current && scheduler.current.content.playlist === name) {
+        autoDJ.setPlaylist(tracks);
+        // A new channel's first tracks - nothing was playing yet
+        if (!autoDJ.isPlaying() && !autoDJ.liveModeActive && !this.autoDJPaused && hlsServer.isStreaming()) {
+          autoDJ.start().catch((error) => {
+            console.error(`❌ [AUTO DJ]${this.label} Error starting:`, error);
+          });
+        }
+      }
+      this.computeDurations(name, tracks);
+    });
+
+    playlistStore.on('delete', (name) => {
+      if (scheduler.current && scheduler.current.content.playlist === name) {
+        autoDJ.setPlaylist(this.programTracks(scheduler.current));
+      }
+    });
+
+    // Schedule change - cut over to the new programme
+    scheduler.on('change', (program) => {
+      autoDJ.switchPlaylist(this.programTracks(program), program.name).catch((error) => {
+        console.error(`❌ [SCHEDULE]${this.label} Error switching programme:`, error);
+      });
+    });
+
+    // Announce changes in the stream (timed ID3), to listeners and on ICY streams
+    nowPlaying.on('change', (item) => {
+      hlsServer.setNowPlaying(item);
+      this.emit('now-playing', item);
+      // ICY titles are "Artist - Title"; the host (or show) stands in for the artist
+      const artist = item.host || item.show;
+      for (const stream of Object.values(this.icecastStreams)) {
+        stream.setTitle(artist ? `${artist} - ${item.title}` : item.title);
+      }
+    });
+
+    // Auto DJ is what listeners hear unless a live show has the air
+    autoDJ.on('track', (track, { resumed }) => {
+      if (hlsServer.liveMode && !hlsServer.fallbackActive) {
+        return;
+      }
+      nowPlaying.fromTrack(track, {
+        show: autoDJ.programName,
+        type: hlsServer.fallbackActive ? 'fallback' : 'track',
+        restart: !resumed
+      });
+    });
+    if (this.standbyDJ) {
+      this.standbyDJ.on('track', (track) => {
+        nowPlaying.fromTrack(track, { show: this.liveShow && this.liveShow.show, type: 'fallback' });
+      });
+    }
+
+    // Crashes and restarts of this channel's FFmpeg processes
+    const supervisors = [
+      hlsServer.supervisor,
+      autoDJ.supervisor,
+      this.bedDJ.supervisor,
+      ...(this.standbyDJ ? [this.standbyDJ.supervisor] : []),
+      ...Object.values(this.icecastStreams).map(stream => stream.supervisor),
+      ...Object.values(this.ingestListeners).map(listener => listener.supervisor)
+    ];
+    for (const supervisor of supervisors) {
+      supervisor.on('failure', (info) => this.emit('process-failure', info));
+      supervisor.on('restart', (info) => this.emit('process-restart', info));
+    }
+
+    // Dead air during a live show - put fallback audio on air and alert
+    deadAirMonitor.on('dead-air', async (alert) => {
+      this.emit('dead-air', alert);
+      await this.startFallback('dead air');
+    });
+
+    // Live audio is back - hand back to the show (unless fallback was forced)
+    deadAirMonitor.on('recovered', async (info) => {
+      this.emit('dead-air-recovered', info);
+      if (!this.fallbackForced) {
+        await this.endFallback('live audio back');
+      }
+    });
+  }
+
+  /**
+   * Lock Auto DJ off air for the live show, or release it. The lock only
+   * changes here, as the on-air state moves.
+   */
+  holdAutoDJ(held) {
+    this.autoDJ.liveModeActive = held;
+  }
+
+  /**
+   * A player didn't stop in time - cut its audio off rather than let it play
+   * on, and mark the cut in the playlists so players resync
+   */
+  forceCut(source) {
+    const { mixer } = this.hlsServer;
+    mixer.setGain(source, 0);
+    mixer.flush(source);
+    this.hlsServer.markDiscontinuity().catch((error) => {
+      console.error(`❌ [HLS]${this.label} Error marking discontinuity:`, error);
+    });
+  }
+
+  /**
+   * Put fallback audio (Auto DJ or the standby loop) on air in place of the
+   * live show (LIVE -> FALLBACK). Resolves false if the show isn't LIVE, or
+   * if no fallback audio would start (the show stays on air).
+   */
+  startFallback(reason = 'dead air') {
+    return this.onAir.run(async () => {
+      const { hlsServer, autoDJ, onAir } = this;
+      if (!onAir.is('LIVE')) {
+        return false;
+      }
+      onAir.transition('FALLBACK', reason);
+      hlsServer.setFallback(true);
+      let started;
+      if (this.deadAirFallback === 'loop' && this.standbyDJ) {
+        started = await onAir.step('Start standby loop', this.standbyDJ.start()) && this.standbyDJ.isPlaying();
+      } else {
+        this.holdAutoDJ(false);
+        started = await onAir.step('Start Auto DJ', autoDJ.start()) && autoDJ.isPlaying();
+        // Already playing (talkover) - no new track event
+        if (started && autoDJ.currentTrack) {
+          this.nowPlaying.fromTrack(autoDJ.currentTrack, { show: autoDJ.programName, type: 'fallback' });
+        }
+      }
+
+      // Nothing to cover with (e.g. an empty playlist) - the live show is better than silence
+      if (!started) {
+        console.warn(`⚠️ [FALLBACK]${this.label} No fallback audio started - staying with the live show`);
+        onAir.transition('LIVE', 'no fallback audio');
+        hlsServer.setFallback(false);
+        await this.stopFallbackAudio();
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Hand the air back to the live show (FALLBACK -> LIVE). Resolves false
+   * if fallback isn't on air.
+   */
+  endFallback(reason = 'live audio back') {
+    return this.onAir.run(async () => {
+      if (!this.onAir.is('FALLBACK')) {
+        return false;
+      }
+      this.onAir.transition('LIVE', reason);
+      this.hlsServer.setFallback(false);
+      if (this.liveShow) {
+        this.nowPlaying.update(this.liveShow);
+      }
+      await this.stopFallbackAudio();
+      return true;
+    });
+  }
+
+  /**
+   * Force fallback on (or release it) during a live show, e.g. when the
+   * host's audio is bad but not silent. Returns false without a live show,
+   * or when the fallback audio couldn't be started.
+   */
+  async forceFallback(active) {
+    if (!this.onAir.isLive()) {
+      return false;
+    }
+    this.fallbackForced = active;
+    console.log(`🛟 [FALLBACK]${this.label} ${active ? 'Forced on' : 'Released'} from the admin panel`);
+    if (!active) {
+      if (!this.deadAirMonitor.deadAir) {
+        await this.endFallback('released');
+      }
+      return true;
+    }
+    // Dead air may already have put it on
+    const started = await this.startFallback('forced') || this.onAir.is('FALLBACK');
+    if (!started) {
+      this.fallbackForced = false;
+    }
+    return started;
+  }
+
+  /**
+   * Take Auto DJ off air until resumed - it stays paused through live shows
+   */
+  async pauseAutoDJ() {
+    this.autoDJPaused = true;
+    console.log(`⏸️ [AUTO DJ]${this.label} Paused from the admin panel`);
+    await this.insertions.abort();
+    if (this.autoDJ.isPlaying()) {
+      await this.autoDJ.stop();
+    }
+  }
+
+  async resumeAutoDJ() {
+    const { hlsServer, autoDJ } = this;
+    this.autoDJPaused = false;
+    console.log(`▶️ [AUTO DJ]${this.label} Resumed from the admin panel`);
+    // During a live show it comes back when the show ends (or under the host in talkover)
+    if (hlsServer.liveMode && !hlsServer.talkover && !hlsServer.fallbackActive) {
+      return;
+    }
+    this.holdAutoDJ(false);
+    if (!autoDJ.isPlaying()) {
+      await autoDJ.start();
+    }
+  }
+
+  /**
+   * What listeners are hearing: 'live', 'talkover', 'fallback', 'autodj', 'break' or 'off'
+   */
+  getSource() {
+    const { hlsServer, autoDJ } = this;
+    if (!hlsServer.isStreaming()) {
+      return 'off';
+    }
+    if (hlsServer.liveMode) {
+      if (hlsServer.fallbackActive) {
+        return 'fallback';
+      }
+      return hlsServer.talkover ? 'talkover' : 'live';
+    }
+    if (this.insertions.current && this.insertions.current.state === 'playing') {
+      return 'break';
+    }
+    return autoDJ.isPlaying() ? 'autodj' : 'off';
+  }
+
+  /**
+   * Tracks for a scheduled programme's content
+   */
+  programTracks(program) {
+    const { content } = program;
+    if (content.tracks) {
+      return content.tracks;
+    }
+    const tracks = this.playlistStore.list(content.playlist);
+    if (!tracks) {
+      console.warn(`⚠️ [SCHEDULE]${this.label} Playlist "${content.playlist}" for ${program.name} is missing - using ${DEFAULT_PLAYLIST}`);
+      return this.playlistStore.list(DEFAULT_PLAYLIST);
+    }
+    return tracks;
+  }
+
+  /**
+   * Fill in durations for tracks added without one (probed in the background)
+   */
+  computeDurations(name, tracks) {
+    for (const track of tracks) {
+      if (track.duration != null || this.probingTracks.has(track.id)) {
+        continue;
+      }
+      this.probingTracks.add(track.id);
+      this.mediaLibrary.probeTrack(track)
+        .then(duration => duration != null && this.playlistStore.update(track.id, { duration }, name))
+        .catch((error) => {
+          console.warn(`⚠️ [MEDIA] Could not probe "${track.title}": ${error.message}`);
+        })
+        .finally(() => this.probingTracks.delete(track.id));
+    }
+  }
+
+  /**
+   * Load saved state, start the encoder and Auto DJ. `takeover`
+   * ({ startNumber, discontinuities }) continues a failed primary's segment numbering.
+   */
+  async start(takeover = {}) {
+    console.log(`📺 [CHANNEL]${this.label} Starting "${this.name}"...`);
+    await this.playlistStore.load();
+    const program = await this.scheduler.load();
+    this.autoDJ.programName = program.name;
+    this.autoDJ.setPlaylist(this.programTracks(program));
+    await this.autoDJ.loadState();
+    this.scheduler.start();
+    await this.insertions.load();
+    this.insertions.start();
+    await this.recorder.load();
+    for (const name of this.playlistStore.names()) {
+      this.computeDurations(name, this.playlistStore.list(name));
+    }
+
+    // Starting over from segment 0 - new keys (a takeover keeps the primary's)
+    if (this.encryption && !takeover.startNumber) {
+      this.encryption.newEpoch();
+    }
+    await this.hlsServer.start(takeover);
+    await this.autoDJ.start();
+    for (const listener of Object.values(this.ingestListeners)) {
+      listener.start();
+    }
+  }
+
+  async stop() {
+    for (const listener of Object.values(this.ingestListeners)) {
+      listener.stop();
+    }
+    this.ingest = null;  // Shutting down - a disconnecting encoder mustn't resume Auto DJ
+    this.broadcaster = null;
+    clearTimeout(this.broadcasterTimer);
+    this.scheduler.stop();
+    this.insertions.stop();
+    await this.insertions.abort();
+    this.deadAirMonitor.deactivate();
+    await this.recorder.stop();
+    await this.autoDJ.stop();
+    if (this.bedDJ.isPlaying()) {
+      await this.bedDJ.stop();
+    }
+    if (this.standbyDJ && this.standbyDJ.isPlaying()) {
+      await this.standbyDJ.stop();
+    }
+    for (const stream of Object.values(this.icecastStreams)) {
+      stream.stop();
+    }
+    await this.hlsServer.stop();
+  }
+
+  /**
+   * Live audio chunk from the broadcaster (f32le 48kHz stereo). While an
+   * encoder is on air only its own audio (`source`) gets through.
+   */
+  liveAudio(audioData, source = null) {
+    if (!this.hlsServer.isStreaming() || (this.ingest && this.ingest.source !== source)) {
+      return false;
+    }
+    const buffer = toPCMBuffer(audioData);
+    this.deadAirMonitor.analyze(buffer);
+    this.hlsServer.processAudio(audioData, 'live');
+    this.recorder.write(buffer);
+    return true;
+  }
+
+  /**
+   * An encoder (Icecast source client, RTMP or SRT publisher) is on air. If no
+   * show is live it starts one, named from the encoder's stream info, and
+   * ends it when the encoder disconnects. Returns false if another encoder
+   * already has the live input.
+   */
+  ingestStart(source) {
+    if (this.ingest) {
+      return false;
+    }
+    const startedShow = !this.onAir.isLive();
+    this.ingest = { source, since: new Date(), startedShow };
+    console.log(`🎚️ [INGEST]${this.label} ${source.type} source connected from ${source.from}${startedShow ? ' - going live' : ''}`);
+    if (startedShow) {
+      this.liveStart({ show: source.show }).catch((error) => {
+        console.error(`❌ [LIVE]${this.label} Error starting live show:`, error);
+      });
+    }
+    return true;
+  }
+
+  /**
+   * The encoder disconnected - end the show if it started it
+   */
+  ingestEnd(source) {
+    if (!this.ingest || this.ingest.source !== source) {
+      return;
+    }
+    const { startedShow } = this.ingest;
+    this.ingest = null;
+    console.log(`🎚️ [INGEST]${this.label} ${source.type} source disconnected`);
+    if (startedShow) {
+      this.liveStop('encoder disconnected').catch((error) => {
+        console.error(`❌ [LIVE]${this.label} Error ending live show:`, error);
+      });
+    }
+  }
+
+  /**
+   * Live show starting - fade Auto DJ out under the host, then pause it
+   * (AUTODJ -> GOING_LIVE -> LIVE). Runs after any handoff in progress; if a
+   * show is already on air it just takes the new details.
+   * Optional info: { title, show, host, artwork } (used for the recording and now playing),
+   * { talkover: true } keeps Auto DJ playing under the host, ducked by voice.
+   * `broadcaster` ({ socket, key }) is the socket running the show, if any.
+   */
+  liveStart(options = {}, broadcaster = null) {
+    return this.onAir.run(async () => {
+      const { hlsServer, autoDJ, onAir } = this;
+      const talkover = Boolean(options.talkover);
+      const wasLive = onAir.isLive();
+      const source = this.ingest ? this.ingest.source.type : 'socket';
+      if (broadcaster) {
+        clearTimeout(this.broadcasterTimer);
+        this.broadcasterTimer = null;
+        this.broadcaster = broadcaster;
+      }
+      if (!wasLive) {
+        onAir.transition('GOING_LIVE', `live-start (${source})`);
+      }
+      console.log(`📡 [LIVE]${this.label} Live show starting${talkover ? ' (talkover)' : ' - fading out Auto DJ...'}`);
+
+      // Whatever goes wrong below, the show ends up LIVE - where live-stop can end it
+      let completed = false;
+      try {
+        // Crossfade from Auto DJ to live (fallback stays on air until live audio is back)
+        if (!onAir.is('FALLBACK')) {
+          hlsServer.setLiveMode(true, { talkover });
+        }
+        this.fallbackForced = false;
+        await onAir.step('End break', this.insertions.abort());  // The host takes it from here
+        this.liveShow = {
+          type: 'live',
+          title: options.title || options.show || 'Live',
+          show: options.show || null,
+          host: options.host || null,
+          artwork: options.artwork || null
+        };
+        if (!onAir.is('FALLBACK')) {
+          this.nowPlaying.update(this.liveShow);
+        }
+        if (!wasLive) {
+          this.liveSince = new Date();
+
+          // Watch for dead air
+          this.deadAirMonitor.activate();
+          this.emit('live-started', { ...this.showInfo(), talkover, source });
+        }
+
+        // Record this session
+        await onAir.step('Start recording', this.recorder.start(options));
+
+        if (!talkover && !onAir.is('FALLBACK')) {
+          // Let the fade finish before pausing Auto DJ
+          await new Promise(resolve => setTimeout(resolve, hlsServer.mixer.fadeTime * 1000));
+
+          // CRITICAL: Set live mode lock before stopping
+          this.holdAutoDJ(true);
+          console.log(`🔒 [LIVE]${this.label} Auto DJ locked - cannot restart`);
+
+          if (autoDJ.isPlaying()) {
+            if (!await onAir.step('Stop Auto DJ', autoDJ.stop())) {
+              this.forceCut(autoDJ.source);
+            }
+            hlsServer.mixer.flush('auto');  // Don't replay the faded-out tail on resume
+            console.log(`✅ [LIVE]${this.label} Auto DJ stopped`);
+          }
+        }
+        completed = true;
+      } finally {
+        if (onAir.is('GOING_LIVE')) {
+          onAir.transition('LIVE', completed ? 'fade complete' : 'handoff failed');
+        }
+      }
+      console.log(`✅ [LIVE]${this.label} HLS switched to LIVE mode - ready for live audio`);
+    });
+  }
+
+  /**
+   * The broadcaster's socket dropped without live-stop. The show goes on
+   * (dead-air fallback covers the gap) for LIVE_DISCONNECT_GRACE seconds,
+   * then ends unless the broadcaster reconnects.
+   */
+  broadcasterLost(socketId) {
+    if (!this.broadcaster || this.broadcaster.socket !== socketId || !this.onAir.isLive()) {
+      return false;
+    }
+    console.warn(`🔌 [LIVE]${this.label} Broadcaster disconnected without live-stop - ending the show in ${this.disconnectGrace / 1000}s unless they reconnect`);
+    this.broadcaster = { ...this.broadcaster, socket: null };
+    clearTimeout(this.broadcasterTimer);
+    this.broadcasterTimer = setTimeout(() => {
+      this.broadcasterTimer = null;
+      this.broadcaster = null;
+      this.liveStop('broadcaster disconnected').catch((error) => {
+        console.error(`❌ [LIVE]${this.label} Error ending live show:`, error);
+      });
+    }, this.disconnectGrace);
+    return true;
+  }
+
+  /**
+   * A socket connected with the key of a broadcaster that dropped - it carries on the show
+   */
+  broadcasterBack({ socket, key }) {
+    if (!this.broadcasterTimer || this.broadcaster.key !== key) {
+      return false;
+    }
+    clearTimeout(this.broadcasterTimer);
+    this.broadcasterTimer = null;
+    this.broadcaster = { socket, key };
+    console.log(`🔌 [LIVE]${this.label} Broadcaster reconnected - the show goes on`);
+    return true;
+  }
+
+  /**
+   * The live show's details for events
+   */
+  showInfo() {
+    const { title, show, host, artwork } = this.liveShow;
+    return { title, show, host, artwork };
+  }
+
+  /**
+   * Music bed under the live show from `name` (defaults to MUSIC_BED_PLAYLIST)
+   */
+  async bedStart(name = this.bedPlaylist) {
+    const { hlsServer, bedDJ } = this;
+    if (!hlsServer.liveMode) {
+      console.log(`⚠️ [BED]${this.label} Ignoring bed-start - no live show`);
+      return;
+    }
+    const tracks = this.playlistStore.list(name);
+    if (!tracks || tracks.length === 0) {
+      console.warn(`⚠️ [BED]${this.label} Playlist "${name}" is missing or empty`);
+      return;
+    }
+    console.log(`🎼 [BED]${this.label} Music bed on: ${name}`);
+    if (bedDJ.programName !== name || !bedDJ.isPlaying()) {
+      await bedDJ.switchPlaylist(tracks, name);
+    }
+    hlsServer.setBed(true);
+    if (!bedDJ.isPlaying()) {
+      await bedDJ.start();
+    }
+  }
+
+  /**
+   * Fade the music bed out, then stop its player
+   */
+  async bedStop(fade = this.hlsServer.mixer.fadeTime) {
+    this.hlsServer.setBed(false, fade);
+    if (this.bedDJ.isPlaying()) {
+      await new Promise(resolve => setTimeout(resolve, fade * 1000));
+      await this.bedDJ.stop();
+      this.hlsServer.mixer.flush('bed');
+    }
+  }
+
+  /**
+   * Stop whatever was covering for dead air (re-locks Auto DJ for the live show)
+   */
+  async stopFallbackAudio() {
+    const { autoDJ, onAir } = this;
+    if (this.standbyDJ && this.standbyDJ.isPlaying()) {
+      if (!await onAir.step('Stop standby loop', this.standbyDJ.stop())) {
+        this.forceCut(this.standbyDJ.source);
+      }
+    }
+    // In talkover Auto DJ was on air under the host anyway
+    if (!this.hlsServer.talkover) {
+      this.holdAutoDJ(true);
+      if (autoDJ.isPlaying()) {
+        if (!await onAir.step('Stop Auto DJ', autoDJ.stop())) {
+          this.forceCut(autoDJ.source);
+        }
+        this.hlsServer.mixer.flush('auto');
+      }
+    }
+  }
+
+  /**
+   * Live show ended - crossfade back to Auto DJ (LIVE or FALLBACK -> ENDING
+   * -> AUTODJ). Runs after any handoff in progress; resolves false if no
+   * show was on air, so repeated live-stops are harmless.
+   */
+  liveStop(reason = 'live-stop') {
+    return this.onAir.run(async () => {
+      const { hlsServer, autoDJ, onAir } = this;
+      if (!onAir.is('LIVE', 'FALLBACK')) {
+        console.log(`⚠️ [LIVE]${this.label} No live show on air - ignoring ${reason}`);
+        return false;
+      }
+      onAir.transition('ENDING', reason);
+      console.log(`📴 [LIVE]${this.label} Live show ended - resuming Auto DJ...`);
+      const fade = hlsServer.mixer.fadeTime;
+      clearTimeout(this.broadcasterTimer);
+      this.broadcasterTimer = null;
+      this.broadcaster = null;
+
+      try {
+        // Stop watching for dead air; if the standby loop was covering, stop it
+        // (a covering Auto DJ just keeps playing)
+        this.deadAirMonitor.deactivate();
+        if (this.standbyDJ && this.standbyDJ.isPlaying()) {
+          if (!await onAir.step('Stop standby loop', this.standbyDJ.stop())) {
+            this.forceCut(this.standbyDJ.source);
+          }
+        }
+
+        // Crossfade back to Auto DJ (fades out any music bed too)
+        hlsServer.setLiveMode(false, { fade });
+        const stopped = this.liveShow && {
+          ...this.showInfo(),
+          startedAt: this.liveSince ? this.liveSince.toISOString() : null,
+          seconds: this.liveSince ? Math.round((Date.now() - this.liveSince) / 1000) : null,
+          reason
+        };
+        this.liveShow = null;
+        this.liveSince = null;
+        this.fallbackForced = false;
+        this.bedStop(fade).catch((error) => {
+          console.error(`❌ [BED]${this.label} Error stopping music bed:`, error);
+        });
+
+        // Finish the recording (runs in the background while Auto DJ resumes)
+        this.recorder.stop().catch((error) => {
+          console.error(`❌ [LIVE]${this.label} Error finishing recording:`, error);
+        });
+
+        if (this.autoDJPaused) {
+          // Paused from the admin panel - stays off air (and locked) until resumed
+          this.holdAutoDJ(true);
+          if (autoDJ.isPlaying()) {
+            await onAir.step('Stop Auto DJ', autoDJ.stop());
+          }
+          console.log(`⏸️ [LIVE]${this.label} Auto DJ is paused - not resuming`);
+        } else {
+          // Clear live mode lock BEFORE resuming Auto DJ
+          this.holdAutoDJ(false);
+
+          // Resume Auto DJ ONLY if it's not already playing
+          if (!autoDJ.isPlaying()) {
+            if (await onAir.step('Start Auto DJ', autoDJ.start())) {
+              console.log(`✅ [LIVE]${this.label} Auto DJ resumed`);
+            }
+          } else {
+            console.log(`⚠️ [LIVE]${this.label} Auto DJ already playing - not restarting`);
+            // Covering for dead air or talkover - it's now the main source
+            if (autoDJ.currentTrack) {
+              this.nowPlaying.fromTrack(autoDJ.currentTrack, { show: autoDJ.programName });
+            }
+          }
+        }
+
+        // Last, once Auto DJ is back - a listener that throws can't leave the channel silent
+        if (stopped) {
+          this.emit('live-stopped', stopped);
+        }
+        return true;
+      } finally {
+        onAir.transition('AUTODJ', 'handoff complete');
+      }
+    });
+  }
+
+  /**
+   * Summary for /health and the channels API
+   */
+  getStatus() {
+    const { hlsServer, autoDJ } = this;
+    return {
+      streaming: hlsServer.isStreaming(),
+      source: this.getSource(),
+      autoDJ: autoDJ.isPlaying(),
+      autoDJPaused: this.autoDJPaused,
+      live: hlsServer.liveMode,
+      onAir: this.onAir.getStatus(),
+      access: this.access,
+      encrypted: Boolean(this.encryption),
+      ingest: {
+        source: this.ingest ? { type: this.ingest.source.type, from: this.ingest.source.from, since: this.ingest.since.toISOString() } : null,
+        ...Object.fromEntries(Object.entries(this.ingestListeners).map(([protocol, listener]) => [protocol, listener.getStatus()]))
+      },
+      recording: this.recorder.isRecording(),
+      break: this.insertions.getStatus().break,
+      deadAir: this.deadAirMonitor.getStatus(),
+      dvr: hlsServer.getDVRWindow(),
+      mixer: hlsServer.mixer.getStatus(),
+      icecast: Object.fromEntries(Object.entries(this.icecastStreams).map(([format, stream]) => [format, stream.getStatus()])),
+      nowPlaying: this.nowPlaying.current,
+      processes: {
+        encoder: hlsServer.supervisor.getStatus(),
+        autoDJ: autoDJ.supervisor.getStatus()
+      }
+    };
+  }
+}
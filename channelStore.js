@@ -0,0 +1,129 @@
+/**
+ * Channel Store
+ * Persists the extra channels (stations) this server runs
+ *
+ * The main channel always exists and isn't stored here; every other channel
+ * (e.g. a music-only stream or a one-off event) is saved to
+ * $DATA_DIR/channels.json so it comes back after a restart.
+ *
+ * Emits:
+ *   'create' (channel) - a channel was added
+ *   'delete' (channel) - a channel was removed
+ *   'update' (channel) - a channel's definition changed (following a failover peer)
+ */
+
+import { EventEmitter } from 'events';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export const MAIN_CHANNEL = 'main';
+export const CHANNEL_ID = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+export class ChannelStore extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.dataDir = options.dataDir || process.env.DATA_DIR || './data';
+    this.filePath = path.join(this.dataDir, 'channels.json');
+    this.channels = [];   // { id, name, description, renditions, lowLatency, access, encryption, rtmpPort, srtPort, createdAt }
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      this.channels = (data.channels || []).filter(c => CHANNEL_ID.test(c.id) && c.id !== MAIN_CHANNEL);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ [CHANNELS] Failed to read ${this.filePath}:`, error.message);
+        throw error;
+      }
+      this.channels = [];
+    }
+    console.log(`📺 [CHANNELS] ${this.channels.length} extra channel(s)${this.channels.length ? `: ${this.channels.map(c => c.id).join(', ')}` : ''}`);
+    return this.channels;
+  }
+
+  save() {
+    const snapshot = JSON.stringify({ channels: this.channels }, null, 2);
+    this.writeQueue = this.writeQueue.then(async () => {
+      await fs.mkdir(this.dataDir, { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tmpPath, snapshot);
+      await fs.rename(tmpPath, this.filePath);
+    }).catch((error) => {
+      console.error('❌ [CHANNELS] Failed to save channels:', error);
+    });
+    return this.writeQueue;
+  }
+
+  list() {
+    return this.channels;
+  }
+
+  get(id) {
+    return this.channels.find(c => c.id === id) || null;
+  }
+
+  async create({ id, name, description = '', renditions = null, lowLatency = false, access = null, encryption = null, rtmpPort = null, srtPort = null }) {
+    if (id === MAIN_CHANNEL || this.get(id)) {
+      return null;
+    }
+    const channel = {
+      id,
+      name: name || id,
+      description,
+      renditions,
+      lowLatency: Boolean(lowLatency),
+      access,           // null = STREAM_ACCESS
+      encryption,       // null = HLS_ENCRYPTION
+      rtmpPort,         // Live ingest listeners (null = none)
+      srtPort,
+      createdAt: new Date().toISOString()
+    };
+    this.channels.push(channel);
+    await this.save();
+    console.log(`📺 [CHANNELS] Created channel "${id}"`);
+    this.emit('create', channel);
+    return channel;
+  }
+
+  /**
+   * Match the channels of the instance a failover standby mirrors - new ones
+   * are added, missing ones removed and changed ones updated
+   */
+  async sync(definitions) {
+    const wanted = definitions.filter(c => CHANNEL_ID.test(c.id) && c.id !== MAIN_CHANNEL);
+    const added = wanted.filter(c => !this.get(c.id));
+    const removed = this.channels.filter(c => !wanted.some(w => w.id === c.id));
+    const updated = wanted.filter(c => this.get(c.id) && JSON.stringify(this.get(c.id)) !== JSON.stringify(c));
+    if (added.length === 0 && removed.length === 0 && updated.length === 0) {
+      return;
+    }
+    this.channels = wanted;
+    await this.save();
+    for (const channel of removed) {
+      console.log(`📺 [CHANNELS] Deleted channel "${channel.id}" (following the active instance)`);
+      this.emit('delete', channel);
+    }
+    for (const channel of added) {
+      console.log(`📺 [CHANNELS] Created channel "${channel.id}" (following the active instance)`);
+      this.emit('create', channel);
+    }
+    for (const channel of updated) {
+      console.log(`📺 [CHANNELS] Updated channel "${channel.id}" (following the active instance)`);
+      this.emit('update', channel);
+    }
+  }
+
+  async remove(id) {
+    const channel = this.get(id);
+    if (!channel) {
+      return null;
+    }
+    this.channels = this.channels.filter(c => c.id !== id);
+    await this.save();
+    console.log(`📺 [CHANNELS] Deleted channel "${id}"`);
+    this.emit('delete', channel);
+    return channel;
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * Channels API
+ * List, create and remove channels (stations). Each channel's playlists,
+ * schedule and recordings are managed under /api/channels/:id/...
+ */
+
+import express from 'express';
+import { CHANNEL_ID, MAIN_CHANNEL } from './channelStore.js';
+import { STREAM_ACCESS } from './signedUrls.js';
+
+/**
+ * Ports this server already listens on (HTTP, Icecast sources, every channel's RTMP/SRT)
+ */
+function portsInUse(channels) {
+  const ports = [process.env.PORT || '8081', process.env.ICECAST_SOURCE_PORT].map(port => parseInt(port || '0', 10));
+  for (const channel of channels.values()) {
+    ports.push(...Object.values(channel.ingestListeners).map(listener => listener.port));
+  }
+  return ports.filter(port => port > 0);
+}
+
+function validateChannel(body, channels) {
+  if (!body || typeof body.id !== 'string' || !CHANNEL_ID.test(body.id)) {
+    return 'id may only contain lowercase letters, numbers and - (max 32)';
+  }
+  if (body.id === MAIN_CHANNEL) {
+    return `"${MAIN_CHANNEL}" is reserved`;
+  }
+  if (body.name != null && (typeof body.name !== 'string' || !body.name.trim())) {
+    return 'name must be a non-empty string';
+  }
+  if (body.renditions != null && !/^\d+(,\d+)*$/.test(String(body.renditions).replace(/\s/g, ''))) {
+    return 'renditions must be a list of bitrates in kbps, e.g. "64,32,128"';
+  }
+  if (body.lowLatency != null && typeof body.lowLatency !== 'boolean') {
+    return 'lowLatency must be true or false';
+  }
+  if (body.access != null && !STREAM_ACCESS.includes(body.access)) {
+    return `access must be one of ${STREAM_ACCESS.join(', ')}`;
+  }
+  if (body.encryption != null && typeof body.encryption !== 'boolean') {
+    return 'encryption must be true or false';
+  }
+  if (body.encryption && body.lowLatency) {
+    return 'encryption is not supported with lowLatency';
+  }
+  if (body.encryption && (body.access || process.env.STREAM_ACCESS || 'public') !== 'signed') {
+    return 'encryption needs access "signed" (the keys would be public otherwise)';
+  }
+  for (const field of ['rtmpPort', 'srtPort']) {
+    if (body[field] == null) {
+      continue;
+    }
+    if (!Number.isInteger(body[field]) || body[field] < 1024 || body[field] > 65535) {
+      return `${field} must be a port number from 1024 to 65535`;
+    }
+    if (portsInUse(channels).includes(body[field])) {
+      return `${field} ${body[field]} is already in use`;
+    }
+  }
+  if (body.rtmpPort != null && body.rtmpPort === body.srtPort) {
+    return 'rtmpPort and srtPort must differ';
+  }
+  if (body.srtPort != null && !process.env.SRT_PASSPHRASE) {
+    return 'srtPort needs SRT_PASSPHRASE to be set';
+  }
+  return null;
+}
+
+export function createChannelsRouter({ store, channels, auth }) {
+  const router = express.Router();
+  router.use('/channels', auth);
+
+  const describe = (channel) => ({
+    id: channel.id,
+    name: channel.name,
+    description: channel.description,
+    main: channel.id === MAIN_CHANNEL,
+    urls: {
+      hls: `/channels/${channel.id}/live.m3u8`,
+      dvr: `/channels/${channel.id}/dvr.m3u8`,
+      streams: Object.keys(channel.icecastStreams).map(format => `/channels/${channel.id}/stream.${format}`),
+      nowPlaying: `/channels/${channel.id}/now-playing`
+    },
+    status: channel.getStatus()
+  });
+
+  router.get('/channels', (req, res) => {
+    res.json({ channels: [...channels.values()].map(describe) });
+  });
+
+  router.post('/channels', async (req, res) => {
+    const error = validateChannel(req.body, channels);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { id, name, description, renditions, lowLatency, access, encryption, rtmpPort, srtPort } = req.body;
+    try {
+      const created = await store.create({
+        id,
+        name: name && name.trim(),
+        description: typeof description === 'string' ? description : '',
+        renditions: renditions != null ? String(renditions).replace(/\s/g, '') : null,
+        lowLatency,
+        access,
+        encryption,
+        rtmpPort,
+        srtPort
+      });
+      if (!created) {
+        return res.status(409).json({ error: 'Channel already exists' });
+      }
+      // The server starts it on the store's 'create' event
+      const channel = channels.get(id);
+      res.status(201).json(channel ? describe(channel) : created);
+    } catch (err) {
+      console.error('❌ [API] Error creating channel:', err);
+      res.status(500).json({ error: 'Failed to create channel' });
+    }
+  });
+
+  router.get('/channels/:id', (req, res) => {
+    const channel = channels.get(req.params.id);
+    if (!channel) {
+      return res.status(404).json({ error: 'Channel not found' });
+    }
+    res.json(describe(channel));
+  });
+
+  router.delete('/channels/:id', async (req, res) => {
+    if (req.params.id === MAIN_CHANNEL) {
+      return res.status(400).json({ error: 'The main channel cannot be deleted' });
+    }
+    try {
+      const removed = await store.remove(req.params.id);
+      if (!removed) {
+        return res.status(404).json({ error: 'Channel not found' });
+      }
+      res.json(removed);
+    } catch (err) {
+      console.error('❌ [API] Error deleting channel:', err);
+      res.status(500).json({ error: 'Failed to delete channel' });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,144 @@
+/**
+ * Dead Air Monitor
+ * Watches live audio for missing chunks or sustained silence
+ *
+ * Emits:
+ *   'dead-air'  { reason: 'no-audio' | 'silence', silentFor }  - threshold exceeded
+ *   'recovered' { deadFor }                                     - real audio is back
+ */
+
+import { EventEmitter } from 'events';
+
+/**
+ * RMS level of f32le PCM in dBFS (-Infinity for digital silence)
+ */
+export function levelDb(buffer) {
+  const samples = Math.floor(buffer.length / 4);
+  if (samples === 0) {
+    return -Infinity;
+  }
+  let sum = 0;
+  if (buffer.byteOffset % 4 === 0) {
+    const view = new Float32Array(buffer.buffer, buffer.byteOffset, samples);
+    for (let i = 0; i < samples; i++) {
+      sum += view[i] * view[i];
+    }
+  } else {
+    for (let i = 0; i < samples; i++) {
+      const value = buffer.readFloatLE(i * 4);
+      sum += value * value;
+    }
+  }
+  const rms = Math.sqrt(sum / samples);
+  return rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+}
+
+export class DeadAirMonitor extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.threshold = parseFloat(options.threshold ?? process.env.DEAD_AIR_THRESHOLD ?? '10') * 1000;       // Dead air after this long (ms)
+    this.silenceDb = parseFloat(options.silenceDb ?? process.env.DEAD_AIR_SILENCE_DB ?? '-50');            // Below this counts as silence
+    this.recovery = parseFloat(options.recovery ?? process.env.DEAD_AIR_RECOVERY ?? '2') * 1000;           // Audio must be back this long (ms)
+    this.active = false;
+    this.deadAir = false;
+    this.deadSince = null;
+    this.lastChunkAt = 0;
+    this.lastSoundAt = 0;
+    this.soundSince = null;    // Start of the current run of real audio while in dead air
+    this.timer = null;
+  }
+
+  /**
+   * Start watching (live show began)
+   */
+  activate() {
+    const now = Date.now();
+    this.active = true;
+    this.deadAir = false;
+    this.deadSince = null;
+    this.lastChunkAt = now;   // Give the broadcaster the full threshold to start sending
+    this.lastSoundAt = now;
+    this.soundSince = null;
+    if (!this.timer) {
+      this.timer = setInterval(() => this.check(), 1000);
+    }
+    console.log(`👂 [DEAD AIR] Monitoring live audio (${this.threshold / 1000}s threshold, ${this.silenceDb} dBFS)`);
+  }
+
+  /**
+   * Stop watching (live show ended)
+   */
+  deactivate() {
+    this.active = false;
+    this.deadAir = false;
+    this.deadSince = null;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Feed a chunk of live PCM (f32le)
+   */
+  analyze(buffer) {
+    if (!this.active || !buffer) {
+      return;
+    }
+    const now = Date.now();
+    const gap = now - this.lastChunkAt;
+    this.lastChunkAt = now;
+
+    if (levelDb(buffer) > this.silenceDb) {
+      this.lastSoundAt = now;
+      if (this.deadAir) {
+        // A long pause between chunks breaks the run - audio must be steady
+        if (this.soundSince === null || gap > 1000) {
+          this.soundSince = now;
+        } else if (now - this.soundSince >= this.recovery) {
+          this.recover(now);
+        }
+      }
+    } else if (this.deadAir) {
+      this.soundSince = null;
+    }
+  }
+
+  check() {
+    if (!this.active || this.deadAir) {
+      return;
+    }
+    const now = Date.now();
+    const sinceChunk = now - this.lastChunkAt;
+    const sinceSound = now - this.lastSoundAt;  // Always >= sinceChunk
+    if (sinceSound >= this.threshold) {
+      this.deadAir = true;
+      this.deadSince = this.lastSoundAt;
+      this.soundSince = null;
+      const alert = {
+        reason: sinceChunk >= this.threshold ? 'no-audio' : 'silence',
+        silentFor: Math.round(sinceSound / 1000),
+        at: new Date(now).toISOString()
+      };
+      console.warn(`🚨 [DEAD AIR] ${alert.reason === 'no-audio' ? 'No live audio received' : 'Live audio is silent'} for ${alert.silentFor}s`);
+      this.emit('dead-air', alert);
+    }
+  }
+
+  recover(now = Date.now()) {
+    const deadFor = Math.round((now - this.deadSince) / 1000);
+    this.deadAir = false;
+    this.deadSince = null;
+    this.soundSince = null;
+    console.log(`✅ [DEAD AIR] Live audio is back after ${deadFor}s`);
+    this.emit('recovered', { deadFor, at: new Date(now).toISOString() });
+  }
+
+  getStatus() {
+    return {
+      active: this.active,
+      deadAir: this.deadAir,
+      deadSince: this.deadSince ? new Date(this.deadSince).toISOString() : null
+    };
+  }
+}
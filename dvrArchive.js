@@ -0,0 +1,198 @@
+/**
+ * DVR Archive
+ * Keeps a rolling window of HLS segments (e.g. 2 hours) for time-shifted playback
+ *
+ * FFmpeg's live playlist only keeps a few segments and deletes old ones.
+ * We follow that playlist and hard-link each new segment into an archive
+ * directory before it's deleted, then serve a long sliding-window playlist.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Parse a media playlist into [{ uri, duration, programDateTime }]
+ */
+export function parseMediaPlaylist(text) {
+  const entries = [];
+  let duration = null;
+  let programDateTime = null;
+  for (const raw of text.split('\n')) {
+    const line = raw.trim();
+    if (line.startsWith('#EXTINF:')) {
+      duration = parseFloat(line.slice(8));
+    } else if (line.startsWith('#EXT-X-PROGRAM-DATE-TIME:')) {
+      programDateTime = Date.parse(line.slice(25));
+    } else if (line && !line.startsWith('#')) {
+      entries.push({ uri: line, duration, programDateTime });
+      duration = null;
+      programDateTime = null;
+    }
+  }
+  return entries;
+}
+
+/**
+ * Turn a ?start= value into a wall-clock time (ms).
+ * Accepts an ISO timestamp, unix seconds, or a negative offset in seconds from now.
+ */
+export function parseStart(value, now = Date.now()) {
+  if (value == null || value === '') {
+    return null;
+  }
+  if (/^-\d+(\.\d+)?$/.test(value)) {
+    return now + parseFloat(value) * 1000;
+  }
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    return parseFloat(value) * 1000;
+  }
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+export class DVRArchive {
+  constructor({ sourceDir, archiveDir, window = 7200, name = '', discontinuities = [] }) {
+    this.sourceDir = sourceDir;      // Where FFmpeg writes the live playlist/segments
+    this.archiveDir = archiveDir;    // Where we keep our hard links
+    this.window = window;            // Seconds of audio to keep
+    this.name = name;
+    this.discontinuities = discontinuities;  // Shared with HLSServer - segment numbers after encoder restarts
+    this.segments = [];              // { sequence, uri, duration, programDateTime, file }
+    this.known = new Set();          // URIs already archived
+    this.timer = null;
+    this.syncing = false;
+  }
+
+  async start() {
+    await fs.rm(this.archiveDir, { recursive: true, force: true }).catch(() => {});
+    await fs.mkdir(this.archiveDir, { recursive: true });
+    this.segments = [];
+    this.known.clear();
+    this.timer = setInterval(() => this.sync(), 1000);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Pick up new segments from the live playlist
+   */
+  async sync() {
+    if (this.syncing) {
+      return;
+    }
+    this.syncing = true;
+    try {
+      const text = await fs.readFile(path.join(this.sourceDir, 'playlist.m3u8'), 'utf8').catch(() => null);
+      if (!text) {
+        return;
+      }
+      for (const entry of parseMediaPlaylist(text)) {
+        if (this.known.has(entry.uri)) {
+          continue;
+        }
+        const match = /(\d+)\.ts$/.exec(entry.uri);
+        if (!match) {
+          continue;
+        }
+        const file = path.join(this.archiveDir, path.basename(entry.uri));
+        try {
+          await fs.link(path.join(this.sourceDir, entry.uri), file);
+        } catch (error) {
+          if (error.code === 'ENOENT') {
+            continue;  // Already deleted by FFmpeg - nothing we can do
+          }
+          if (error.code !== 'EEXIST') {
+            throw error;
+          }
+        }
+        this.known.add(entry.uri);
+        this.segments.push({
+          sequence: parseInt(match[1], 10),
+          uri: entry.uri,
+          duration: entry.duration || 0,
+          programDateTime: entry.programDateTime || Date.now(),
+          file
+        });
+      }
+      await this.prune();
+    } catch (error) {
+      console.error(`❌ [DVR] ${this.name} sync failed:`, error.message);
+    } finally {
+      this.syncing = false;
+    }
+  }
+
+  async prune() {
+    let total = this.segments.reduce((sum, s) => sum + s.duration, 0);
+    while (this.segments.length > 1 && total - this.segments[0].duration >= this.window) {
+      const old = this.segments.shift();
+      total -= old.duration;
+      this.known.delete(old.uri);
+      await fs.unlink(old.file).catch(() => {});
+    }
+  }
+
+  /**
+   * Path of an archived segment, or null if it's not in the window
+   */
+  getSegmentPath(sequence) {
+    const segment = this.segments.find(s => s.sequence === sequence);
+    return segment ? segment.file : null;
+  }
+
+  getWindow() {
+    if (this.segments.length === 0) {
+      return null;
+    }
+    const first = this.segments[0];
+    const last = this.segments[this.segments.length - 1];
+    return {
+      start: new Date(first.programDateTime).toISOString(),
+      end: new Date(last.programDateTime + last.duration * 1000).toISOString(),
+      seconds: this.segments.reduce((sum, s) => sum + s.duration, 0)
+    };
+  }
+
+  /**
+   * Sliding-window playlist covering the whole archive.
+   * `start` (wall-clock ms) adds EXT-X-START so players begin there.
+   */
+  getPlaylist({ start = null } = {}) {
+    if (this.segments.length === 0) {
+      throw new Error('DVR archive is empty');
+    }
+    const targetDuration = Math.ceil(Math.max(...this.segments.map(s => s.duration)));
+    const lines = [
+      '#EXTM3U',
+      '#EXT-X-VERSION:6',
+      `#EXT-X-TARGETDURATION:${targetDuration}`,
+      `#EXT-X-MEDIA-SEQUENCE:${this.segments[0].sequence}`
+    ];
+    const first = this.segments[0].sequence;
+    const passed = this.discontinuities.filter(n => n < first).length;
+    if (passed > 0) {
+      lines.push(`#EXT-X-DISCONTINUITY-SEQUENCE:${passed}`);
+    }
+
+    if (start != null) {
+      const offset = (start - this.segments[0].programDateTime) / 1000;
+      const clamped = Math.max(0, Math.min(offset, this.getWindow().seconds - targetDuration * 3));
+      lines.push(`#EXT-X-START:TIME-OFFSET=${clamped.toFixed(3)},PRECISE=YES`);
+    }
+
+    for (const segment of this.segments) {
+      if (this.discontinuities.includes(segment.sequence)) {
+        lines.push('#EXT-X-DISCONTINUITY');
+      }
+      lines.push(`#EXT-X-PROGRAM-DATE-TIME:${new Date(segment.programDateTime).toISOString()}`);
+      lines.push(`#EXTINF:${segment.duration.toFixed(6)},`);
+      lines.push(segment.uri);
+    }
+    return lines.join('\n') + '\n';
+  }
+}
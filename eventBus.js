@@ -0,0 +1,45 @@
+/**
+ * Event Bus
+ * Stream state changes from every channel in one place - what webhooks
+ * (and anything else in the server) subscribe to instead of polling /health
+ *
+ * Each event is { id, type, channel, timestamp, data }; `channel` is null for
+ * server-wide events (listener peaks).
+ *
+ * Emits:
+ *   'event' (event)  - every event
+ *   '<type>' (event) - just that type, e.g. 'live.started'
+ */
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+
+// Event types and what `data` carries
+export const EVENT_TYPES = {
+  'live.started': 'A live show went on air ({ title, show, host, talkover, source })',
+  'live.stopped': 'The live show ended ({ title, show, host, startedAt, seconds, reason })',
+  'track.changed': 'Auto DJ started a track ({ title, show, host, duration, trackId })',
+  'encoder.failed': 'An FFmpeg process crashed ({ process, reason, restartIn, consecutiveFailures })',
+  'encoder.restarted': 'A crashed FFmpeg process was restarted ({ process, restarts })',
+  'dead-air.started': 'The live show went silent and fallback is on air ({ reason, silentFor, at })',
+  'dead-air.recovered': 'Live audio is back ({ deadFor, at })',
+  'listeners.peak': 'New listener peak ({ listeners, at })'
+};
+
+export class EventBus extends EventEmitter {
+  /**
+   * Announce an event - returns it
+   */
+  publish(type, channel = null, data = {}) {
+    const event = {
+      id: randomUUID(),
+      type,
+      channel,
+      timestamp: new Date().toISOString(),
+      data
+    };
+    this.emit('event', event);
+    this.emit(type, event);
+    return event;
+  }
+}
@@ -0,0 +1,353 @@
+/**
+ * Failover
+ * Hot standby between two streaming server instances
+ *
+ * Both instances point at each other with FAILOVER_PEER_URL; one is
+ * FAILOVER_ROLE=primary, the other FAILOVER_ROLE=standby. The standby doesn't
+ * encode anything - it polls the active instance's heartbeat
+ * (GET /failover/heartbeat, with an admin key) and mirrors every channel's HLS
+ * playlists and segments into its own segment directories, so listeners can
+ * be pointed at either one. The heartbeat also carries the channel definitions,
+ * so channels created, changed or deleted on the active instance are added,
+ * rebuilt or removed on the standby before it mirrors them. Signing and
+ * encryption happen as segments are served, so the standby copies them as
+ * encoded and uses the same keys.
+ *
+ * When heartbeats stop for FAILOVER_TIMEOUT seconds the standby takes over:
+ * each channel's encoder carries on numbering after the last segment the
+ * primary could have written (marked as a discontinuity), so players keep
+ * going without a reset or a reused segment, and Auto DJ resumes the track the
+ * primary was playing at its last heartbeat. The instance that took over stays
+ * active; a primary that comes back while its peer is serving starts as the
+ * standby instead, so the pair never runs two encoders.
+ *
+ * Emits:
+ *   'promote' (takeover)  - start serving; takeover maps channel id -> { startNumber, discontinuities }
+ */
+
+import { EventEmitter } from 'events';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+import { SEGMENT_SECONDS } from './hlsServer.js';
+
+export const FAILOVER_ROLES = ['primary', 'standby'];
+
+// Segments kept after they leave the primary's playlist, for players a little behind
+const KEEP_SEGMENTS = 3;
+
+// LL-HLS parts and hints only exist in the primary's memory - mirror whole segments
+const LOW_LATENCY_TAGS = ['#EXT-X-PART', '#EXT-X-PRELOAD-HINT', '#EXT-X-SERVER-CONTROL', '#EXT-X-RENDITION-REPORT', '#EXT-X-SKIP'];
+
+/**
+ * Strip low-latency tags from a media playlist
+ */
+export function stripLowLatency(playlist) {
+  return playlist
+    .split('\n')
+    .filter(line => !LOW_LATENCY_TAGS.some(tag => line.startsWith(tag)))
+    .join('\n');
+}
+
+/**
+ * Segment numbers listed in a media playlist
+ */
+function segmentNumbers(playlist) {
+  return playlist
+    .split('\n')
+    .map(line => /^segment-(\d+)\.ts$/.exec(line.trim()))
+    .filter(Boolean)
+    .map(match => parseInt(match[1], 10));
+}
+
+const segmentFile = (number) => `segment-${String(number).padStart(5, '0')}.ts`;
+
+async function writeAtomic(file, data) {
+  const tmpPath = `${file}.tmp`;
+  await fs.writeFile(tmpPath, data);
+  await fs.rename(tmpPath, file);
+}
+
+export class FailoverManager extends EventEmitter {
+  constructor(channels, options = {}) {
+    super();
+    this.channels = channels;   // Channel id -> Channel (mirrored and taken over together)
+    this.store = options.store ?? null;  // ChannelStore - kept in step with the peer's channels
+    this.role = options.role ?? process.env.FAILOVER_ROLE ?? null;
+    this.peerUrl = (options.peerUrl ?? process.env.FAILOVER_PEER_URL ?? '').replace(/\/+$/, '');
+    this.key = options.key ?? process.env.FAILOVER_KEY ?? process.env.API_KEY ?? '';                       // Admin key the peer accepts
+    this.interval = parseFloat(options.interval ?? process.env.FAILOVER_HEARTBEAT_INTERVAL ?? '2') * 1000;  // Heartbeat poll (ms)
+    this.timeout = parseFloat(options.timeout ?? process.env.FAILOVER_TIMEOUT ?? '10') * 1000;              // Take over after this long without one (ms)
+    this.instance = options.instance ?? process.env.FAILOVER_NAME ?? os.hostname();
+    this.state = 'active';      // 'active' (encoding and serving) or 'standby' (mirroring the peer)
+    this.since = new Date();
+    this.lastHeartbeat = null;
+    this.peer = null;           // Last heartbeat: { instance, state, since }
+    this.lastError = null;
+    this.replicated = new Map();  // channel id -> { sequence, discontinuities } mirrored so far
+    this.timer = null;
+    this.polling = false;
+
+    if (this.role && !FAILOVER_ROLES.includes(this.role)) {
+      console.warn(`⚠️  FAILOVER_ROLE must be ${FAILOVER_ROLES.join(' or ')} - running without failover`);
+      this.role = null;
+    } else if (this.role && !this.peerUrl) {
+      console.warn('⚠️  FAILOVER_ROLE is set but FAILOVER_PEER_URL is not - running without failover');
+      this.role = null;
+    }
+  }
+
+  get enabled() {
+    return this.role !== null;
+  }
+
+  isStandby() {
+    return this.state === 'standby';
+  }
+
+  /**
+   * Decide whether to serve or stand by. Returns the state.
+   */
+  async start() {
+    if (!this.enabled) {
+      return this.state;
+    }
+    if (this.role === 'primary') {
+      const peer = await this.heartbeat().catch(() => null);
+      if (!peer || peer.state !== 'active') {
+        console.log(`🛡️ [FAILOVER] Primary (${this.instance}) - serving, standby at ${this.peerUrl}`);
+        return this.state;
+      }
+      console.log(`🛡️ [FAILOVER] ${peer.instance} took over while we were down - starting as standby`);
+    }
+
+    this.state = 'standby';
+    this.since = new Date();
+    this.lastHeartbeat = Date.now();  // Give the peer a full timeout to answer
+    console.log(`🛡️ [FAILOVER] Standby (${this.instance}) - mirroring ${this.peerUrl}, taking over after ${this.timeout / 1000}s without a heartbeat`);
+    this.timer = setInterval(() => this.poll(), this.interval);
+    return this.state;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async heartbeat() {
+    const { data } = await axios.get(`${this.peerUrl}/failover/heartbeat`, {
+      headers: { Authorization: `Bearer ${this.key}` },
+      timeout: this.interval
+    });
+    return data;
+  }
+
+  /**
+   * One standby tick: check the peer, mirror its segments, take over if it's gone
+   */
+  async poll() {
+    if (this.polling || !this.isStandby()) {
+      return;
+    }
+    this.polling = true;
+    try {
+      let peer = null;
+      try {
+        peer = await this.heartbeat();
+        this.peer = { instance: peer.instance, state: peer.state, since: peer.since };
+        this.lastError = null;
+      } catch (error) {
+        // Log once per kind of failure, not every tick
+        const message = error.response ? `HTTP ${error.response.status}` : error.message;
+        if (this.lastError !== message) {
+          console.warn(`⚠️ [FAILOVER] No heartbeat from ${this.peerUrl}: ${message}`);
+        }
+        this.lastError = message;
+      }
+
+      if (peer && peer.state === 'active') {
+        this.lastHeartbeat = Date.now();
+        await this.syncChannels(peer);
+        await this.replicate(peer);
+      } else if (peer && this.role === 'primary') {
+        // Both standing by (the peer restarted after taking over) - the primary serves
+        await this.promote('peer is standing by');
+        return;
+      }
+
+      if (Date.now() - this.lastHeartbeat > this.timeout) {
+        await this.promote(`no heartbeat for ${Math.round((Date.now() - this.lastHeartbeat) / 1000)}s`);
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Add, update and remove channels to match the peer's
+   */
+  async syncChannels(peer) {
+    if (!this.store || !Array.isArray(peer.definitions)) {
+      return;
+    }
+    try {
+      await this.store.sync(peer.definitions);
+    } catch (error) {
+      console.warn(`⚠️ [FAILOVER] Could not follow the peer's channels: ${error.message}`);
+    }
+    // A deleted channel isn't started on takeover
+    for (const id of this.replicated.keys()) {
+      if (!this.channels.has(id)) {
+        this.replicated.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Mirror every channel the peer is streaming
+   */
+  async replicate(peer) {
+    for (const channel of this.channels.values()) {
+      const remote = peer.channels && peer.channels[channel.id];
+      if (!remote || !remote.streaming) {
+        continue;
+      }
+      try {
+        await this.mirrorChannel(channel, remote);
+      } catch (error) {
+        console.warn(`⚠️ [FAILOVER]${channel.label} Could not mirror segments: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Copy a channel's new segments and playlists, drop the ones that aged out,
+   * and keep the peer's Auto DJ state so a takeover resumes the same track
+   */
+  async mirrorChannel(channel, remote) {
+    const { hlsServer } = channel;
+    const base = `${this.peerUrl}/failover/channels/${encodeURIComponent(channel.id)}`;
+    const headers = { Authorization: `Bearer ${this.key}` };
+    let sequence = Number.isInteger(remote.sequence) ? remote.sequence : -1;
+
+    for (const rendition of hlsServer.renditions) {
+      const dir = path.join(hlsServer.streamPath, rendition.name);
+      await fs.mkdir(dir, { recursive: true });
+      const { data } = await axios.get(`${base}/${rendition.name}/playlist.m3u8`, {
+        headers,
+        responseType: 'text',
+        timeout: this.interval
+      });
+      const playlist = stripLowLatency(data);
+      const numbers = segmentNumbers(playlist);
+      if (numbers.length === 0) {
+        continue;
+      }
+
+      // Segments first, so the playlist never lists one we can't serve
+      for (const number of numbers) {
+        const file = path.join(dir, segmentFile(number));
+        const exists = await fs.access(file).then(() => true, () => false);
+        if (!exists) {
+          const { data: segment } = await axios.get(`${base}/${rendition.name}/${segmentFile(number)}`, {
+            headers,
+            responseType: 'arraybuffer',
+            timeout: this.interval * 2
+          });
+          await writeAtomic(file, Buffer.from(segment));
+        }
+      }
+      await writeAtomic(path.join(dir, 'playlist.m3u8'), playlist);
+
+      const oldest = Math.min(...numbers);
+      for (const file of await fs.readdir(dir)) {
+        const match = /^segment-(\d+)\.ts$/.exec(file);
+        if (match && parseInt(match[1], 10) < oldest - KEEP_SEGMENTS) {
+          await fs.unlink(path.join(dir, file)).catch(() => {});
+        }
+      }
+      sequence = Math.max(sequence, ...numbers);
+    }
+
+    this.replicated.set(channel.id, {
+      sequence,
+      discontinuities: Array.isArray(remote.discontinuities) ? remote.discontinuities : []
+    });
+    // Serve (and carry on with) the peer's encryption keys
+    if (channel.encryption && remote.keyEpoch) {
+      channel.encryption.epoch = remote.keyEpoch;
+    }
+    // The peer's downloaded file is no use here
+    if (remote.autoDJ) {
+      await channel.autoDJ.saveState({ ...remote.autoDJ, file: null });
+    }
+  }
+
+  /**
+   * Stop mirroring and start serving
+   */
+  async promote(reason) {
+    if (!this.isStandby()) {
+      return;
+    }
+    this.stop();
+    this.state = 'active';
+    this.since = new Date();
+    console.log(`🚨 [FAILOVER] Taking over from ${this.peerUrl} - ${reason}`);
+
+    // Carry on after the last segment the primary wrote - skipping the ones it may
+    // have written since its last heartbeat, so no number is reused for other audio
+    const missed = Math.ceil((Date.now() - this.lastHeartbeat) / (SEGMENT_SECONDS * 1000));
+    const takeover = {};
+    for (const [id, { sequence, discontinuities }] of this.replicated) {
+      takeover[id] = { startNumber: sequence + 1 + missed, discontinuities };
+    }
+    this.emit('promote', takeover);
+  }
+
+  /**
+   * What the active instance tells its standby
+   */
+  async getHeartbeat() {
+    const channels = {};
+    let definitions;
+    if (!this.isStandby()) {
+      definitions = this.store ? this.store.list() : undefined;
+      for (const channel of this.channels.values()) {
+        const { hlsServer, autoDJ } = channel;
+        channels[channel.id] = {
+          streaming: hlsServer.isStreaming(),
+          sequence: (await hlsServer.nextSegmentNumber()) - 1,
+          discontinuities: hlsServer.discontinuities,
+          keyEpoch: channel.encryption ? channel.encryption.epoch : null,
+          autoDJ: autoDJ.getState()
+        };
+      }
+    }
+    return {
+      instance: this.instance,
+      state: this.state,
+      since: this.since.toISOString(),
+      time: new Date().toISOString(),
+      channels,
+      definitions
+    };
+  }
+
+  /**
+   * Summary for /health
+   */
+  getStatus() {
+    return {
+      role: this.role,
+      state: this.state,
+      instance: this.instance,
+      since: this.since.toISOString(),
+      peer: this.enabled ? { url: this.peerUrl, ...this.peer, error: this.lastError } : null,
+      lastHeartbeat: this.lastHeartbeat ? new Date(this.lastHeartbeat).toISOString() : null
+    };
+  }
+}
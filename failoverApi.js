@@ -0,0 +1,50 @@
+/**
+ * Failover API
+ * What a standby polls on the active instance (admin key): the heartbeat,
+ * plus each channel's playlists and segments as encoded - unsigned and
+ * unencrypted, since the standby signs and encrypts them itself
+ */
+
+import express from 'express';
+
+export function createFailoverRouter({ failover, channels, auth }) {
+  const router = express.Router();
+  router.use('/failover', auth);
+
+  router.get('/failover/heartbeat', async (req, res) => {
+    try {
+      res.json(await failover.getHeartbeat());
+    } catch (error) {
+      console.error('❌ [FAILOVER] Error building heartbeat:', error);
+      res.status(500).json({ error: 'Failed to build heartbeat' });
+    }
+  });
+
+  router.get('/failover/channels/:channelId/:rendition/playlist.m3u8', async (req, res) => {
+    const channel = channels.get(req.params.channelId);
+    if (!channel) {
+      return res.status(404).json({ error: 'Channel not found' });
+    }
+    try {
+      res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+      res.send(await channel.hlsServer.getPlaylist(req.params.rendition));
+    } catch (error) {
+      res.status(503).json({ error: error.message });
+    }
+  });
+
+  router.get('/failover/channels/:channelId/:rendition/segment-:number.ts', async (req, res) => {
+    const channel = channels.get(req.params.channelId);
+    if (!channel) {
+      return res.status(404).json({ error: 'Channel not found' });
+    }
+    try {
+      res.setHeader('Content-Type', 'video/mp2t');
+      res.send(await channel.hlsServer.getSegment(req.params.number, req.params.rendition));
+    } catch (error) {
+      res.status(404).json({ error: 'Segment not found' });
+    }
+  });
+
+  return router;
+}
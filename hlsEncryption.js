@@ -0,0 +1,109 @@
+/**
+ * HLS Encryption
+ * AES-128 segment encryption with rotating keys
+ *
+ * Segments are encrypted as they're served (after ID3 tagging), so the live
+ * window, the DVR archive and a failover standby all use the same keys. A new
+ * key takes over every HLS_KEY_ROTATION seconds of audio. Keys aren't stored:
+ * each one is derived from STREAM_SIGNING_SECRET, the channel, a per-stream
+ * epoch and the key period, so any instance with the secret can serve them.
+ * The epoch changes whenever the stream starts from segment 0, so keys (and
+ * IVs, which are the segment numbers) are never reused for other audio.
+ *
+ * Playlists get an EXT-X-KEY tag wherever the key changes; players fetch
+ * `key-<epoch>-<period>.key` next to the playlist - a signed URL like the rest.
+ */
+
+import { createCipheriv, createHmac, randomBytes } from 'crypto';
+import { SEGMENT_SECONDS } from './hlsServer.js';
+
+export const KEY_ID = /^[0-9a-f]{8}-\d+$/;
+
+export class SegmentEncryption {
+  constructor(channelId, options = {}) {
+    this.channelId = channelId;
+    this.secret = options.secret ?? process.env.STREAM_SIGNING_SECRET ?? '';
+    const rotation = parseFloat(options.rotation ?? process.env.HLS_KEY_ROTATION ?? '300');  // Seconds of audio per key
+    this.segmentsPerKey = Math.max(1, Math.round(rotation / SEGMENT_SECONDS));
+    if (!this.secret) {
+      // Keys still work, but change on restart and differ on a failover peer
+      console.warn(`⚠️  HLS encryption for "${channelId}" without STREAM_SIGNING_SECRET - using a temporary secret`);
+      this.secret = randomBytes(32).toString('hex');
+    }
+    this.epoch = null;
+    this.newEpoch();
+  }
+
+  /**
+   * Fresh keys for a stream starting over from segment 0
+   */
+  newEpoch() {
+    this.epoch = randomBytes(4).toString('hex');
+  }
+
+  keyId(sequence) {
+    return `${this.epoch}-${Math.floor(sequence / this.segmentsPerKey)}`;
+  }
+
+  key(keyId) {
+    return createHmac('sha256', this.secret).update(`hls-key:${this.channelId}:${keyId}`).digest().subarray(0, 16);
+  }
+
+  /**
+   * AES-128-CBC with the segment number as the IV (what players assume when
+   * EXT-X-KEY has no IV and media sequence numbers match segment numbers)
+   */
+  encrypt(data, sequence) {
+    const iv = Buffer.alloc(16);
+    iv.writeBigUInt64BE(BigInt(sequence), 8);
+    const cipher = createCipheriv('aes-128-cbc', this.key(this.keyId(sequence)), iv);
+    return Buffer.concat([cipher.update(data), cipher.final()]);
+  }
+
+  /**
+   * Add EXT-X-KEY tags to a media playlist: one wherever the key changes, and
+   * an explicit IV for any segment whose number isn't its media sequence number
+   * (e.g. after a gap in the DVR archive)
+   */
+  addKeyTags(playlist) {
+    const lines = [];
+    let mediaSequence = 0;
+    let index = 0;
+    let pending = [];     // Tags that belong to the next segment
+    let currentKey = null;
+    let explicitIV = false;
+    for (const line of playlist.split('\n')) {
+      if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+        mediaSequence = parseInt(line.slice(22), 10) || 0;
+      }
+      const match = /(?:^|\/)segment-(\d+)\.ts(?:\?|$)/.exec(line);
+      if (line.startsWith('#EXTINF') || line.startsWith('#EXT-X-PROGRAM-DATE-TIME') || line.startsWith('#EXT-X-DISCONTINUITY') ||
+          line.startsWith('#EXT-X-PART:') || line.startsWith('#EXT-X-BYTERANGE')) {
+        pending.push(line);
+        continue;
+      }
+      if (!match || line.startsWith('#')) {
+        lines.push(...pending, line);
+        pending = [];
+        continue;
+      }
+
+      const sequence = parseInt(match[1], 10);
+      const keyId = this.keyId(sequence);
+      const implied = mediaSequence + index;
+      if (keyId !== currentKey || sequence !== implied || explicitIV) {
+        const iv = sequence !== implied ? `,IV=0x${sequence.toString(16).padStart(32, '0')}` : '';
+        // The key tag goes before the segment's own tags (the discontinuity must stay first)
+        const discontinuity = pending[0] === '#EXT-X-DISCONTINUITY' ? [pending.shift()] : [];
+        lines.push(...discontinuity, `#EXT-X-KEY:METHOD=AES-128,URI="key-${keyId}.key"${iv}`);
+        currentKey = keyId;
+        explicitIV = iv !== '';
+      }
+      lines.push(...pending, line);
+      pending = [];
+      index++;
+    }
+    lines.push(...pending);
+    return lines.join('\n');
+  }
+}
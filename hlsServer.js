@@ -1,82 +1,302 @@
 /**
  * HLS Streaming Server
  * Generates HLS segments from live audio
+ *
+ * One FFmpeg process encodes several AAC renditions (e.g. 32k HE-AAC, 64k,
+ * 128k) and a master playlist lets players step down on weak connections.
+ * Sources don't write to FFmpeg directly - they go through the AudioMixer,
+ * which fades, ducks and sums them into one continuous feed. The feed then
+ * runs through the processing chain (loudness, limiter) once for all renditions.
+ *
+ * With HLS_LOW_LATENCY=true each rendition is encoded to MPEG-TS on a pipe
+ * and cut into LL-HLS partial segments by a PartialSegmenter instead of
+ * FFmpeg's HLS muxer.
  */
 
 import { spawn } from 'child_process';
 import { promises as fs } from 'fs';
 import path from 'path';
 import { PassThrough } from 'stream';
+import { AudioMixer, dbToGain } from './audioMixer.js';
+import { buildFilterChain, describeProcessing, parseProcessing } from './audioProcessing.js';
+import { DVRArchive, parseStart } from './dvrArchive.js';
+import { buildId3Tag, injectTimedId3 } from './id3.js';
+import { PartialSegmenter } from './partialSegmenter.js';
+import { ProcessSupervisor } from './processSupervisor.js';
+
+export const SEGMENT_SECONDS = 4;
+
+// Low bitrates sound far better as HE-AAC (needs libfdk_aac in FFmpeg)
+const HE_AAC_MAX_BITRATE = 48;
+
+/**
+ * Parse "64,32,128" into rendition definitions.
+ * The first entry is where most players start before adapting.
+ */
+export function parseRenditions(spec) {
+  return String(spec)
+    .split(',')
+    .map(value => parseInt(value.trim(), 10))
+    .filter(bitrate => bitrate > 0)
+    .map(bitrate => ({
+      name: `${bitrate}k`,
+      bitrate,
+      heAAC: bitrate <= HE_AAC_MAX_BITRATE
+    }));
+}
+
+/**
+ * Normalize incoming audio to an f32le PCM Buffer (null if unrecognized).
+ * audioData can be either Buffer (from Auto DJ) or Float32Array (from browser via Socket.IO)
+ */
+export function toPCMBuffer(audioData) {
+  if (Buffer.isBuffer(audioData)) {
+    // Already a buffer from Auto DJ FFmpeg (f32le PCM data)
+    return audioData;
+  }
+  if (audioData instanceof Float32Array || (audioData && audioData.buffer)) {
+    // Float32Array from browser - convert to Buffer
+    return Buffer.from(audioData.buffer, audioData.byteOffset, audioData.byteLength);
+  }
+  return null;
+}
+
+/**
+ * Mark encoder restarts in an FFmpeg media playlist: EXT-X-DISCONTINUITY before
+ * each segment a restarted encoder began with, plus EXT-X-DISCONTINUITY-SEQUENCE
+ * for restarts that have already slid out of the window.
+ */
+export function addDiscontinuities(playlist, discontinuities) {
+  const header = [];
+  const segments = [];
+  let tags = [];
+  for (const line of playlist.split('\n')) {
+    if (!line) {
+      continue;
+    }
+    if (line.startsWith('#EXTINF') || line.startsWith('#EXT-X-PROGRAM-DATE-TIME') || line.startsWith('#EXT-X-DISCONTINUITY')) {
+      tags.push(line);
+    } else if (!line.startsWith('#')) {
+      const match = /(\d+)\.ts$/.exec(line);
+      segments.push({ sequence: match ? parseInt(match[1], 10) : null, tags, uri: line });
+      tags = [];
+    } else if (segments.length === 0 && tags.length === 0) {
+      header.push(line);
+    } else {
+      tags.push(line);
+    }
+  }
+  if (segments.length === 0) {
+    return playlist;
+  }
+
+  const first = segments[0].sequence;
+  const passed = discontinuities.filter(n => n < first).length;
+  const lines = [...header];
+  // (a playlist mirrored from a failover peer may already have it)
+  if (passed > 0 && !header.some(l => l.startsWith('#EXT-X-DISCONTINUITY-SEQUENCE'))) {
+    const index = lines.findIndex(l => l.startsWith('#EXT-X-MEDIA-SEQUENCE'));
+    lines.splice(index >= 0 ? index + 1 : lines.length, 0, `#EXT-X-DISCONTINUITY-SEQUENCE:${passed}`);
+  }
+  for (const segment of segments) {
+    if (discontinuities.includes(segment.sequence) && !segment.tags.includes('#EXT-X-DISCONTINUITY')) {
+      lines.push('#EXT-X-DISCONTINUITY');
+    }
+    lines.push(...segment.tags, segment.uri);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Check which AAC encoders this FFmpeg build has
+ */
+function hasEncoder(name) {
+  return new Promise((resolve) => {
+    const probe = spawn('ffmpeg', ['-hide_banner', '-encoders']);
+    let output = '';
+    probe.stdout.on('data', (data) => { output += data.toString(); });
+    probe.on('error', () => resolve(false));
+    probe.on('close', () => resolve(output.includes(name)));
+  });
+}
 
 export class HLSServer {
-  constructor() {
+  constructor(options = {}) {
     this.ffmpeg = null;
     this.inputStream = null;
     this.streaming = false;
-    this.streamPath = '/tmp/hls-stream';
-    this.acceptAutoDJ = true;  // Control whether to accept Auto DJ audio
+    this.streamPath = options.streamPath || process.env.HLS_STREAM_PATH || '/tmp/hls-stream';
+    this.liveMode = false;
+    this.talkover = false;        // Live show with Auto DJ kept playing (ducked) underneath
+    this.fallbackActive = false;  // Dead-air fallback: Auto DJ/standby audio replaces live
+
+    // Mixing bus: Auto DJ and music beds duck under the live voice
+    this.mixer = new AudioMixer(options.mixer);
+    this.bedGain = dbToGain(parseFloat(options.bedGainDb ?? process.env.MIXER_BED_GAIN ?? '-15'));
+    this.mixer.addSource('auto', { gain: 1, duck: true });
+    this.mixer.addSource('live', { gain: 0 });
+    this.mixer.addSource('bed', { gain: 0, duck: true });
+
+    this.taps = new Set();      // Other encoders fed the same mixed audio (e.g. Icecast streams)
+
+    // Now-playing changes, embedded in segments as timed ID3
+    this.metadata = [];         // { at, tag } oldest first
+
+    // Output processing (loudness normalization, limiter, optional compressor)
+    this.processing = parseProcessing(options.processing);
+    this.renditions = parseRenditions(options.renditions || process.env.HLS_RENDITIONS || '64,32,128');
+    if (this.renditions.length === 0) {
+      this.renditions = parseRenditions('128');
+    }
+    // Low-latency HLS: partial segments, preload hints and blocking playlist reloads
+    this.lowLatency = (options.lowLatency ?? process.env.HLS_LOW_LATENCY ?? 'false') === 'true';
+    this.partTarget = parseFloat(options.partSeconds ?? process.env.HLS_PART_SECONDS ?? '1');
+    this.segmenters = new Map();  // rendition name -> PartialSegmenter (low-latency mode only)
+
+    // Legacy /segment-N.ts URLs map to the best quality rendition
+    this.defaultRendition = this.renditions.reduce((best, r) => (r.bitrate > best.bitrate ? r : best));
+
+    // Rolling DVR archive per rendition (0 disables time-shifting)
+    this.dvrPath = options.dvrPath || process.env.DVR_PATH || '/tmp/hls-dvr';
+    this.dvrWindow = parseInt(options.dvrWindow ?? process.env.DVR_WINDOW ?? '7200', 10);
+    this.dvr = new Map();  // rendition name -> DVRArchive
+    this.liveStartedAt = null;  // Wall-clock start of the most recent live show
+
+    // Encoder crash recovery - restarts continue the segment numbering
+    this.supervisor = new ProcessSupervisor({ name: 'HLS encoder' });
+    this.discontinuities = [];  // Segment numbers where a restarted encoder began
+    this.fdkAvailable = false;
+    this.stopping = false;
+    this.lastError = null;      // Last FFmpeg error line, reported as the failure reason
+  }
+
+  /**
+   * FFmpeg output options for one rendition
+   */
+  renditionArgs(rendition, fdkAvailable, startNumber = 0, index = 0) {
+    const dir = path.join(this.streamPath, rendition.name);
+    let codec;
+    if (rendition.heAAC && fdkAvailable) {
+      codec = ['-c:a', 'libfdk_aac', '-profile:a', 'aac_he', '-ar', '48000', '-ac', '2'];
+    } else if (rendition.heAAC) {
+      // No HE-AAC encoder - mono AAC-LC at a lower sample rate is the next best thing
+      rendition.heAAC = false;
+      codec = ['-c:a', 'aac', '-ar', '24000', '-ac', '1'];
+    } else {
+      codec = ['-c:a', 'aac', '-ar', '48000', '-ac', '2'];
+    }
+
+    if (this.lowLatency) {
+      // Plain MPEG-TS on its own pipe (fd 3, 4, ...) - the PartialSegmenter cuts it.
+      // No mux delay, so every AAC frame gets its own PES and parts can end anywhere.
+      return [
+        '-map', `[out_${rendition.name}]`,
+        ...codec,
+        '-b:a', `${rendition.bitrate}k`,
+        '-f', 'mpegts',
+        '-muxdelay', '0',
+        '-muxpreload', '0',
+        `pipe:${3 + index}`
+      ];
+    }
+
+    return [
+      '-map', `[out_${rendition.name}]`,
+
+      // Audio encoding
+      ...codec,
+      '-b:a', `${rendition.bitrate}k`,
+
+      // HLS output settings - MINIMAL BUFFER for fast live switching
+      '-f', 'hls',
+      '-hls_time', SEGMENT_SECONDS.toString(),  // 4-second segments (was 6)
+      '-hls_list_size', '3',         // Keep only 3 segments (12 seconds total - was 60!)
+      '-hls_flags', 'delete_segments+omit_endlist+program_date_time',  // Delete old segments immediately (DVR keeps its own links)
+      '-hls_segment_filename', path.join(dir, 'segment-%05d.ts'),
+      '-start_number', startNumber.toString(),
+      '-hls_allow_cache', '0',       // No caching for instant updates
+      path.join(dir, 'playlist.m3u8')
+    ];
+  }
+
+  /**
+   * Process the feed once, then split it into one output per rendition
+   */
+  filterGraph() {
+    const outputs = this.renditions.map(r => `[out_${r.name}]`).join('');
+    return `[0:a]${buildFilterChain(this.processing)},asplit=${this.renditions.length}${outputs}`;
   }
 
-  async start() {
+  /**
+   * Start encoding. A standby taking over from a failed primary passes
+   * `startNumber` (after the primary's last segment) and the primary's
+   * `discontinuities` so players see one continuous stream.
+   */
+  async start({ startNumber = 0, discontinuities = [] } = {}) {
     console.log('🎬 [HLS] Starting HLS streaming server...');
 
     try {
-      // Clean old segments
-      await fs.rm(this.streamPath, { recursive: true, force: true }).catch(() => {});
-      await fs.mkdir(this.streamPath, { recursive: true });
-      console.log('   ✓ Clean segment directory created');
+      // Clean old segments - a takeover keeps the mirrored ones on air until its own arrive
+      if (startNumber === 0) {
+        await fs.rm(this.streamPath, { recursive: true, force: true }).catch(() => {});
+      }
+      for (const rendition of this.renditions) {
+        await fs.mkdir(path.join(this.streamPath, rendition.name), { recursive: true });
+      }
+      console.log('   ✓ Clean segment directories created');
+
+      const fdkAvailable = this.renditions.some(r => r.heAAC) && await hasEncoder('libfdk_aac');
+      console.log(`   Renditions: ${this.renditions.map(r => `${r.name}${r.heAAC ? (fdkAvailable ? ' HE-AAC' : ' (no libfdk_aac - using AAC-LC mono)') : ''}`).join(', ')}`);
+      console.log(`   Processing: ${describeProcessing(this.processing)}`);
 
       // Create input stream with larger buffer to prevent audio dropouts
       this.inputStream = new PassThrough({ highWaterMark: 1024 * 1024 }); // 1MB buffer
+      this.fdkAvailable = fdkAvailable;
+      this.discontinuities.length = 0;
+      this.discontinuities.push(...discontinuities);
+      if (startNumber > 0 && !this.discontinuities.includes(startNumber)) {
+        this.discontinuities.push(startNumber);
+      }
+      this.stopping = false;
 
-      // Start FFmpeg with MINIMAL buffer for fast live transitions
-      // Smaller buffer = faster switch from Auto DJ to live (less overlap)
-      this.ffmpeg = spawn('ffmpeg', [
-        '-f', 'f32le',
-        '-ar', '48000',
-        '-ac', '2',
-        '-i', 'pipe:0',
-        
-        // Audio encoding
-        '-c:a', 'aac',
-        '-b:a', '128k',
-        '-ar', '48000',
-        '-ac', '2',
-        
-        // HLS output settings - MINIMAL BUFFER for fast live switching
-        '-f', 'hls',
-        '-hls_time', '4',              // 4-second segments (was 6)
-        '-hls_list_size', '3',         // Keep only 3 segments (12 seconds total - was 60!)
-        '-hls_flags', 'delete_segments+omit_endlist',  // Delete old segments immediately
-        '-hls_segment_filename', path.join(this.streamPath, 'segment-%05d.ts'),
-        '-start_number', '0',
-        '-hls_allow_cache', '0',       // No caching for instant updates
-        path.join(this.streamPath, 'playlist.m3u8')
-      ]);
-
-      this.inputStream.pipe(this.ffmpeg.stdin);
-      this.streaming = true;
-
-      this.ffmpeg.stderr.on('data', (data) => {
-        const msg = data.toString();
-        // Log segment creation
-        if (msg.includes('Opening')) {
-          console.log('📦 [HLS] Creating segment...');
+      if (this.lowLatency) {
+        for (const rendition of this.renditions) {
+          this.segmenters.set(rendition.name, new PartialSegmenter({
+            dir: path.join(this.streamPath, rendition.name),
+            name: rendition.name,
+            partTarget: this.partTarget,
+            segmentTarget: SEGMENT_SECONDS,
+            discontinuities: this.discontinuities
+          }));
         }
-        // Log errors
-        if (msg.includes('error') || msg.includes('Error')) {
-          console.error(`❌ [HLS] FFmpeg error: ${msg.substring(0, 200)}`);
+        console.log(`   Low-latency HLS: ${this.partTarget}s parts`);
+      }
+
+      if (startNumber > 0) {
+        console.log(`   Taking over at segment ${startNumber} (discontinuity)`);
+      }
+      this.spawnEncoder(startNumber);
+      this.mixer.start((buffer) => {
+        this.writeEncoder(buffer);
+        for (const tap of this.taps) {
+          tap(buffer);
         }
       });
 
-      this.ffmpeg.on('error', (err) => {
-        console.error('❌ [HLS] FFmpeg error:', err);
-      });
-      
-      this.ffmpeg.on('exit', (code) => {
-        console.log(`📴 [HLS] FFmpeg exited with code: ${code}`);
-        this.streaming = false;
-      });
+      if (this.dvrWindow > 0) {
+        for (const rendition of this.renditions) {
+          const archive = new DVRArchive({
+            sourceDir: path.join(this.streamPath, rendition.name),
+            archiveDir: path.join(this.dvrPath, rendition.name),
+            window: this.dvrWindow,
+            name: rendition.name,
+            discontinuities: this.discontinuities
+          });
+          await archive.start();
+          this.dvr.set(rendition.name, archive);
+        }
+        console.log(`   ✓ DVR archive: ${Math.round(this.dvrWindow / 60)} minute window`);
+      }
 
       console.log('✅ [HLS] HLS server started');
       console.log('   Waiting for audio input to create first segment...');
@@ -86,60 +306,399 @@ export class HLSServer {
     }
   }
 
+  spawnEncoder(startNumber) {
+    // Start FFmpeg with MINIMAL buffer for fast live transitions
+    // Smaller buffer = faster switch from Auto DJ to live (less overlap)
+    const ffmpeg = spawn('ffmpeg', [
+      '-f', 'f32le',
+      '-ar', '48000',
+      '-ac', '2',
+      '-i', 'pipe:0',
+      '-filter_complex', this.filterGraph(),
+      ...this.renditions.flatMap((rendition, index) => this.renditionArgs(rendition, this.fdkAvailable, startNumber, index))
+    ], {
+      // Low-latency mode reads each rendition from its own pipe
+      stdio: ['pipe', 'pipe', 'pipe', ...(this.lowLatency ? this.renditions.map(() => 'pipe') : [])]
+    });
+    this.ffmpeg = ffmpeg;
+    this.lastError = null;
+
+    this.renditions.forEach((rendition, index) => {
+      const segmenter = this.segmenters.get(rendition.name);
+      if (segmenter) {
+        segmenter.begin(startNumber);
+        ffmpeg.stdio[3 + index].on('data', (chunk) => {
+          if (ffmpeg === this.ffmpeg) {
+            segmenter.push(chunk);
+          }
+        });
+      }
+    });
+
+    this.inputStream.pipe(ffmpeg.stdin);
+    this.streaming = true;
+    this.supervisor.started();
+
+    // A dying encoder can't take more input - don't let that throw
+    ffmpeg.stdin.on('error', () => {});
+
+    ffmpeg.stderr.on('data', (data) => {
+      const msg = data.toString();
+      // Log segment creation (once per segment, not once per rendition)
+      if (msg.includes('Opening') && msg.includes(`${path.sep}${this.defaultRendition.name}${path.sep}segment-`)) {
+        console.log('📦 [HLS] Creating segment...');
+      }
+      // Log errors
+      if (msg.includes('error') || msg.includes('Error')) {
+        this.lastError = msg.trim().substring(0, 200);
+        console.error(`❌ [HLS] FFmpeg error: ${msg.substring(0, 200)}`);
+      }
+    });
+
+    ffmpeg.on('error', (err) => {
+      this.lastError = err.message;
+      console.error('❌ [HLS] FFmpeg error:', err);
+    });
+
+    ffmpeg.on('exit', (code, signal) => {
+      console.log(`📴 [HLS] FFmpeg exited with code: ${code}${signal ? `, signal: ${signal}` : ''}`);
+      if (ffmpeg !== this.ffmpeg) {
+        return;
+      }
+      this.streaming = false;
+      this.ffmpeg = null;
+      if (this.inputStream) {
+        this.inputStream.unpipe(ffmpeg.stdin);
+      }
+      if (!this.stopping) {
+        const reason = this.lastError || (signal ? `killed by ${signal}` : `exit code ${code}`);
+        this.supervisor.failed(reason, () => this.restartEncoder());
+      }
+    });
+  }
+
+  /**
+   * Bring the encoder back without breaking players: numbering carries on
+   * from the last segment and the first new segment is marked as a discontinuity
+   */
+  async restartEncoder() {
+    if (this.stopping || !this.inputStream) {
+      return;
+    }
+    // Close out the parts the dead encoder left half-finished
+    for (const segmenter of this.segmenters.values()) {
+      await segmenter.flush();
+    }
+    const next = await this.nextSegmentNumber();
+    // A restart that died before writing a segment already left its mark
+    if (this.discontinuities[this.discontinuities.length - 1] !== next) {
+      this.discontinuities.push(next);
+    }
+
+    // Drop stale segments the dead encoder never got to delete (DVR keeps its own links)
+    for (const rendition of this.renditions) {
+      const dir = path.join(this.streamPath, rendition.name);
+      const files = await fs.readdir(dir).catch(() => []);
+      for (const file of files) {
+        const match = /^segment-(\d+)\.ts$/.exec(file);
+        if (match && parseInt(match[1], 10) < next - 6) {
+          await fs.unlink(path.join(dir, file)).catch(() => {});
+        }
+      }
+    }
+
+    console.log(`🔁 [HLS] Restarting encoder at segment ${next} (discontinuity)`);
+    this.spawnEncoder(next);
+  }
+
+  /**
+   * Mark the next segment as a discontinuity (a forced source cut) - unlike
+   * an encoder restart, numbering and timestamps just carry on
+   */
+  async markDiscontinuity() {
+    const next = await this.nextSegmentNumber();
+    if (this.discontinuities[this.discontinuities.length - 1] !== next) {
+      this.discontinuities.push(next);
+      console.log(`✂️ [HLS] Forced cut - segment ${next} marked as a discontinuity`);
+    }
+  }
+
+  async nextSegmentNumber() {
+    let highest = -1;
+    for (const rendition of this.renditions) {
+      const files = await fs.readdir(path.join(this.streamPath, rendition.name)).catch(() => []);
+      for (const file of files) {
+        const match = /^segment-(\d+)\.ts$/.exec(file);
+        if (match) {
+          highest = Math.max(highest, parseInt(match[1], 10));
+        }
+      }
+      const archive = this.dvr.get(rendition.name);
+      if (archive && archive.segments.length > 0) {
+        highest = Math.max(highest, archive.segments[archive.segments.length - 1].sequence);
+      }
+    }
+    return highest + 1;
+  }
+
+  /**
+   * Feed PCM from a source ('auto', 'live' or 'bed') into the mixer
+   */
   processAudio(audioData, source = 'auto') {
-    if (!this.inputStream || !this.streaming) {
+    if (!this.inputStream) {
       return; // Silently ignore if not ready
     }
-    
-    // When live audio is active, ignore Auto DJ audio
-    if (source === 'auto' && !this.acceptAutoDJ) {
-      return; // Silently ignore Auto DJ when live is active
-    }
-    
-    // audioData can be either Buffer (from Auto DJ) or Float32Array (from browser via Socket.IO)
-    let buffer;
-    
-    if (Buffer.isBuffer(audioData)) {
-      // Already a buffer from Auto DJ FFmpeg (f32le PCM data)
-      buffer = audioData;
-    } else if (audioData instanceof Float32Array || audioData.buffer) {
-      // Float32Array from browser - convert to Buffer
-      buffer = Buffer.from(audioData.buffer, audioData.byteOffset, audioData.byteLength);
-    } else {
+
+    const buffer = toPCMBuffer(audioData);
+    if (!buffer) {
       console.error('❌ [HLS] Unknown audio data type:', typeof audioData);
       return;
     }
-    
-    // Write to FFmpeg stdin (expects f32le PCM)
+    this.mixer.write(source, buffer);
+  }
+
+  /**
+   * Receive a copy of the mixed PCM (before processing) alongside the HLS encoder
+   */
+  addTap(fn) {
+    this.taps.add(fn);
+  }
+
+  removeTap(fn) {
+    this.taps.delete(fn);
+  }
+
+  /**
+   * Mixed audio to FFmpeg stdin (expects f32le PCM)
+   */
+  writeEncoder(buffer) {
+    if (!this.inputStream || !this.streaming) {
+      return; // Encoder is down - the supervisor is bringing it back
+    }
     try {
       this.inputStream.write(buffer);
     } catch (error) {
       console.error('❌ [HLS] Error writing to FFmpeg:', error);
     }
   }
-  
-  setLiveMode(isLive) {
-    this.acceptAutoDJ = !isLive;
-    console.log(`🎚️ [HLS] Audio source: ${isLive ? 'LIVE SHOW' : 'AUTO DJ'}`);
-    
-    // Don't restart FFmpeg - it breaks browser connections
-    // Just block the audio source and let buffered audio play out
-    // Within 10-20 seconds, only live audio will be flowing
-    
+
+  /**
+   * Switch between Auto DJ and the live show with a timed crossfade.
+   * With `talkover`, Auto DJ keeps playing under the host (ducked by voice).
+   */
+  setLiveMode(isLive, { talkover = false, fade = this.mixer.fadeTime } = {}) {
+    this.liveMode = isLive;
+    this.talkover = isLive && talkover;
+    this.fallbackActive = false;
     if (isLive) {
-      console.log('ℹ️ [HLS] Buffered Auto DJ audio will play out over ~10-20 seconds');
-      console.log('ℹ️ [HLS] Then stream will contain ONLY live audio');
+      this.liveStartedAt = Date.now();
+      this.mixer.fadeIn('live', fade);
+      if (!this.talkover) {
+        this.mixer.fadeOut('auto', fade);
+      }
+    } else {
+      this.mixer.fadeOut('live', fade);
+      this.mixer.fadeOut('bed', fade);
+      this.mixer.fadeIn('auto', fade);
+    }
+    console.log(`🎚️ [HLS] Audio source: ${isLive ? `LIVE SHOW${this.talkover ? ' (talkover)' : ''}` : 'AUTO DJ'} - ${fade}s fade`);
+  }
+
+  /**
+   * Dead-air fallback: put Auto DJ (or the standby loop) on air in place of live
+   */
+  setFallback(active, fade = this.mixer.fadeTime) {
+    this.fallbackActive = active;
+    if (active) {
+      this.mixer.fadeOut('live', fade);
+      this.mixer.fadeIn('auto', fade);
+    } else {
+      this.mixer.fadeIn('live', fade);
+      if (!this.talkover) {
+        this.mixer.fadeOut('auto', fade);
+      }
+    }
+    console.log(`🎚️ [HLS] Audio source: ${active ? 'FALLBACK (dead air)' : (this.liveMode ? 'LIVE SHOW' : 'AUTO DJ')}`);
+  }
+
+  /**
+   * Fade a music bed in under (or out from under) the live show
+   */
+  setBed(active, fade = this.mixer.fadeTime) {
+    if (active) {
+      this.mixer.fadeIn('bed', fade, this.bedGain);
+    } else {
+      this.mixer.fadeOut('bed', fade);
     }
   }
 
-  async getPlaylist() {
-    const playlistPath = path.join(this.streamPath, 'playlist.m3u8');
-    return await fs.readFile(playlistPath, 'utf8');
+  getRendition(name = this.defaultRendition.name) {
+    const rendition = this.renditions.find(r => r.name === name);
+    if (!rendition) {
+      throw new Error(`Unknown rendition: ${name}`);
+    }
+    return rendition;
   }
 
-  async getSegment(number) {
-    const segmentPath = path.join(this.streamPath, `segment-${number.padStart(5, '0')}.ts`);
-    return await fs.readFile(segmentPath);
+  /**
+   * Master playlist advertising every rendition
+   */
+  async getMasterPlaylist() {
+    // Don't advertise renditions until FFmpeg has written their playlists
+    await this.getPlaylist();
+
+    return ['#EXTM3U', '#EXT-X-VERSION:3', ...this.variantLines('playlist.m3u8')].join('\n') + '\n';
+  }
+
+  /**
+   * EXT-X-STREAM-INF entries pointing at each rendition's `file`
+   */
+  variantLines(file) {
+    return this.renditions.flatMap((rendition) => {
+      const bandwidth = Math.round(rendition.bitrate * 1000 * 1.15);  // + MPEG-TS overhead
+      const codecs = rendition.heAAC ? 'mp4a.40.5' : 'mp4a.40.2';
+      return [
+        `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},AVERAGE-BANDWIDTH=${rendition.bitrate * 1000},CODECS="${codecs}"`,
+        `live/${rendition.name}/${file}`
+      ];
+    });
+  }
+
+  /**
+   * Media playlist for a rendition. In low-latency mode `msn`/`part`
+   * (`_HLS_msn`/`_HLS_part`) hold the response until that segment or part exists.
+   */
+  async getPlaylist(renditionName, { msn = null, part = null } = {}) {
+    const rendition = this.getRendition(renditionName);
+    const segmenter = this.segmenters.get(rendition.name);
+    if (segmenter) {
+      if (msn !== null) {
+        await segmenter.waitFor(msn, part);
+      }
+      return segmenter.getPlaylist();
+    }
+    const playlistPath = path.join(this.streamPath, rendition.name, 'playlist.m3u8');
+    const playlist = await fs.readFile(playlistPath, 'utf8');
+    return this.discontinuities.length > 0 ? addDiscontinuities(playlist, this.discontinuities) : playlist;
+  }
+
+  async getSegment(number, renditionName) {
+    if (!/^\d+$/.test(number)) {
+      throw new Error(`Invalid segment number: ${number}`);
+    }
+    const rendition = this.getRendition(renditionName);
+    // Just-finished segments may not be on disk yet
+    const recent = this.segmenters.get(rendition.name)?.getSegment(parseInt(number, 10));
+    if (recent) {
+      return this.tagAt(recent.data, recent.createdAt, recent.duration);
+    }
+    const segmentPath = path.join(this.streamPath, rendition.name, `segment-${number.padStart(5, '0')}.ts`);
+    try {
+      return await this.tagSegment(await fs.readFile(segmentPath), segmentPath);
+    } catch (error) {
+      // Aged out of the live playlist - may still be in the DVR window
+      const archived = this.dvr.get(rendition.name)?.getSegmentPath(parseInt(number, 10));
+      if (error.code === 'ENOENT' && archived) {
+        return await this.tagSegment(await fs.readFile(archived), archived);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * LL-HLS partial segment. Requesting the part named in the preload hint
+   * blocks until it has been encoded.
+   */
+  async getPart(msn, index, renditionName) {
+    const rendition = this.getRendition(renditionName);
+    const segmenter = this.segmenters.get(rendition.name);
+    if (!segmenter) {
+      throw Object.assign(new Error('Low-latency HLS is disabled'), { status: 404 });
+    }
+    await segmenter.waitFor(msn, index);
+    const part = segmenter.getPart(msn, index);
+    if (!part) {
+      throw Object.assign(new Error(`Part ${msn}.${index} is no longer available`), { status: 404 });
+    }
+    return this.tagAt(part.data, part.createdAt, part.duration);
+  }
+
+  /**
+   * Record a now-playing change; segments from now on carry it as ID3
+   */
+  setNowPlaying(item) {
+    const now = Date.now();
+    this.metadata.push({ at: now, tag: buildId3Tag(item) });
+
+    // Keep what the DVR window can still serve (plus the entry in effect at its start)
+    const horizon = now - Math.max(this.dvrWindow, 60) * 1000;
+    const firstNeeded = this.metadata.findIndex(entry => entry.at > horizon);
+    if (firstNeeded > 1) {
+      this.metadata.splice(0, firstNeeded - 1);
+    }
+  }
+
+  /**
+   * Embed the now-playing item in effect for a segment. Every segment carries
+   * it so late joiners see it too; a change inside the segment is timed to
+   * where it happened.
+   */
+  async tagSegment(data, file) {
+    if (this.metadata.length === 0) {
+      return data;
+    }
+    const { mtimeMs } = await fs.stat(file);  // FFmpeg finishes writing at the segment's end
+    return this.tagAt(data, mtimeMs, SEGMENT_SECONDS);
+  }
+
+  /**
+   * Tag a segment or part of `duration` seconds that ended at `endedAt`
+   */
+  tagAt(data, endedAt, duration) {
+    let entry = null;
+    for (let i = this.metadata.length - 1; i >= 0; i--) {
+      if (this.metadata[i].at <= endedAt) {
+        entry = this.metadata[i];
+        break;
+      }
+    }
+    if (!entry) {
+      return data;
+    }
+    return injectTimedId3(data, entry.tag, entry.at - (endedAt - duration * 1000));
+  }
+
+  /**
+   * Resolve `?start=`: "show" means the start of the most recent live show
+   */
+  resolveDVRStart(start) {
+    if (start === 'show') {
+      return this.liveStartedAt;
+    }
+    return parseStart(start);
+  }
+
+  /**
+   * Master playlist for time-shifted playback
+   */
+  getDVRMasterPlaylist(start) {
+    this.getDVRPlaylist(undefined, start);  // Throws if DVR is disabled or empty
+    const query = start ? `?start=${encodeURIComponent(start)}` : '';
+    return ['#EXTM3U', '#EXT-X-VERSION:6', ...this.variantLines(`dvr.m3u8${query}`)].join('\n') + '\n';
+  }
+
+  getDVRPlaylist(renditionName, start) {
+    const rendition = this.getRendition(renditionName);
+    const archive = this.dvr.get(rendition.name);
+    if (!archive) {
+      throw new Error('DVR is disabled');
+    }
+    return archive.getPlaylist({ start: this.resolveDVRStart(start) });
+  }
+
+  getDVRWindow() {
+    const archive = this.dvr.get(this.defaultRendition.name);
+    return archive ? archive.getWindow() : null;
   }
 
   isStreaming() {
@@ -148,6 +707,17 @@ export class HLSServer {
 
   async stop() {
     console.log('📴 [HLS] Stopping...');
+    this.stopping = true;
+    this.supervisor.cancel();
+    this.mixer.stop();
+    for (const archive of this.dvr.values()) {
+      archive.stop();
+    }
+    this.dvr.clear();
+    for (const segmenter of this.segmenters.values()) {
+      segmenter.stop();
+    }
+    this.segmenters.clear();
     if (this.ffmpeg) {
       this.ffmpeg.kill('SIGKILL');
       this.ffmpeg = null;
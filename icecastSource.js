@@ -0,0 +1,212 @@
+/**
+ * Icecast Source
+ * Accepts encoders that speak the Icecast source protocol (Butt, Mixxx, OBS
+ * plugins, ffmpeg's icecast://, ...) on ICECAST_SOURCE_PORT
+ *
+ * The encoder sends `SOURCE /<mount>` (Icecast 1/2) or `PUT /<mount>`
+ * (Icecast 2.4+) with HTTP Basic auth - any user name, a key with the
+ * live-audio permission as the password - then streams MP3, AAC, Ogg, WebM
+ * or FLAC for as long as it's connected. The mount is the channel id
+ * (`/main` for the main channel). The body has no length, which Node's HTTP
+ * server can't read, so this is a plain TCP server with its own header parsing.
+ */
+
+import net from 'net';
+import { LiveDecoder } from './liveIngest.js';
+import { MAIN_CHANNEL } from './channelStore.js';
+
+const MAX_HEADER_BYTES = 16 * 1024;
+const HEADER_TIMEOUT_MS = 10000;
+const IDLE_TIMEOUT_MS = 30000;  // Encoder stopped sending without hanging up
+
+// Content-Type -> FFmpeg input format (anything else is probed)
+const INPUT_FORMATS = {
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/aac': 'aac',
+  'audio/aacp': 'aac',
+  'audio/ogg': 'ogg',
+  'application/ogg': 'ogg',
+  'audio/webm': 'webm',
+  'audio/flac': 'flac'
+};
+
+const STATUS_TEXT = {
+  200: 'OK',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  405: 'Method Not Allowed',
+  501: 'Not Implemented'
+};
+
+/**
+ * Request line and headers (lower-cased names) of a source client's request
+ */
+export function parseSourceRequest(head) {
+  const [requestLine, ...lines] = head.split('\r\n');
+  const [method, target = '', version = 'HTTP/1.0'] = requestLine.split(' ');
+  const headers = {};
+  for (const line of lines) {
+    const index = line.indexOf(':');
+    if (index > 0) {
+      headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+    }
+  }
+  return { method, mount: target.split('?')[0], version, headers };
+}
+
+/**
+ * The key from `Authorization: Basic` (the password; the user is ignored, usually "source")
+ */
+function basicPassword(header = '') {
+  if (!header.startsWith('Basic ')) {
+    return null;
+  }
+  const credentials = Buffer.from(header.slice(6).trim(), 'base64').toString('utf8');
+  const index = credentials.indexOf(':');
+  return index >= 0 ? credentials.slice(index + 1) : null;
+}
+
+export class IcecastSourceServer {
+  constructor({ channels, authenticate, port }) {
+    this.channels = channels;           // Channel id -> Channel
+    this.authenticate = authenticate;   // key -> identity with live-audio, or null
+    this.port = port ?? parseInt(process.env.ICECAST_SOURCE_PORT || '0', 10);
+    this.server = null;
+    this.sources = new Set();           // { socket, decoder }
+  }
+
+  get enabled() {
+    return this.port > 0;
+  }
+
+  start() {
+    if (!this.enabled || this.server) {
+      return;
+    }
+    this.server = net.createServer((socket) => this.handle(socket));
+    this.server.on('error', (error) => {
+      console.error(`❌ [INGEST] Icecast source port ${this.port}:`, error.message);
+    });
+    this.server.listen(this.port, '0.0.0.0', () => {
+      console.log(`🎚️ [INGEST] Icecast source clients: port ${this.port}, mount /<channel>`);
+    });
+  }
+
+  stop() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+    for (const { socket } of this.sources) {
+      socket.destroy();
+    }
+  }
+
+  reply(socket, status, body = '', headers = {}) {
+    const lines = [`HTTP/1.0 ${status} ${STATUS_TEXT[status]}`, 'Server: AudioRoad'];
+    for (const [name, value] of Object.entries(headers)) {
+      lines.push(`${name}: ${value}`);
+    }
+    if (status !== 200) {
+      socket.end(`${lines.join('\r\n')}\r\nContent-Type: text/plain\r\n\r\n${body}\n`);
+      return;
+    }
+    socket.write(`${lines.join('\r\n')}\r\n\r\n`);
+  }
+
+  /**
+   * Read the request head, then hand the rest of the connection to accept()
+   */
+  handle(socket) {
+    let head = Buffer.alloc(0);
+    socket.setTimeout(HEADER_TIMEOUT_MS, () => socket.destroy());
+    socket.on('error', () => {});
+
+    const onData = (chunk) => {
+      head = Buffer.concat([head, chunk]);
+      const end = head.indexOf('\r\n\r\n');
+      if (end === -1) {
+        if (head.length > MAX_HEADER_BYTES) {
+          this.reply(socket, 400, 'Request header too large');
+        }
+        return;
+      }
+      socket.removeListener('data', onData);
+      socket.pause();
+      this.accept(socket, parseSourceRequest(head.subarray(0, end).toString('latin1')), head.subarray(end + 4));
+    };
+    socket.on('data', onData);
+  }
+
+  accept(socket, request, initial) {
+    const { method, mount, headers } = request;
+    const from = socket.remoteAddress;
+    if (method !== 'SOURCE' && method !== 'PUT') {
+      return this.reply(socket, 405, 'Only SOURCE and PUT are supported', { Allow: 'SOURCE, PUT' });
+    }
+    const channelId = mount.replace(/^\/+|\/+$/g, '') || MAIN_CHANNEL;
+    const channel = this.channels.get(channelId);
+    if (!channel) {
+      return this.reply(socket, 404, `Unknown mount ${mount} - use /<channel id>`);
+    }
+    const identity = this.authenticate(basicPassword(headers.authorization));
+    if (!identity) {
+      console.warn(`🚫 [AUTH] Rejected Icecast source for ${mount} from ${from} - invalid or missing key`);
+      return this.reply(socket, 401, 'Invalid or missing key', { 'WWW-Authenticate': 'Basic realm="AudioRoad"' });
+    }
+    if (/chunked/i.test(headers['transfer-encoding'] || '')) {
+      return this.reply(socket, 501, 'Chunked uploads are not supported');
+    }
+
+    const source = {
+      type: 'icecast',
+      from,
+      key: identity.id,
+      show: headers['ice-name'] || null,
+      description: headers['ice-description'] || null
+    };
+    if (!channel.ingestStart(source)) {
+      return this.reply(socket, 403, 'Mountpoint in use');
+    }
+
+    const contentType = (headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const format = INPUT_FORMATS[contentType];
+    const decoder = new LiveDecoder(`Icecast source${channel.label}`, [
+      '-fflags', 'nobuffer',
+      ...(format ? ['-f', format] : []),
+      '-i', 'pipe:0'
+    ]);
+    const entry = { socket, decoder };
+    this.sources.add(entry);
+
+    decoder.on('audio', (buffer) => channel.liveAudio(buffer, source));
+    decoder.on('exit', ({ code, error }) => {
+      this.sources.delete(entry);
+      channel.ingestEnd(source);
+      if (code !== 0 && error) {
+        console.warn(`⚠️ [INGEST]${channel.label} Icecast source stream ended: ${error}`);
+      }
+      socket.destroy();
+    });
+    decoder.start();
+
+    if (/100-continue/i.test(headers.expect || '')) {
+      socket.write('HTTP/1.1 100 Continue\r\n\r\n');
+    }
+    this.reply(socket, 200);
+    if (initial.length > 0) {
+      decoder.write(initial);
+    }
+
+    socket.setTimeout(IDLE_TIMEOUT_MS, () => {
+      console.warn(`⚠️ [INGEST]${channel.label} Icecast source ${from} stopped sending - disconnecting`);
+      socket.destroy();
+    });
+    socket.on('data', (chunk) => decoder.write(chunk));
+    socket.on('close', () => decoder.end());
+    socket.resume();
+  }
+}
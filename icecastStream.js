@@ -0,0 +1,277 @@
+/**
+ * Icecast/SHOUTcast-compatible stream
+ * Plain HTTP MP3 or AAC for players that don't speak HLS
+ *
+ * Taps the same mixed feed the HLS encoder gets and runs it through the same
+ * processing chain in a separate FFmpeg encoder while anyone is listening.
+ * Clients that send `Icy-MetaData: 1` get the title interleaved every
+ * `icy-metaint` bytes.
+ */
+
+import { spawn } from 'child_process';
+import { buildFilterChain } from './audioProcessing.js';
+import { ProcessSupervisor } from './processSupervisor.js';
+
+const FORMATS = {
+  mp3: { contentType: 'audio/mpeg', codec: ['-c:a', 'libmp3lame'], muxer: 'mp3' },
+  aac: { contentType: 'audio/aac', codec: ['-c:a', 'aac'], muxer: 'adts' }
+};
+
+const BURST_BYTES = 64 * 1024;          // Sent on connect so players start right away
+const MAX_CLIENT_BACKLOG = 1024 * 1024;  // Drop listeners this far behind
+const IDLE_STOP_MS = 10000;             // Keep the encoder warm briefly after the last listener
+
+/**
+ * One ICY metadata block: length byte (x16) followed by the padded text
+ */
+export function icyMetadataBlock(title) {
+  if (title == null) {
+    return Buffer.from([0]);
+  }
+  const escaped = String(title).replace(/'/g, '’');
+  const text = Buffer.from(`StreamTitle='${escaped}';`, 'utf8').subarray(0, 255 * 16);
+  const blocks = Math.ceil(text.length / 16);
+  const block = Buffer.alloc(1 + blocks * 16);
+  block[0] = blocks;
+  text.copy(block, 1);
+  return block;
+}
+
+/**
+ * Station text as a header value. Control characters (which Node refuses in a
+ * header) become spaces, and the text is sent as UTF-8 bytes - Node only
+ * writes latin1 - which is how Icecast sends it and how players read it.
+ */
+export function icyHeaderValue(text) {
+  const clean = String(text).replace(/[\x00-\x1f\x7f]+/g, ' ').trim();
+  return Buffer.from(clean, 'utf8').toString('latin1');
+}
+
+export class IcecastStream {
+  constructor(hlsServer, options = {}) {
+    this.hlsServer = hlsServer;
+    this.format = options.format || 'mp3';
+    if (!FORMATS[this.format]) {
+      throw new Error(`Unknown stream format: ${this.format}`);
+    }
+    this.bitrate = parseInt(options.bitrate ?? process.env[`ICECAST_${this.format.toUpperCase()}_BITRATE`] ?? '128', 10);
+    this.metaint = parseInt(options.metaint ?? process.env.ICY_METAINT ?? '16000', 10);
+    this.stationName = options.name ?? process.env.STATION_NAME ?? 'AudioRoad';
+    this.description = options.description ?? process.env.STATION_DESCRIPTION ?? '';
+    this.genre = options.genre ?? process.env.STATION_GENRE ?? '';
+    this.stationUrl = options.url ?? process.env.STATION_URL ?? '';
+
+    this.clients = new Set();   // { res, icy, untilMeta, bytes }
+    this.ffmpeg = null;
+    this.burst = [];            // Recent encoded chunks for new listeners
+    this.burstBytes = 0;
+    this.title = null;          // Current ICY StreamTitle
+    this.metaBlock = icyMetadataBlock(null);
+    this.idleTimer = null;
+    this.supervisor = new ProcessSupervisor({ name: `${this.format.toUpperCase()} stream encoder` });
+    this.tap = (buffer) => this.write(buffer);
+  }
+
+  /**
+   * Response headers for a listener
+   */
+  headers(icy) {
+    const headers = {
+      'Content-Type': FORMATS[this.format].contentType,
+      'Cache-Control': 'no-cache, no-store',
+      'Access-Control-Allow-Origin': '*',
+      'icy-name': icyHeaderValue(this.stationName),
+      'icy-br': String(this.bitrate),
+      'icy-pub': '1'
+    };
+    if (this.description) {
+      headers['icy-description'] = icyHeaderValue(this.description);
+    }
+    if (this.genre) {
+      headers['icy-genre'] = icyHeaderValue(this.genre);
+    }
+    if (this.stationUrl) {
+      headers['icy-url'] = icyHeaderValue(this.stationUrl);
+    }
+    if (icy) {
+      headers['icy-metaint'] = String(this.metaint);
+    }
+    return headers;
+  }
+
+  /**
+   * Attach an HTTP response as a listener (removed again when it disconnects)
+   */
+  addClient(req, res) {
+    const icy = req.headers['icy-metadata'] === '1';
+    res.writeHead(200, this.headers(icy));
+    if (typeof res.flushHeaders === 'function') {
+      res.flushHeaders();
+    }
+
+    const client = { res, icy, untilMeta: this.metaint, bytes: 0 };
+    this.clients.add(client);
+    this.ensureEncoder();
+    console.log(`📻 [${this.format.toUpperCase()}] Listener connected (${this.clients.size} total${icy ? ', ICY metadata' : ''})`);
+
+    for (const chunk of this.burst) {
+      this.send(client, chunk);
+    }
+
+    res.on('close', () => this.removeClient(client));
+    return client;
+  }
+
+  removeClient(client) {
+    if (!this.clients.delete(client)) {
+      return;
+    }
+    console.log(`📻 [${this.format.toUpperCase()}] Listener left (${this.clients.size} remaining)`);
+    if (this.clients.size === 0) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = setTimeout(() => this.stopEncoder(), IDLE_STOP_MS);
+    }
+  }
+
+  setTitle(title) {
+    this.title = title;
+    this.metaBlock = icyMetadataBlock(title);
+  }
+
+  /**
+   * Write encoded audio to one client, inserting ICY metadata on schedule
+   */
+  send(client, chunk) {
+    const { res } = client;
+    if (res.writableLength > MAX_CLIENT_BACKLOG) {
+      console.warn(`⚠️ [${this.format.toUpperCase()}] Dropping a listener that can't keep up`);
+      this.removeClient(client);
+      res.destroy();
+      return;
+    }
+    client.bytes += chunk.length;
+    if (!client.icy) {
+      res.write(chunk);
+      return;
+    }
+    let offset = 0;
+    while (offset < chunk.length) {
+      const take = Math.min(client.untilMeta, chunk.length - offset);
+      res.write(chunk.subarray(offset, offset + take));
+      offset += take;
+      client.untilMeta -= take;
+      if (client.untilMeta === 0) {
+        res.write(this.metaBlock);
+        client.untilMeta = this.metaint;
+      }
+    }
+  }
+
+  ensureEncoder() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+    if (this.ffmpeg) {
+      return;
+    }
+    this.supervisor.cancel();
+    this.spawnEncoder();
+  }
+
+  spawnEncoder() {
+    const format = FORMATS[this.format];
+    const ffmpeg = spawn('ffmpeg', [
+      '-f', 'f32le',
+      '-ar', '48000',
+      '-ac', '2',
+      '-i', 'pipe:0',
+      '-af', buildFilterChain(this.hlsServer.processing),
+      ...format.codec,
+      '-b:a', `${this.bitrate}k`,
+      '-ar', '44100',
+      '-f', format.muxer,
+      '-loglevel', 'error',
+      'pipe:1'
+    ]);
+    this.ffmpeg = ffmpeg;
+    this.supervisor.started();
+    this.hlsServer.addTap(this.tap);
+    console.log(`📻 [${this.format.toUpperCase()}] Encoder started (${this.bitrate} kbps)`);
+
+    ffmpeg.stdin.on('error', () => {});
+    ffmpeg.stderr.on('data', (data) => {
+      console.error(`❌ [${this.format.toUpperCase()}] FFmpeg: ${data.toString().substring(0, 200)}`);
+    });
+    ffmpeg.on('error', (error) => {
+      console.error(`❌ [${this.format.toUpperCase()}] FFmpeg error:`, error);
+    });
+
+    ffmpeg.stdout.on('data', (chunk) => {
+      this.burst.push(chunk);
+      this.burstBytes += chunk.length;
+      while (this.burstBytes - this.burst[0].length >= BURST_BYTES) {
+        this.burstBytes -= this.burst.shift().length;
+      }
+      for (const client of this.clients) {
+        this.send(client, chunk);
+      }
+    });
+
+    ffmpeg.on('exit', (code, signal) => {
+      if (ffmpeg !== this.ffmpeg) {
+        return;  // Stopped on purpose
+      }
+      this.ffmpeg = null;
+      this.hlsServer.removeTap(this.tap);
+      if (this.clients.size > 0) {
+        this.supervisor.failed(signal ? `killed by ${signal}` : `exit code ${code}`, () => {
+          if (this.clients.size > 0 && !this.ffmpeg) {
+            this.spawnEncoder();
+          }
+        });
+      }
+    });
+  }
+
+  stopEncoder() {
+    this.idleTimer = null;
+    this.supervisor.cancel();
+    if (!this.ffmpeg) {
+      return;
+    }
+    const ffmpeg = this.ffmpeg;
+    this.ffmpeg = null;
+    this.hlsServer.removeTap(this.tap);
+    ffmpeg.stdin.end();
+    ffmpeg.kill('SIGKILL');
+    this.burst = [];
+    this.burstBytes = 0;
+    console.log(`📻 [${this.format.toUpperCase()}] Encoder stopped (no listeners)`);
+  }
+
+  /**
+   * Mixed PCM from the HLS server
+   */
+  write(buffer) {
+    if (this.ffmpeg && this.ffmpeg.stdin.writable) {
+      this.ffmpeg.stdin.write(buffer);
+    }
+  }
+
+  stop() {
+    for (const client of this.clients) {
+      client.res.end();
+    }
+    this.clients.clear();
+    clearTimeout(this.idleTimer);
+    this.stopEncoder();
+  }
+
+  getStatus() {
+    return {
+      listeners: this.clients.size,
+      encoding: Boolean(this.ffmpeg),
+      bitrate: this.bitrate,
+      title: this.title
+    };
+  }
+}
@@ -0,0 +1,291 @@
+/**
+ * Timed ID3 metadata for HLS
+ * Builds ID3v2.4 tags and injects them into MPEG-TS segments
+ *
+ * Follows Apple's "Timed Metadata for HTTP Live Streaming": the PMT gets a
+ * metadata stream (stream_type 0x15) and the tag is carried in a PES packet
+ * whose PTS says when it applies, so players (AVPlayer, hls.js, ExoPlayer)
+ * surface it in sync with the audio.
+ */
+
+export const TS_PACKET = 188;
+const METADATA_PID = 0x0150;
+const STREAM_TYPE_METADATA = 0x15;
+export const PTS_WRAP = 2 ** 33;
+
+// ---------------------------------------------------------------------------
+// ID3v2.4
+// ---------------------------------------------------------------------------
+
+function syncsafe(size) {
+  return Buffer.from([(size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f]);
+}
+
+function frame(id, body) {
+  return Buffer.concat([Buffer.from(id, 'latin1'), syncsafe(body.length), Buffer.from([0, 0]), body]);
+}
+
+function textFrame(id, text) {
+  return frame(id, Buffer.concat([Buffer.from([0x03]), Buffer.from(String(text), 'utf8')]));  // 0x03 = UTF-8
+}
+
+function userTextFrame(description, value) {
+  return frame('TXXX', Buffer.concat([Buffer.from([0x03]), Buffer.from(description, 'utf8'), Buffer.from([0]), Buffer.from(value, 'utf8')]));
+}
+
+function userUrlFrame(description, url) {
+  return frame('WXXX', Buffer.concat([Buffer.from([0x03]), Buffer.from(description, 'utf8'), Buffer.from([0]), Buffer.from(url, 'latin1')]));
+}
+
+/**
+ * ID3 tag for a now-playing item: TIT2 title, TPE1 host, TALB show,
+ * WXXX artwork URL and the whole item as JSON in TXXX "now-playing"
+ */
+export function buildId3Tag(item) {
+  const frames = [];
+  if (item.title) {
+    frames.push(textFrame('TIT2', item.title));
+  }
+  if (item.host) {
+    frames.push(textFrame('TPE1', item.host));
+  }
+  if (item.show) {
+    frames.push(textFrame('TALB', item.show));
+  }
+  if (item.artwork) {
+    frames.push(userUrlFrame('artwork', item.artwork));
+  }
+  frames.push(userTextFrame('now-playing', JSON.stringify(item)));
+
+  const body = Buffer.concat(frames);
+  const header = Buffer.concat([Buffer.from('ID3', 'latin1'), Buffer.from([0x04, 0x00, 0x00]), syncsafe(body.length)]);
+  return Buffer.concat([header, body]);
+}
+
+// ---------------------------------------------------------------------------
+// MPEG-TS
+// ---------------------------------------------------------------------------
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let crc = i << 24;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+    }
+    table[i] = crc >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+  }
+  return crc;
+}
+
+export function packetPid(packet) {
+  return ((packet[1] & 0x1f) << 8) | packet[2];
+}
+
+export function payloadStart(packet) {
+  const adaptation = (packet[3] >> 4) & 0x03;
+  if (adaptation === 0x02) {
+    return -1;  // Adaptation field only
+  }
+  return adaptation === 0x03 ? 5 + packet[4] : 4;
+}
+
+export function readPts(bytes, offset) {
+  return ((bytes[offset] >> 1) & 0x07) * 2 ** 30 +
+    (bytes[offset + 1] << 22) +
+    ((bytes[offset + 2] >> 1) << 15) +
+    (bytes[offset + 3] << 7) +
+    (bytes[offset + 4] >> 1);
+}
+
+function writePts(pts) {
+  const high = Math.floor(pts / 2 ** 30) & 0x07;
+  const low = pts % 2 ** 30;
+  return Buffer.from([
+    0x21 | (high << 1),               // '0010' + PTS[32..30] + marker
+    (low >> 22) & 0xff,
+    (((low >> 15) & 0x7f) << 1) | 1,
+    (low >> 7) & 0xff,
+    ((low & 0x7f) << 1) | 1
+  ]);
+}
+
+/**
+ * Descriptor body shared by metadata_pointer_descriptor and metadata_descriptor
+ */
+function id3DescriptorBody() {
+  return Buffer.concat([
+    Buffer.from([0xff, 0xff]),        // metadata_application_format
+    Buffer.from('ID3 ', 'latin1'),    // metadata_application_format_identifier
+    Buffer.from([0xff]),              // metadata_format
+    Buffer.from('ID3 ', 'latin1'),    // metadata_format_identifier
+    Buffer.from([0x00])               // metadata_service_id
+  ]);
+}
+
+/**
+ * Rewrite a PMT section with an ID3 metadata stream added
+ */
+function addMetadataStream(section) {
+  const sectionLength = ((section[1] & 0x0f) << 8) | section[2];
+  const programNumber = section.readUInt16BE(3);
+  const programInfoLength = ((section[10] & 0x0f) << 8) | section[11];
+  const programInfo = section.subarray(12, 12 + programInfoLength);
+  const streams = section.subarray(12 + programInfoLength, 3 + sectionLength - 4);
+
+  // Already has it (e.g. segment served twice from a cache)
+  for (let i = 0; i < streams.length; i += 5 + (((streams[i + 3] & 0x0f) << 8) | streams[i + 4])) {
+    if (streams[i] === STREAM_TYPE_METADATA) {
+      return null;
+    }
+  }
+
+  const pointerDescriptor = Buffer.concat([
+    Buffer.from([0x25, 15]),
+    id3DescriptorBody(),
+    Buffer.from([0x1f]),              // no locator record, MPEG carriage 0, reserved
+    Buffer.from([programNumber >> 8, programNumber & 0xff])
+  ]);
+  const metadataDescriptor = Buffer.concat([
+    Buffer.from([0x26, 13]),
+    id3DescriptorBody(),
+    Buffer.from([0x0f])               // decoder_config_flags 0, no DSM-CC, reserved
+  ]);
+  const newProgramInfo = Buffer.concat([programInfo, pointerDescriptor]);
+  const metadataStream = Buffer.concat([
+    Buffer.from([
+      STREAM_TYPE_METADATA,
+      0xe0 | (METADATA_PID >> 8), METADATA_PID & 0xff,
+      0xf0 | (metadataDescriptor.length >> 8), metadataDescriptor.length & 0xff
+    ]),
+    metadataDescriptor
+  ]);
+
+  const body = Buffer.concat([
+    section.subarray(3, 10),          // program number, version, section numbers, PCR PID
+    Buffer.from([0xf0 | (newProgramInfo.length >> 8), newProgramInfo.length & 0xff]),
+    newProgramInfo,
+    streams,
+    metadataStream
+  ]);
+  const length = body.length + 4;     // + CRC
+  const header = Buffer.from([section[0], 0xb0 | (length >> 8), length & 0xff]);
+  const withoutCrc = Buffer.concat([header, body]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(withoutCrc));
+  return Buffer.concat([withoutCrc, crc]);
+}
+
+/**
+ * TS packets carrying one PES packet on `pid`
+ */
+function packetize(pes, pid) {
+  const packets = [];
+  let continuity = 0;
+  for (let offset = 0; offset < pes.length; offset += 184) {
+    const chunk = pes.subarray(offset, offset + 184);
+    const packet = Buffer.alloc(TS_PACKET, 0xff);
+    packet[0] = 0x47;
+    packet[1] = (offset === 0 ? 0x40 : 0x00) | (pid >> 8);
+    packet[2] = pid & 0xff;
+    if (chunk.length === 184) {
+      packet[3] = 0x10 | continuity;
+      chunk.copy(packet, 4);
+    } else {
+      // Pad the last packet with an adaptation field
+      const stuffing = 183 - chunk.length;
+      packet[3] = 0x30 | continuity;
+      packet[4] = stuffing;
+      if (stuffing > 0) {
+        packet[5] = 0x00;
+      }
+      chunk.copy(packet, 5 + stuffing);
+    }
+    packets.push(packet);
+    continuity = (continuity + 1) & 0x0f;
+  }
+  return packets;
+}
+
+/**
+ * Return a copy of an MPEG-TS segment carrying `tag`, timed `offsetMs`
+ * after the first audio sample. The segment is returned untouched if it
+ * can't be parsed.
+ */
+export function injectTimedId3(segment, tag, offsetMs = 0) {
+  if (segment.length < TS_PACKET || segment[0] !== 0x47) {
+    return segment;
+  }
+
+  let pmtPid = null;
+  let audioPid = null;
+  let pmtIndex = -1;
+  let firstPts = null;
+  const packets = [];
+  for (let offset = 0; offset + TS_PACKET <= segment.length; offset += TS_PACKET) {
+    let packet = segment.subarray(offset, offset + TS_PACKET);
+    const pid = packetPid(packet);
+    const unitStart = (packet[1] & 0x40) !== 0;
+    const start = payloadStart(packet);
+
+    if (pid === 0 && unitStart && start >= 0 && pmtPid === null) {
+      const table = start + 1 + packet[start];
+      pmtPid = ((packet[table + 10] & 0x1f) << 8) | packet[table + 11];  // First program in the PAT
+    } else if (pid === pmtPid && unitStart && start >= 0) {
+      const table = start + 1 + packet[start];
+      const sectionLength = ((packet[table + 1] & 0x0f) << 8) | packet[table + 2];
+      const section = packet.subarray(table, table + 3 + sectionLength);
+      if (audioPid === null) {
+        const programInfoLength = ((section[10] & 0x0f) << 8) | section[11];
+        const es = 12 + programInfoLength;
+        audioPid = ((section[es + 1] & 0x1f) << 8) | section[es + 2];
+      }
+      const rewritten = addMetadataStream(section);
+      if (!rewritten) {
+        return segment;  // Already tagged
+      }
+      if (5 + rewritten.length <= TS_PACKET) {
+        packet = Buffer.alloc(TS_PACKET, 0xff);
+        segment.copy(packet, 0, offset, offset + 4);
+        packet[3] = (packet[3] & 0x0f) | 0x10;  // Payload only
+        packet[4] = 0;                           // pointer_field
+        rewritten.copy(packet, 5);
+        if (pmtIndex < 0) {
+          pmtIndex = packets.length;
+        }
+      }
+    } else if (pid === audioPid && unitStart && start >= 0 && firstPts === null) {
+      const pes = packet.subarray(start);
+      if (pes[0] === 0 && pes[1] === 0 && pes[2] === 1 && (pes[7] & 0x80)) {
+        firstPts = readPts(pes, 9);
+      }
+    }
+    packets.push(packet);
+  }
+
+  if (pmtIndex < 0 || firstPts === null) {
+    return segment;
+  }
+
+  const pts = (firstPts + Math.round(Math.max(0, offsetMs) * 90)) % PTS_WRAP;
+  const pesHeader = Buffer.from([
+    0x00, 0x00, 0x01, 0xbd,           // private_stream_1
+    0x00, 0x00,                       // PES_packet_length (filled below)
+    0x84,                             // data_alignment_indicator
+    0x80,                             // PTS only
+    0x05                              // PES header data length
+  ]);
+  const pes = Buffer.concat([pesHeader, writePts(pts), tag]);
+  pes.writeUInt16BE(Math.min(0xffff, pes.length - 6), 4);
+
+  packets.splice(pmtIndex + 1, 0, ...packetize(pes, METADATA_PID));
+  return Buffer.concat(packets);
+}
@@ -0,0 +1,466 @@
+/**
+ * Insertions
+ * Station IDs, promos and ad spots between (or inside) Auto DJ content
+ *
+ * Each rule plays `count` spots from a named playlist, rotating through it,
+ * either by the clock (`minutes: [0]` = top of the hour, in the station's
+ * time zone) or after every N minutes of Auto DJ content (`everyMinutes`).
+ * Rules due together share one break.
+ *
+ * A break waits for a safe point - a quiet moment in the programme (e.g. the
+ * gap between tracks or a pause in speech), or INSERT_MAX_WAIT seconds at
+ * most - then pauses Auto DJ, plays the spots and resumes the programme where
+ * it stopped. Breaks only run while Auto DJ is on air; live shows take their
+ * own breaks.
+ *
+ * Every spot that airs is appended to $DATA_DIR/aired.jsonl for sponsor reports.
+ *
+ * Emits:
+ *   'break-start' ({ rules, spots })
+ *   'aired' (entry)  - a spot finished (or was cut off)
+ *   'break-end' ({ rules, aired })
+ */
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { AutoDJ } from './autoDJ.js';
+import { levelDb } from './deadAirMonitor.js';
+import { zonedTime } from './scheduler.js';
+
+export const INSERT_TYPES = ['id', 'promo', 'ad'];
+
+export class InsertionScheduler extends EventEmitter {
+  constructor(channel, options = {}) {
+    super();
+    this.channel = channel;
+    this.dataDir = options.dataDir || process.env.DATA_DIR || './data';
+    this.filePath = path.join(this.dataDir, 'insertions.json');
+    this.logPath = path.join(this.dataDir, 'aired.jsonl');
+    this.maxWait = parseFloat(options.maxWait ?? process.env.INSERT_MAX_WAIT ?? '90') * 1000;           // Longest wait for a safe point (ms)
+    this.silenceDb = parseFloat(options.silenceDb ?? process.env.INSERT_SILENCE_DB ?? '-40');           // Quieter than this is a safe point
+    this.silenceMs = parseFloat(options.silenceMs ?? process.env.INSERT_SILENCE_MS ?? '300');           // ...for at least this long
+    this.rules = [];        // { id, name, type, playlist, count, minutes | everyMinutes, sponsor, enabled }
+    this.rotation = new Map();        // rule id -> index of its next spot
+    this.contentSeconds = new Map();  // rule id -> Auto DJ seconds since it last aired
+    this.lastFired = new Map();       // rule id -> clock minute it last fired
+    this.pending = [];      // Rules waiting for the break in progress to finish
+    this.current = null;    // Break in progress: { rules, spots, state: 'waiting' | 'playing', startedAt, aired }
+    this.airing = null;     // Spot on air: { spot, startedAt }
+    this.cancel = null;     // Ends the wait/playback early (live show starting)
+    this.timer = null;
+    this.lastCheck = 0;
+    this.writeQueue = Promise.resolve();
+    this.logQueue = Promise.resolve();
+
+    // One-shot player for the spots - feeds the same mixer input as Auto DJ
+    this.player = new AutoDJ(channel.hlsServer, {
+      playlist: [],
+      mode: 'sequential',
+      gap: 0,
+      crossfade: 0,
+      once: true,
+      gainCache: options.gainCache,
+      library: options.library
+    });
+    this.player.on('track', (track) => {
+      if (!this.current) {
+        return;
+      }
+      this.airing = { spot: this.current.spots[this.player.currentIndex], startedAt: new Date() };
+      channel.nowPlaying.fromTrack(track, { show: this.airing.spot.rule.name, type: 'insert', restart: true });
+    });
+    this.player.on('ended', () => this.logAiring(true));
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      this.rules = Array.isArray(data.rules) ? data.rules : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ [INSERTS] Failed to read ${this.filePath}:`, error.message);
+        throw error;
+      }
+      this.rules = [];
+    }
+    console.log(`📢 [INSERTS]${this.channel.label} ${this.rules.length} insertion rule(s)`);
+    return this.rules;
+  }
+
+  save() {
+    const snapshot = JSON.stringify({ rules: this.rules }, null, 2);
+    this.writeQueue = this.writeQueue.then(async () => {
+      await fs.mkdir(this.dataDir, { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tmpPath, snapshot);
+      await fs.rename(tmpPath, this.filePath);
+    }).catch((error) => {
+      console.error('❌ [INSERTS] Failed to save insertion rules:', error);
+    });
+    return this.writeQueue;
+  }
+
+  start() {
+    this.stop();
+    this.lastCheck = Date.now();
+    this.timer = setInterval(() => this.check(), 1000);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  list() {
+    return this.rules;
+  }
+
+  get(id) {
+    return this.rules.find(rule => rule.id === id) || null;
+  }
+
+  async add(rule) {
+    const entry = { id: randomUUID(), ...rule };
+    this.rules.push(entry);
+    await this.save();
+    console.log(`📢 [INSERTS]${this.channel.label} Added ${entry.type} rule "${entry.name}" (${describeTrigger(entry)})`);
+    return entry;
+  }
+
+  async update(id, fields) {
+    const index = this.rules.findIndex(rule => rule.id === id);
+    if (index < 0) {
+      return null;
+    }
+    const { id: _, ...changes } = fields;
+    const rule = { ...this.rules[index], ...changes };
+    // A rule switches trigger by setting the other one
+    if (changes.minutes) {
+      delete rule.everyMinutes;
+    } else if (changes.everyMinutes) {
+      delete rule.minutes;
+    }
+    this.rules[index] = rule;
+    await this.save();
+    return rule;
+  }
+
+  async remove(id) {
+    const rule = this.get(id);
+    if (!rule) {
+      return null;
+    }
+    this.rules = this.rules.filter(r => r.id !== id);
+    this.rotation.delete(id);
+    this.contentSeconds.delete(id);
+    this.lastFired.delete(id);
+    await this.save();
+    console.log(`📢 [INSERTS]${this.channel.label} Removed rule "${rule.name}"`);
+    return rule;
+  }
+
+  /**
+   * Count Auto DJ airtime and start a break when rules come due
+   */
+  check(now = Date.now()) {
+    const elapsed = (now - this.lastCheck) / 1000;
+    this.lastCheck = now;
+    const onAir = this.channel.getSource() === 'autodj' && !this.current;
+    const minuteKey = new Date(now).toISOString().slice(0, 16);
+    const minute = zonedTime(new Date(now), this.channel.scheduler.timezone).minutes % 60;
+
+    const due = [];
+    for (const rule of this.rules) {
+      if (rule.enabled === false) {
+        continue;
+      }
+      if (rule.everyMinutes) {
+        if (onAir) {
+          const seconds = (this.contentSeconds.get(rule.id) || 0) + elapsed;
+          this.contentSeconds.set(rule.id, seconds);
+          if (seconds >= rule.everyMinutes * 60) {
+            due.push(rule);
+          }
+        }
+      } else if (Array.isArray(rule.minutes) && rule.minutes.includes(minute) && this.lastFired.get(rule.id) !== minuteKey) {
+        this.lastFired.set(rule.id, minuteKey);
+        if (onAir) {
+          due.push(rule);
+        } else if (!this.current) {
+          console.log(`⏭️ [INSERTS]${this.channel.label} Skipping "${rule.name}" - Auto DJ is not on air`);
+        } else if (!this.pending.includes(rule)) {
+          this.pending.push(rule);  // Runs right after the break in progress
+        }
+      }
+    }
+
+    if (due.length > 0) {
+      this.runBreak(due).catch((error) => {
+        console.error(`❌ [INSERTS]${this.channel.label} Break failed:`, error);
+      });
+    }
+  }
+
+  /**
+   * Next `rule.count` spots from the rule's playlist, in rotation
+   */
+  pickSpots(rule) {
+    const tracks = this.channel.playlistStore.list(rule.playlist) || [];
+    if (tracks.length === 0) {
+      console.warn(`⚠️ [INSERTS]${this.channel.label} Playlist "${rule.playlist}" for "${rule.name}" is missing or empty`);
+      return [];
+    }
+    const spots = [];
+    let index = this.rotation.get(rule.id) || 0;
+    for (let i = 0; i < (rule.count || 1); i++) {
+      spots.push({ track: tracks[index % tracks.length], rule });
+      index = (index + 1) % tracks.length;
+    }
+    this.rotation.set(rule.id, index);
+    return spots;
+  }
+
+  /**
+   * Wait for a safe point, pause Auto DJ, play the rules' spots and resume
+   */
+  async runBreak(rules) {
+    if (this.current) {
+      this.pending.push(...rules.filter(rule => !this.pending.includes(rule)));
+      return false;
+    }
+    const spots = rules.flatMap(rule => this.pickSpots(rule));
+    if (spots.length === 0) {
+      return false;
+    }
+    const { autoDJ, hlsServer } = this.channel;
+    const names = rules.map(rule => rule.name);
+    const current = { rules: names, spots, state: 'waiting', startedAt: new Date().toISOString(), aired: 0 };
+    this.current = current;
+
+    try {
+      const waited = await this.waitForSafePoint();
+      if (waited === null || this.channel.getSource() !== 'autodj') {
+        console.log(`⏭️ [INSERTS]${this.channel.label} Break cancelled (${names.join(', ')}) - Auto DJ went off air`);
+        return false;
+      }
+
+      console.log(`📢 [INSERTS]${this.channel.label} Break: ${spots.length} spot(s) for ${names.join(', ')}${waited ? '' : ' (no quiet moment - cutting in)'}`);
+      this.current.state = 'playing';
+      this.emit('break-start', { rules: names, spots: spots.length });
+      await autoDJ.stop();
+      hlsServer.mixer.flush(autoDJ.source);  // Pause exactly where listeners are
+
+      await this.playSpots(spots);
+
+      // The content counters restart once a rule has aired
+      for (const rule of rules) {
+        this.contentSeconds.set(rule.id, 0);
+      }
+      return true;
+    } finally {
+      this.current = null;
+      this.cancel = null;
+      if (this.player.isPlaying()) {
+        await this.player.stop();
+      }
+      await this.resumeProgramme();
+      this.emit('break-end', { rules: names, aired: current.aired });
+
+      const next = this.pending.splice(0);
+      if (next.length > 0 && this.channel.getSource() === 'autodj') {
+        setImmediate(() => this.runBreak(next).catch((error) => {
+          console.error(`❌ [INSERTS]${this.channel.label} Break failed:`, error);
+        }));
+      }
+    }
+  }
+
+  /**
+   * Resolves true at a quiet moment, false when the max wait is up, or null if cancelled
+   */
+  waitForSafePoint() {
+    const { hlsServer } = this.channel;
+    return new Promise((resolve) => {
+      let quietSince = null;
+      const finish = (result) => {
+        clearTimeout(timer);
+        hlsServer.removeTap(tap);
+        resolve(result);
+      };
+      const tap = (buffer) => {
+        const now = Date.now();
+        if (levelDb(buffer) < this.silenceDb) {
+          quietSince = quietSince ?? now;
+          if (now - quietSince >= this.silenceMs) {
+            finish(true);
+          }
+        } else {
+          quietSince = null;
+        }
+      };
+      const timer = setTimeout(() => finish(false), this.maxWait);
+      this.cancel = () => finish(null);
+      hlsServer.addTap(tap);
+    });
+  }
+
+  /**
+   * Play the spots through once (or until cancelled)
+   */
+  async playSpots(spots) {
+    const { player } = this;
+    const expected = spots.reduce((sum, spot) => sum + (spot.track.duration || 60), 0);
+    await player.switchPlaylist(spots.map(spot => spot.track), 'break');
+
+    const finished = new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        console.warn(`⚠️ [INSERTS]${this.channel.label} Break overran - returning to the programme`);
+        done();
+      }, (expected + 30) * 1000);
+      const done = () => {
+        clearTimeout(timer);
+        player.off('done', done);
+        resolve();
+      };
+      player.on('done', done);
+      this.cancel = done;
+    });
+    await player.start();
+    await finished;
+    if (this.airing) {
+      this.logAiring(false);  // Cut off (live show or overrun)
+    }
+  }
+
+  /**
+   * Back to the paused programme - unless a live show or the admin panel has the air
+   */
+  async resumeProgramme() {
+    const { autoDJ, hlsServer } = this.channel;
+    if (hlsServer.liveMode || this.channel.autoDJPaused || autoDJ.isPlaying()) {
+      return;
+    }
+    await autoDJ.start();
+  }
+
+  /**
+   * Stop a break in progress (a live show is starting)
+   */
+  async abort() {
+    if (!this.current) {
+      return;
+    }
+    console.log(`⏹️ [INSERTS]${this.channel.label} Ending break early`);
+    if (this.cancel) {
+      this.cancel();
+    }
+    if (this.player.isPlaying()) {
+      await this.player.stop();
+    }
+  }
+
+  /**
+   * Append the spot on air to the aired log
+   */
+  logAiring(completed) {
+    if (!this.airing) {
+      return;
+    }
+    const { spot, startedAt } = this.airing;
+    this.airing = null;
+    if (this.current) {
+      this.current.aired++;
+    }
+    const endedAt = new Date();
+    const entry = {
+      id: randomUUID(),
+      channel: this.channel.id,
+      rule: spot.rule.id,
+      ruleName: spot.rule.name,
+      type: spot.rule.type,
+      sponsor: spot.rule.sponsor || null,
+      title: spot.track.title,
+      trackId: spot.track.id || null,
+      mediaId: spot.track.mediaId || null,
+      startedAt: startedAt.toISOString(),
+      endedAt: endedAt.toISOString(),
+      seconds: Math.round((endedAt - startedAt) / 100) / 10,
+      completed
+    };
+    console.log(`📢 [INSERTS]${this.channel.label} Aired ${entry.type} "${entry.title}"${entry.sponsor ? ` for ${entry.sponsor}` : ''}${completed ? '' : ' (cut off)'}`);
+    this.emit('aired', entry);
+    const line = `${JSON.stringify(entry)}\n`;
+    this.logQueue = this.logQueue.then(async () => {
+      await fs.mkdir(this.dataDir, { recursive: true });
+      await fs.appendFile(this.logPath, line);
+    }).catch((error) => {
+      console.error('❌ [INSERTS] Failed to write aired log:', error);
+    });
+    return entry;
+  }
+
+  /**
+   * Aired spots, newest first. Filters: { from, to, type, sponsor, rule, limit }
+   */
+  async getAired({ from = null, to = null, type = null, sponsor = null, rule = null, limit = 500 } = {}) {
+    await this.logQueue;
+    let text;
+    try {
+      text = await fs.readFile(this.logPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+    const fromTime = from ? Date.parse(from) : -Infinity;
+    const toTime = to ? Date.parse(to) : Infinity;
+    const entries = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        continue;  // Torn last line after a crash
+      }
+      const at = Date.parse(entry.startedAt);
+      if (at < fromTime || at >= toTime || (type && entry.type !== type) ||
+          (sponsor && entry.sponsor !== sponsor) || (rule && entry.rule !== rule)) {
+        continue;
+      }
+      entries.push(entry);
+    }
+    return entries.reverse().slice(0, limit);
+  }
+
+  getStatus() {
+    return {
+      break: this.current && {
+        rules: this.current.rules,
+        spots: this.current.spots.length,
+        state: this.current.state,
+        startedAt: this.current.startedAt
+      },
+      rules: this.rules.map(rule => ({
+        id: rule.id,
+        name: rule.name,
+        trigger: describeTrigger(rule),
+        contentMinutes: rule.everyMinutes ? Math.floor((this.contentSeconds.get(rule.id) || 0) / 60) : null
+      }))
+    };
+  }
+}
+
+function describeTrigger(rule) {
+  if (rule.everyMinutes) {
+    return `every ${rule.everyMinutes} min of content`;
+  }
+  return `at ${(rule.minutes || []).map(m => `:${String(m).padStart(2, '0')}`).join(', ')}`;
+}
@@ -0,0 +1,160 @@
+/**
+ * Insertions API
+ * Manage station ID / promo / ad rules and read the aired log
+ */
+
+import express from 'express';
+import { INSERT_TYPES } from './insertions.js';
+
+function validateRule(body, playlistStore) {
+  if (!body || typeof body.name !== 'string' || !body.name.trim()) {
+    return 'name is required';
+  }
+  if (!INSERT_TYPES.includes(body.type)) {
+    return `type must be one of ${INSERT_TYPES.join(', ')}`;
+  }
+  if (typeof body.playlist !== 'string' || !playlistStore.has(body.playlist)) {
+    return `playlist "${body.playlist}" does not exist`;
+  }
+  if (body.count != null && (!Number.isInteger(body.count) || body.count < 1 || body.count > 10)) {
+    return 'count must be a whole number from 1 to 10';
+  }
+  const hasMinutes = body.minutes != null;
+  const hasEvery = body.everyMinutes != null;
+  if (hasMinutes === hasEvery) {
+    return 'set either minutes (clock) or everyMinutes (content)';
+  }
+  if (hasMinutes && (!Array.isArray(body.minutes) || body.minutes.length === 0 ||
+      body.minutes.some(m => !Number.isInteger(m) || m < 0 || m > 59))) {
+    return 'minutes must be a list of minutes past the hour (0-59)';
+  }
+  if (hasEvery && (typeof body.everyMinutes !== 'number' || !(body.everyMinutes > 0))) {
+    return 'everyMinutes must be a positive number';
+  }
+  if (body.sponsor != null && typeof body.sponsor !== 'string') {
+    return 'sponsor must be a string';
+  }
+  if (body.enabled != null && typeof body.enabled !== 'boolean') {
+    return 'enabled must be true or false';
+  }
+  return null;
+}
+
+function ruleFields({ name, type, playlist, count, minutes, everyMinutes, sponsor, enabled }) {
+  return {
+    name: name.trim(),
+    type,
+    playlist,
+    count: count ?? 1,
+    ...(minutes != null ? { minutes: [...new Set(minutes)].sort((a, b) => a - b) } : { everyMinutes }),
+    sponsor: sponsor ? sponsor.trim() : null,
+    enabled: enabled ?? true
+  };
+}
+
+const CSV_COLUMNS = ['startedAt', 'endedAt', 'seconds', 'type', 'sponsor', 'ruleName', 'title', 'completed', 'channel'];
+
+function toCsv(entries) {
+  const cell = (value) => {
+    const text = value == null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [CSV_COLUMNS.join(','), ...entries.map(entry => CSV_COLUMNS.map(column => cell(entry[column])).join(','))].join('\n') + '\n';
+}
+
+export function createInsertionsRouter({ insertions, playlistStore, auth }) {
+  const router = express.Router();
+  router.use(['/insertions', '/aired'], auth);
+
+  router.get('/insertions', (req, res) => {
+    res.json({ rules: insertions.list(), status: insertions.getStatus() });
+  });
+
+  router.post('/insertions', async (req, res) => {
+    const error = validateRule(req.body, playlistStore);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    try {
+      res.status(201).json(await insertions.add(ruleFields(req.body)));
+    } catch (err) {
+      console.error('❌ [API] Error adding insertion rule:', err);
+      res.status(500).json({ error: 'Failed to add rule' });
+    }
+  });
+
+  router.put('/insertions/:id', async (req, res) => {
+    const rule = insertions.get(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    // Partial update - switching trigger drops the other one
+    const body = { ...rule, ...req.body };
+    if (req.body && req.body.minutes != null) {
+      delete body.everyMinutes;
+    } else if (req.body && req.body.everyMinutes != null) {
+      delete body.minutes;
+    }
+    const error = validateRule(body, playlistStore);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    try {
+      res.json(await insertions.update(rule.id, ruleFields(body)));
+    } catch (err) {
+      console.error('❌ [API] Error updating insertion rule:', err);
+      res.status(500).json({ error: 'Failed to update rule' });
+    }
+  });
+
+  router.delete('/insertions/:id', async (req, res) => {
+    try {
+      const rule = await insertions.remove(req.params.id);
+      if (!rule) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+      res.json(rule);
+    } catch (err) {
+      console.error('❌ [API] Error removing insertion rule:', err);
+      res.status(500).json({ error: 'Failed to remove rule' });
+    }
+  });
+
+  // Air a rule's spots now (at the next safe point)
+  router.post('/insertions/:id/run', (req, res) => {
+    const rule = insertions.get(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    if (insertions.channel.getSource() !== 'autodj' || insertions.current) {
+      return res.status(409).json({ error: 'Auto DJ is not on air or a break is already running' });
+    }
+    insertions.runBreak([rule]).catch((error) => {
+      console.error('❌ [API] Error running break:', error);
+    });
+    res.status(202).json(insertions.getStatus());
+  });
+
+  // Aired log for sponsor reports - ?from=&to= (ISO), type, sponsor, rule, limit, format=csv
+  router.get('/aired', async (req, res) => {
+    const { from, to, type, sponsor, rule, format } = req.query;
+    if ((from && Number.isNaN(Date.parse(from))) || (to && Number.isNaN(Date.parse(to)))) {
+      return res.status(400).json({ error: 'from and to must be ISO 8601 timestamps' });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 500, 10000);
+    try {
+      const entries = await insertions.getAired({ from, to, type, sponsor, rule, limit });
+      if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', 'attachment; filename="aired.csv"');
+        return res.send(toCsv(entries));
+      }
+      res.json({ aired: entries });
+    } catch (err) {
+      console.error('❌ [API] Error reading aired log:', err);
+      res.status(500).json({ error: 'Failed to read aired log' });
+    }
+  });
+
+  return router;
+}
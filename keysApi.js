@@ -0,0 +1,45 @@
+/**
+ * API key management
+ * Create, list and revoke role-based keys without a redeploy
+ */
+
+import express from 'express';
+import { ROLES } from './auth.js';
+
+export function createKeysRouter({ keyStore, auth }) {
+  const router = express.Router();
+  router.use('/keys', auth);
+
+  router.get('/keys', (req, res) => {
+    res.json({ keys: keyStore.list(), env: keyStore.envKeys().map(({ hash, ...entry }) => entry) });
+  });
+
+  router.post('/keys', async (req, res) => {
+    const { role, label = '' } = req.body || {};
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+    }
+    try {
+      // Plaintext key is only returned once - store it somewhere safe
+      res.status(201).json(await keyStore.create(role, String(label)));
+    } catch (err) {
+      console.error('❌ [API] Error creating key:', err);
+      res.status(500).json({ error: 'Failed to create key' });
+    }
+  });
+
+  router.delete('/keys/:id', async (req, res) => {
+    try {
+      const key = await keyStore.revoke(req.params.id);
+      if (!key) {
+        return res.status(404).json({ error: 'Key not found (environment keys can only be changed in the environment)' });
+      }
+      res.json(key);
+    } catch (err) {
+      console.error('❌ [API] Error revoking key:', err);
+      res.status(500).json({ error: 'Failed to revoke key' });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,270 @@
+/**
+ * Listener Stats
+ * Tracks listeners from HLS playlist/segment polling
+ *
+ * HLS players don't hold a connection open, so a "listener" is a client
+ * (IP + user agent) that has fetched the playlist or a segment recently.
+ *
+ * Emits:
+ *   'peak' ({ listeners, at }) - a new listener peak, at most every LISTENER_PEAK_INTERVAL seconds
+ */
+
+import { EventEmitter } from 'events';
+import { createHash } from 'crypto';
+import { MAIN_CHANNEL } from './channelStore.js';
+
+const RECENT_SESSIONS = 100;   // Ended sessions kept for /stats
+
+/**
+ * Rough platform from a user agent string
+ */
+export function detectPlatform(userAgent = '') {
+  const ua = userAgent.toLowerCase();
+  if (/iphone|ipad|ipod|ios|appletv/.test(ua)) return 'ios';
+  if (/android|exoplayer/.test(ua)) return 'android';
+  if (/alexa|echo|sonos|googlecast|crkey|roku/.test(ua)) return 'smart-speaker';
+  if (/applecoremedia/.test(ua)) return 'ios';  // AVPlayer without device info
+  if (/macintosh|mac os x/.test(ua)) return 'macos';
+  if (/windows/.test(ua)) return 'windows';
+  if (/linux|x11/.test(ua)) return 'linux';
+  return 'other';
+}
+
+/**
+ * Player/browser family from a user agent string
+ */
+export function detectAgent(userAgent = '') {
+  const ua = userAgent.toLowerCase();
+  if (ua.includes('applecoremedia')) return 'avplayer';
+  if (ua.includes('exoplayer')) return 'exoplayer';
+  if (ua.includes('vlc')) return 'vlc';
+  if (ua.includes('edg/')) return 'edge';
+  if (ua.includes('chrome/')) return 'chrome';
+  if (ua.includes('firefox/')) return 'firefox';
+  if (ua.includes('safari/')) return 'safari';
+  if (ua.includes('okhttp')) return 'okhttp';
+  if (!ua) return 'unknown';
+  return 'other';
+}
+
+function countBy(items, key) {
+  const counts = {};
+  for (const item of items) {
+    counts[item[key]] = (counts[item[key]] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Escape a Prometheus label value
+ */
+function label(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+export class ListenerStats extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.sessionTimeout = options.sessionTimeout || parseInt(process.env.LISTENER_TIMEOUT || '30', 10) * 1000;  // No request for this long = gone
+    this.sessions = new Map();       // id -> session
+    this.recentSessions = [];        // Most recent ended sessions
+    this.startedAt = Date.now();
+
+    // Cumulative counters
+    this.totals = {
+      sessions: 0,
+      listeningSeconds: 0,
+      playlistRequests: 0,
+      segmentRequests: 0,
+      bytesServed: 0,
+      platforms: {},
+      agents: {}
+    };
+    this.peak = { listeners: 0, at: null };
+    this.peakInterval = parseInt(options.peakInterval ?? process.env.LISTENER_PEAK_INTERVAL ?? '300', 10) * 1000;  // Between 'peak' events
+    this.reportedPeak = 0;
+    this.peakReportedAt = 0;
+    this.sweepTimer = null;
+  }
+
+  start() {
+    this.stop();
+    this.sweepTimer = setInterval(() => this.sweep(), 5000);
+  }
+
+  stop() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  sessionId(req, channel = MAIN_CHANNEL) {
+    const userAgent = req.headers['user-agent'] || '';
+    return createHash('sha1').update(`${req.ip}|${userAgent}|${channel}`).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Record a playlist or segment request, or progress on an open
+   * Icecast stream ('stream' - called periodically while connected).
+   * A client listening to two channels counts as two sessions.
+   */
+  record(req, kind, bytes = 0, rendition = null, channel = MAIN_CHANNEL) {
+    const now = Date.now();
+    const id = this.sessionId(req, channel);
+    let session = this.sessions.get(id);
+
+    if (!session) {
+      const userAgent = req.headers['user-agent'] || '';
+      session = {
+        id,
+        channel,
+        platform: detectPlatform(userAgent),
+        agent: detectAgent(userAgent),
+        userAgent: userAgent.slice(0, 200),
+        firstSeen: now,
+        lastSeen: now,
+        segments: 0,
+        bytes: 0,
+        rendition: null
+      };
+      this.sessions.set(id, session);
+      this.totals.sessions++;
+      this.totals.platforms[session.platform] = (this.totals.platforms[session.platform] || 0) + 1;
+      this.totals.agents[session.agent] = (this.totals.agents[session.agent] || 0) + 1;
+      this.updatePeak(now);
+    }
+
+    session.lastSeen = now;
+    if (rendition) {
+      session.rendition = rendition;
+    }
+    if (kind === 'segment') {
+      session.segments++;
+      this.totals.segmentRequests++;
+    } else if (kind === 'playlist') {
+      this.totals.playlistRequests++;
+    }
+    session.bytes += bytes;
+    this.totals.bytesServed += bytes;
+  }
+
+  updatePeak(now = Date.now()) {
+    if (this.sessions.size > this.peak.listeners) {
+      this.peak = { listeners: this.sessions.size, at: new Date(now).toISOString() };
+    }
+  }
+
+  /**
+   * Close sessions that stopped polling
+   */
+  sweep(now = Date.now()) {
+    for (const [id, session] of this.sessions) {
+      if (now - session.lastSeen > this.sessionTimeout) {
+        this.sessions.delete(id);
+        const seconds = (session.lastSeen - session.firstSeen) / 1000;
+        this.totals.listeningSeconds += seconds;
+        this.recentSessions.unshift({
+          channel: session.channel,
+          platform: session.platform,
+          agent: session.agent,
+          startedAt: new Date(session.firstSeen).toISOString(),
+          endedAt: new Date(session.lastSeen).toISOString(),
+          seconds: Math.round(seconds)
+        });
+      }
+    }
+    this.recentSessions.length = Math.min(this.recentSessions.length, RECENT_SESSIONS);
+
+    // A crowd arriving raises the peak one listener at a time - report it in steps
+    if (this.peak.listeners > this.reportedPeak && now - this.peakReportedAt >= this.peakInterval) {
+      this.reportedPeak = this.peak.listeners;
+      this.peakReportedAt = now;
+      this.emit('peak', { ...this.peak });
+    }
+  }
+
+  current() {
+    return [...this.sessions.values()];
+  }
+
+  /**
+   * Listening time so far. Open sessions count up to their last request -
+   * what sweep() credits when they end - so the total never goes down.
+   */
+  listeningSeconds(active = this.current()) {
+    return Math.round(active.reduce((sum, s) => sum + (s.lastSeen - s.firstSeen) / 1000, this.totals.listeningSeconds));
+  }
+
+  getStats() {
+    const now = Date.now();
+    const active = this.current();
+    const ended = this.totals.sessions - active.length;
+
+    return {
+      listeners: active.length,
+      peak: this.peak,
+      since: new Date(this.startedAt).toISOString(),
+      current: {
+        channels: countBy(active, 'channel'),
+        platforms: countBy(active, 'platform'),
+        agents: countBy(active, 'agent'),
+        renditions: countBy(active.filter(s => s.rendition), 'rendition'),
+        sessions: active.map(s => ({
+          channel: s.channel,
+          platform: s.platform,
+          agent: s.agent,
+          rendition: s.rendition,
+          seconds: Math.round((now - s.firstSeen) / 1000)
+        }))
+      },
+      totals: {
+        sessions: this.totals.sessions,
+        listeningSeconds: this.listeningSeconds(active),
+        averageSessionSeconds: ended > 0 ? Math.round(this.totals.listeningSeconds / ended) : null,
+        playlistRequests: this.totals.playlistRequests,
+        segmentRequests: this.totals.segmentRequests,
+        bytesServed: this.totals.bytesServed,
+        platforms: this.totals.platforms,
+        agents: this.totals.agents
+      },
+      recentSessions: this.recentSessions.slice(0, 20)
+    };
+  }
+
+  /**
+   * Prometheus text exposition format
+   */
+  getMetrics(extra = {}) {
+    const active = this.current();
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${name} ${help}`);
+      lines.push(`# TYPE ${name} ${type}`);
+      for (const [labels, value] of samples) {
+        lines.push(`${name}${labels} ${value}`);
+      }
+    };
+
+    metric('audioroad_listeners', 'gauge', 'Current listeners', [['', active.length]]);
+    metric('audioroad_listeners_peak', 'gauge', 'Peak concurrent listeners since start', [['', this.peak.listeners]]);
+    metric('audioroad_listeners_by_channel', 'gauge', 'Current listeners by channel',
+      Object.entries(countBy(active, 'channel')).map(([k, v]) => [`{channel="${label(k)}"}`, v]));
+    metric('audioroad_listeners_by_platform', 'gauge', 'Current listeners by platform',
+      Object.entries(countBy(active, 'platform')).map(([k, v]) => [`{platform="${label(k)}"}`, v]));
+    metric('audioroad_listeners_by_agent', 'gauge', 'Current listeners by player',
+      Object.entries(countBy(active, 'agent')).map(([k, v]) => [`{agent="${label(k)}"}`, v]));
+    metric('audioroad_listener_sessions_total', 'counter', 'Listener sessions started', [['', this.totals.sessions]]);
+    metric('audioroad_listening_seconds_total', 'counter', 'Total listening time',
+      [['', this.listeningSeconds(active)]]);
+    metric('audioroad_playlist_requests_total', 'counter', 'Playlist requests served', [['', this.totals.playlistRequests]]);
+    metric('audioroad_segment_requests_total', 'counter', 'Segment requests served', [['', this.totals.segmentRequests]]);
+    metric('audioroad_bytes_served_total', 'counter', 'Segment bytes served', [['', this.totals.bytesServed]]);
+
+    for (const [name, { help, value }] of Object.entries(extra)) {
+      metric(name, 'gauge', help, [['', value]]);
+    }
+
+    return lines.join('\n') + '\n';
+  }
+}
@@ -0,0 +1,299 @@
+/**
+ * Live Ingest
+ * Live audio in formats other than raw f32le over Socket.IO
+ *
+ * Broadcasters can send compressed audio instead of ~3 Mbps of float PCM:
+ * Socket.IO chunks in a declared format (Opus in WebM or Ogg straight from
+ * MediaRecorder, or 16-bit/other-rate PCM), or a standard encoder (OBS, Butt,
+ * Mixxx) pushing to an Icecast source mount, RTMP or SRT. Each is decoded by
+ * FFmpeg to the mixer's f32le 48kHz stereo.
+ *
+ * RTMP and SRT listeners run per channel (FFmpeg takes one publisher at a
+ * time). RTMP publishers use a key with the live-audio permission as their
+ * stream key; SRT callers need SRT_PASSPHRASE.
+ */
+
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { ProcessSupervisor } from './processSupervisor.js';
+
+const SAMPLE_RATE = 48000;
+const CHANNELS = 2;
+const FRAME_BYTES = 4 * CHANNELS;  // One f32le stereo sample frame
+const RELISTEN_MS = 1000;          // Pause before listening again after a publisher leaves
+
+// What a socket can declare with `live-format` (FFmpeg input format for each)
+export const SOCKET_FORMATS = {
+  f32le: 'f32le',   // Raw float PCM (the default, 48kHz stereo)
+  s16le: 's16le',   // Raw 16-bit PCM - half the bandwidth
+  webm: 'webm',     // Opus from MediaRecorder (Chrome, Edge)
+  ogg: 'ogg'        // Opus from MediaRecorder (Firefox)
+};
+
+const RAW_FORMATS = ['f32le', 's16le'];
+
+// Placeholder RTMP stream name - FFmpeg reports what the publisher sent instead (its key)
+const RTMP_STREAM = 'audioroad-ingest';
+
+/**
+ * Check a socket's `live-format` declaration: { format, sampleRate?, channels? }.
+ * Returns { error } or the format with defaults filled in; `passthrough` means
+ * the chunks are already what the mixer takes and skip the decoder.
+ */
+export function parseSocketFormat(declaration = {}) {
+  const { format = 'f32le', sampleRate = SAMPLE_RATE, channels = CHANNELS } = declaration || {};
+  if (!SOCKET_FORMATS[format]) {
+    return { error: `format must be one of ${Object.keys(SOCKET_FORMATS).join(', ')}` };
+  }
+  if (!Number.isInteger(sampleRate) || sampleRate < 8000 || sampleRate > 192000) {
+    return { error: 'sampleRate must be a whole number of Hz from 8000 to 192000' };
+  }
+  if (channels !== 1 && channels !== 2) {
+    return { error: 'channels must be 1 or 2' };
+  }
+  return {
+    format,
+    sampleRate,
+    channels,
+    passthrough: format === 'f32le' && sampleRate === SAMPLE_RATE && channels === CHANNELS
+  };
+}
+
+/**
+ * FFmpeg input options for a socket's declared format (read from stdin)
+ */
+export function socketInputArgs({ format, sampleRate, channels }) {
+  if (RAW_FORMATS.includes(format)) {
+    return ['-f', SOCKET_FORMATS[format], '-ar', String(sampleRate), '-ac', String(channels), '-i', 'pipe:0'];
+  }
+  // The container header has everything - don't wait to probe (the host is talking)
+  return ['-fflags', 'nobuffer', '-probesize', '32768', '-analyzeduration', '0', '-f', SOCKET_FORMATS[format], '-i', 'pipe:0'];
+}
+
+/**
+ * One FFmpeg process decoding live input to f32le 48kHz stereo.
+ *
+ * Emits:
+ *   'audio' (buffer)            - whole sample frames, ready for Channel.liveAudio
+ *   'log' (text)                - FFmpeg's stderr
+ *   'exit' ({ code, error })    - the process ended (error is its last complaint, if any)
+ */
+export class LiveDecoder extends EventEmitter {
+  constructor(name, inputArgs, options = {}) {
+    super();
+    this.name = name;
+    this.inputArgs = inputArgs;
+    this.stdin = options.stdin ?? true;  // false for network inputs
+    this.ffmpeg = null;
+    this.remainder = null;   // Partial frame from the last stdout chunk
+    this.lastError = null;
+  }
+
+  start() {
+    const args = [
+      '-hide_banner',
+      '-loglevel', 'warning',
+      ...this.inputArgs,
+      '-vn',
+      '-f', 'f32le',
+      '-ar', String(SAMPLE_RATE),
+      '-ac', String(CHANNELS),
+      '-flush_packets', '1',
+      'pipe:1'
+    ];
+    const ffmpeg = spawn('ffmpeg', args, { stdio: [this.stdin ? 'pipe' : 'ignore', 'pipe', 'pipe'] });
+    this.ffmpeg = ffmpeg;
+
+    ffmpeg.on('error', (error) => {
+      this.lastError = error.message;
+      console.error(`❌ [INGEST] ${this.name} FFmpeg error:`, error.message);
+    });
+    if (ffmpeg.stdin) {
+      ffmpeg.stdin.on('error', () => {});  // EPIPE once FFmpeg gives up on bad input
+    }
+
+    ffmpeg.stdout.on('data', (chunk) => {
+      // The mixer needs whole frames - hold back any partial one
+      const data = this.remainder ? Buffer.concat([this.remainder, chunk]) : chunk;
+      const usable = data.length - (data.length % FRAME_BYTES);
+      this.remainder = usable < data.length ? Buffer.from(data.subarray(usable)) : null;
+      if (usable > 0) {
+        this.emit('audio', data.subarray(0, usable));
+      }
+    });
+
+    ffmpeg.stderr.on('data', (data) => {
+      const text = data.toString();
+      this.emit('log', text);
+      if (/error|invalid|failed|not found/i.test(text)) {
+        this.lastError = text.trim().substring(0, 200);
+      }
+    });
+
+    ffmpeg.on('close', (code) => {
+      if (this.ffmpeg === ffmpeg) {
+        this.ffmpeg = null;
+      }
+      this.emit('exit', { code, error: this.lastError });
+    });
+    return this;
+  }
+
+  isRunning() {
+    return this.ffmpeg !== null;
+  }
+
+  write(chunk) {
+    if (this.ffmpeg && this.ffmpeg.stdin && this.ffmpeg.stdin.writable) {
+      this.ffmpeg.stdin.write(chunk);
+    }
+  }
+
+  /**
+   * Input finished - let FFmpeg drain what it has and exit
+   */
+  end() {
+    if (this.ffmpeg && this.ffmpeg.stdin) {
+      this.ffmpeg.stdin.end();
+    }
+  }
+
+  stop() {
+    if (this.ffmpeg) {
+      this.ffmpeg.kill('SIGTERM');
+    }
+  }
+}
+
+/**
+ * A channel's RTMP or SRT listener. Whoever publishes goes on air through
+ * Channel.ingestStart() (starting a live show if none is on) and off again
+ * when they disconnect; then it listens for the next one.
+ */
+export class NetworkIngest {
+  constructor(channel, { protocol, port, passphrase = null, authenticate = () => null }) {
+    this.channel = channel;
+    this.protocol = protocol;         // 'rtmp' or 'srt'
+    this.port = port;
+    this.passphrase = passphrase;     // SRT only
+    this.authenticate = authenticate; // RTMP stream key -> identity with live-audio, or null
+    this.decoder = null;
+    this.session = null;              // The connected publisher, once it's on air
+    this.timer = null;
+    this.stopped = true;
+    this.supervisor = new ProcessSupervisor({ name: `${protocol.toUpperCase()} ingest${channel.label}` });
+  }
+
+  get tag() {
+    return this.protocol.toUpperCase();
+  }
+
+  inputArgs() {
+    if (this.protocol === 'rtmp') {
+      // Any app name works (e.g. rtmp://host:1935/live) - the stream name is the key
+      return ['-fflags', 'nobuffer', '-listen', '1', '-i', `rtmp://0.0.0.0:${this.port}/live/${RTMP_STREAM}`];
+    }
+    return ['-fflags', 'nobuffer', '-i', `srt://0.0.0.0:${this.port}?mode=listener&passphrase=${encodeURIComponent(this.passphrase)}`];
+  }
+
+  start() {
+    this.stopped = false;
+    console.log(`🎚️ [INGEST]${this.channel.label} ${this.tag} listening on port ${this.port}`);
+    this.listen();
+  }
+
+  listen() {
+    if (this.stopped) {
+      return;
+    }
+    const source = { type: this.protocol, from: `${this.protocol}://:${this.port}`, key: null };
+    let authorized = this.protocol === 'srt';  // The SRT handshake already checked the passphrase
+    let live = false;
+    let rejected = null;
+    const reject = (reason) => {
+      rejected = reason;
+      decoder.stop();
+    };
+
+    const decoder = new LiveDecoder(`${this.tag}${this.channel.label}`, this.inputArgs(), { stdin: false });
+    decoder.on('log', (text) => {
+      // FFmpeg warns about the stream name it didn't expect - that's the publisher's key
+      const match = /Unexpected stream (\S+), expecting/.exec(text);
+      if (!match || authorized || rejected) {
+        return;
+      }
+      const identity = this.authenticate(match[1]);
+      if (!identity) {
+        reject('invalid stream key');
+        return;
+      }
+      authorized = true;
+      source.key = identity.id;
+    });
+    decoder.on('audio', (buffer) => {
+      if (rejected) {
+        return;
+      }
+      if (!authorized) {
+        reject('no stream key');
+        return;
+      }
+      if (!live) {
+        live = this.channel.ingestStart(source);
+        if (!live) {
+          reject('another source is live on this channel');
+          return;
+        }
+        this.session = { ...source, since: new Date() };
+        this.supervisor.started();
+      }
+      this.channel.liveAudio(buffer, source);
+    });
+    decoder.on('exit', ({ code, error }) => {
+      if (this.decoder === decoder) {
+        this.decoder = null;
+      }
+      this.session = null;
+      if (live) {
+        this.channel.ingestEnd(source);
+      }
+      if (this.stopped) {
+        return;
+      }
+      if (rejected) {
+        console.warn(`🚫 [INGEST]${this.channel.label} ${this.tag} publisher rejected - ${rejected}`);
+      } else if (!live) {
+        // Never got a publisher on air - port in use, FFmpeg without SRT, ...
+        this.supervisor.failed(error || `exit code ${code}`, () => this.listen());
+        return;
+      }
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.listen();
+      }, RELISTEN_MS);
+    });
+
+    this.decoder = decoder.start();
+  }
+
+  stop() {
+    this.stopped = true;
+    this.supervisor.cancel();
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.decoder) {
+      this.decoder.stop();
+    }
+  }
+
+  getStatus() {
+    return {
+      port: this.port,
+      connected: this.session ? { since: this.session.since.toISOString(), key: this.session.key } : null,
+      listening: Boolean(this.decoder) && !this.session,
+      ...this.supervisor.getStatus()
+    };
+  }
+}
@@ -0,0 +1,200 @@
+/**
+ * Media API
+ * Upload tracks to the media library, add them to playlists and manage the
+ * transcode cache
+ */
+
+import express from 'express';
+import busboy from 'busboy';
+import { createWriteStream, promises as fs } from 'fs';
+import { pipeline } from 'stream/promises';
+import path from 'path';
+import { DEFAULT_PLAYLIST } from './playlistStore.js';
+import { validateTrack } from './playlistApi.js';
+import { MAIN_CHANNEL } from './channelStore.js';
+
+/**
+ * Stream a multipart upload (field `file`, optional `title`) to a temp file
+ * Resolves { tmpPath, originalName, title }; rejects with `status` set for client errors
+ */
+function receiveUpload(req, library) {
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({ headers: req.headers, limits: { files: 1, fileSize: library.maxUploadBytes } });
+    } catch (error) {
+      return reject(Object.assign(new Error('Expected a multipart/form-data upload'), { status: 400 }));
+    }
+
+    const fields = {};
+    let upload = null;
+    let failed = null;
+
+    parser.on('field', (name, value) => {
+      fields[name] = value;
+    });
+    parser.on('file', (name, stream, info) => {
+      if (name !== 'file' || upload) {
+        stream.resume();
+        return;
+      }
+      const tmpPath = library.uploadPath();
+      upload = { tmpPath, originalName: info.filename, done: null };
+      stream.on('limit', () => {
+        failed = Object.assign(new Error(`File is larger than ${Math.round(library.maxUploadBytes / 1024 / 1024)} MB`), { status: 413 });
+      });
+      upload.done = pipeline(stream, createWriteStream(tmpPath));
+    });
+    parser.on('error', (error) => {
+      failed = failed || Object.assign(error, { status: 400 });
+    });
+    parser.on('close', async () => {
+      try {
+        if (upload) {
+          await upload.done;
+        }
+      } catch (error) {
+        failed = failed || error;
+      }
+      if (!upload) {
+        return reject(failed || Object.assign(new Error('file is required'), { status: 400 }));
+      }
+      if (failed) {
+        await fs.unlink(upload.tmpPath).catch(() => {});
+        return reject(failed);
+      }
+      resolve({ tmpPath: upload.tmpPath, originalName: upload.originalName, title: (fields.title || '').trim() || null });
+    });
+
+    req.pipe(parser);
+  });
+}
+
+export function createMediaRouter({ library, channels, gainCache, auth }) {
+  const router = express.Router();
+  router.use(['/media', '/media-cache'], auth);
+
+  router.get('/media', (req, res) => {
+    res.json({ media: library.list() });
+  });
+
+  router.post('/media', async (req, res) => {
+    let upload;
+    try {
+      upload = await receiveUpload(req, library);
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ error: err.message });
+      }
+      console.error('❌ [API] Error receiving upload:', err);
+      return res.status(500).json({ error: 'Failed to receive upload' });
+    }
+    try {
+      const item = await library.addUpload(upload.tmpPath, upload);
+      res.status(201).json(item);
+    } catch (err) {
+      if (err.invalid) {
+        return res.status(415).json({ error: err.message });
+      }
+      console.error('❌ [API] Error adding media:', err);
+      res.status(500).json({ error: 'Failed to add media' });
+    }
+  });
+
+  router.get('/media/:id', (req, res) => {
+    const item = library.get(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+    res.json(item);
+  });
+
+  router.get('/media/:id/download', (req, res) => {
+    const item = library.get(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+    const filename = item.originalName || `${item.title.replace(/[^\w .-]+/g, '_')}${path.extname(item.file)}`;
+    res.download(path.resolve(item.file), filename, (error) => {
+      if (error && !res.headersSent) {
+        console.error('❌ [API] Error sending media:', error.message);
+        res.status(404).json({ error: 'Media file missing' });
+      }
+    });
+  });
+
+  router.delete('/media/:id', async (req, res) => {
+    try {
+      const item = await library.remove(req.params.id);
+      if (!item) {
+        return res.status(404).json({ error: 'Media not found' });
+      }
+      // Tracks pointing at it can't play any more, on any channel
+      for (const { playlistStore } of channels.values()) {
+        for (const name of playlistStore.names()) {
+          for (const track of playlistStore.list(name).filter(t => t.mediaId === item.id)) {
+            await playlistStore.remove(track.id, name);
+          }
+        }
+      }
+      if (gainCache) {
+        await gainCache.forget({ mediaId: item.id });
+      }
+      res.json(item);
+    } catch (err) {
+      console.error('❌ [API] Error deleting media:', err);
+      res.status(500).json({ error: 'Failed to delete media' });
+    }
+  });
+
+  // Add an uploaded track to a channel's Auto DJ playlist
+  router.post('/media/:id/playlist', async (req, res) => {
+    const item = library.get(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+    const { channel = MAIN_CHANNEL, playlist = DEFAULT_PLAYLIST, position, title, weight, gain, artwork, host } = req.body || {};
+    const error = validateTrack({ title: title || item.title, mediaId: item.id, weight, gain, artwork, position });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const target = channels.get(channel);
+    if (!target) {
+      return res.status(404).json({ error: 'Channel not found' });
+    }
+    try {
+      const track = await target.playlistStore.add({
+        title: (title || item.title).trim(),
+        mediaId: item.id,
+        duration: item.duration,
+        weight,
+        gain,
+        artwork,
+        host
+      }, position, playlist);
+      if (!track) {
+        return res.status(404).json({ error: 'Playlist not found' });
+      }
+      res.status(201).json(track);
+    } catch (err) {
+      console.error('❌ [API] Error adding media to playlist:', err);
+      res.status(500).json({ error: 'Failed to add media to playlist' });
+    }
+  });
+
+  router.get('/media-cache', (req, res) => {
+    res.json(library.getCacheStatus());
+  });
+
+  router.delete('/media-cache', async (req, res) => {
+    try {
+      const removed = await library.clearCache();
+      res.json({ removed, ...library.getCacheStatus() });
+    } catch (err) {
+      console.error('❌ [API] Error clearing media cache:', err);
+      res.status(500).json({ error: 'Failed to clear media cache' });
+    }
+  });
+
+  return router;
+}
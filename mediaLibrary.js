@@ -0,0 +1,438 @@
+/**
+ * Media Library
+ * Uploaded tracks plus a transcode cache for everything Auto DJ plays
+ *
+ * Uploads are kept as-is in $MEDIA_PATH and indexed in media.json with what
+ * ffprobe says about them. Before playback every source (upload, local file
+ * or URL) is converted once to 48 kHz stereo AAC in $MEDIA_CACHE_PATH, so a
+ * looping playlist never downloads or decodes a remote file twice. The cache
+ * is capped at MEDIA_CACHE_MAX_MB, evicting the least recently used files
+ * that aren't playing.
+ */
+
+import { spawn } from 'child_process';
+import { createHash, randomUUID } from 'crypto';
+import { createWriteStream, promises as fs } from 'fs';
+import { pipeline } from 'stream/promises';
+import path from 'path';
+import axios from 'axios';
+
+// Cache format - the same rate and layout the mixer runs at
+const CACHE_EXT = '.m4a';
+const CACHE_CODEC = 'aac';
+const CACHE_SAMPLE_RATE = 48000;
+const CACHE_CHANNELS = 2;
+const CACHE_BITRATE = '192k';
+
+/**
+ * Describe an audio file (or URL) with ffprobe
+ * Resolves { duration, format, codec, bitrate, sampleRate, channels }
+ */
+export function probeMedia(source) {
+  return new Promise((resolve, reject) => {
+    const ffprobe = spawn('ffprobe', [
+      '-v', 'error',
+      '-select_streams', 'a:0',
+      '-show_entries', 'format=duration,format_name,bit_rate:stream=codec_name,sample_rate,channels',
+      '-of', 'json',
+      source
+    ]);
+    let output = '';
+    let errors = '';
+    ffprobe.stdout.on('data', (data) => {
+      output += data.toString();
+    });
+    ffprobe.stderr.on('data', (data) => {
+      errors = (errors + data.toString()).slice(-1024);
+    });
+    ffprobe.on('error', reject);
+    ffprobe.on('close', (code) => {
+      let info;
+      try {
+        info = JSON.parse(output);
+      } catch {
+        info = null;
+      }
+      const stream = info && info.streams && info.streams[0];
+      if (code !== 0 || !stream) {
+        return reject(new Error(errors.trim().split('\n').pop() || `not an audio file (exit code ${code})`));
+      }
+      const format = info.format || {};
+      const duration = parseFloat(format.duration);
+      resolve({
+        duration: Number.isFinite(duration) ? Math.round(duration * 1000) / 1000 : null,
+        format: format.format_name || null,
+        codec: stream.codec_name || null,
+        bitrate: format.bit_rate ? parseInt(format.bit_rate, 10) : null,
+        sampleRate: stream.sample_rate ? parseInt(stream.sample_rate, 10) : null,
+        channels: stream.channels ?? null
+      });
+    });
+  });
+}
+
+/**
+ * Convert any audio file to the cache format
+ */
+function transcode(input, output) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn('ffmpeg', [
+      '-hide_banner', '-nostats', '-y',
+      '-i', input,
+      '-vn',
+      '-c:a', CACHE_CODEC,
+      '-b:a', CACHE_BITRATE,
+      '-ar', String(CACHE_SAMPLE_RATE),
+      '-ac', String(CACHE_CHANNELS),
+      '-movflags', '+faststart',
+      '-f', 'ipod',
+      '-loglevel', 'error',
+      output
+    ]);
+    let errors = '';
+    ffmpeg.stderr.on('data', (data) => {
+      errors = (errors + data.toString()).slice(-1024);
+    });
+    ffmpeg.on('error', reject);
+    ffmpeg.on('close', (code) => {
+      if (code !== 0) {
+        return reject(new Error(errors.trim().split('\n').pop() || `transcode failed (exit code ${code})`));
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Already in the cache format - no need to transcode
+ */
+function isCacheFormat(info) {
+  return info.codec === CACHE_CODEC && info.sampleRate === CACHE_SAMPLE_RATE &&
+    info.channels === CACHE_CHANNELS && /mp4|m4a/.test(info.format || '');
+}
+
+export class MediaLibrary {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || process.env.DATA_DIR || './data';
+    this.mediaDir = options.mediaPath || process.env.MEDIA_PATH || path.join(this.dataDir, 'media');
+    this.cacheDir = options.cachePath || process.env.MEDIA_CACHE_PATH || path.join(this.dataDir, 'media-cache');
+    this.indexPath = path.join(this.mediaDir, 'media.json');
+    this.cacheIndexPath = path.join(this.cacheDir, 'cache.json');
+    this.cacheMaxBytes = parseFloat(options.cacheMaxMb ?? process.env.MEDIA_CACHE_MAX_MB ?? '2048') * 1024 * 1024;
+    this.maxUploadBytes = parseFloat(options.maxUploadMb ?? process.env.MEDIA_MAX_UPLOAD_MB ?? '500') * 1024 * 1024;
+    this.items = [];              // Uploaded media
+    this.cache = new Map();       // source key -> { file, size, duration, lastUsed }
+    this.pinned = new Map();      // cache file -> number of players holding it
+    this.pending = new Map();     // source key -> preparation promise
+    this.probeQueue = Promise.resolve();  // One background ffprobe at a time
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    await fs.mkdir(path.join(this.mediaDir, '.uploads'), { recursive: true });
+    await fs.mkdir(this.cacheDir, { recursive: true });
+
+    try {
+      this.items = JSON.parse(await fs.readFile(this.indexPath, 'utf8')).items || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ [MEDIA] Failed to read ${this.indexPath}:`, error.message);
+      }
+      this.items = [];
+    }
+
+    try {
+      const entries = JSON.parse(await fs.readFile(this.cacheIndexPath, 'utf8')).entries || {};
+      for (const [key, entry] of Object.entries(entries)) {
+        // Files removed behind our back are simply re-fetched when needed
+        if (await fs.stat(entry.file).then(() => true, () => false)) {
+          this.cache.set(key, entry);
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ [MEDIA] Failed to read ${this.cacheIndexPath}:`, error.message);
+      }
+    }
+
+    // Half-finished uploads, downloads and transcodes from before a restart
+    await this.removeStray(path.join(this.mediaDir, '.uploads'), () => true);
+    await this.removeStray(this.cacheDir, name => name.endsWith('.tmp') || name.endsWith('.download'));
+
+    console.log(`🎼 [MEDIA] ${this.items.length} uploaded track(s), ${this.cache.size} cached file(s) (${(this.cacheBytes() / 1024 / 1024).toFixed(0)} of ${(this.cacheMaxBytes / 1024 / 1024).toFixed(0)} MB)`);
+  }
+
+  async removeStray(dir, match) {
+    const names = await fs.readdir(dir).catch(() => []);
+    for (const name of names) {
+      if (match(name)) {
+        await fs.unlink(path.join(dir, name)).catch(() => {});
+      }
+    }
+  }
+
+  save() {
+    const items = JSON.stringify({ items: this.items }, null, 2);
+    const entries = JSON.stringify({ entries: Object.fromEntries(this.cache) }, null, 2);
+    this.writeQueue = this.writeQueue.then(async () => {
+      for (const [filePath, snapshot] of [[this.indexPath, items], [this.cacheIndexPath, entries]]) {
+        const tmpPath = `${filePath}.tmp`;
+        await fs.writeFile(tmpPath, snapshot);
+        await fs.rename(tmpPath, filePath);
+      }
+    }).catch((error) => {
+      console.error('❌ [MEDIA] Failed to save media index:', error);
+    });
+    return this.writeQueue;
+  }
+
+  // -------------------------------------------------------------------------
+  // Uploads
+  // -------------------------------------------------------------------------
+
+  list() {
+    return this.items;
+  }
+
+  get(id) {
+    return this.items.find(item => item.id === id) || null;
+  }
+
+  /**
+   * Temp path for an incoming upload (same filesystem, so adding it is a rename)
+   */
+  uploadPath() {
+    return path.join(this.mediaDir, '.uploads', randomUUID());
+  }
+
+  /**
+   * Add an uploaded file to the library. The temp file is moved into place,
+   * or deleted if ffprobe doesn't recognise it as audio.
+   */
+  async addUpload(tmpPath, { originalName, title } = {}) {
+    let info;
+    try {
+      info = await probeMedia(tmpPath);
+    } catch (error) {
+      await fs.unlink(tmpPath).catch(() => {});
+      throw Object.assign(new Error(`Not a playable audio file: ${error.message}`), { invalid: true });
+    }
+
+    const id = randomUUID();
+    const ext = path.extname(originalName || '').toLowerCase().replace(/[^.a-z0-9]/g, '') || '.bin';
+    const file = path.join(this.mediaDir, `${id}${ext}`);
+    await fs.rename(tmpPath, file);
+    const { size } = await fs.stat(file);
+
+    const item = {
+      id,
+      title: title || path.basename(originalName || 'Untitled', path.extname(originalName || '')),
+      originalName: originalName || null,
+      file,
+      size,
+      ...info,
+      uploadedAt: new Date().toISOString()
+    };
+    this.items.push(item);
+    await this.save();
+    console.log(`🎼 [MEDIA] Added "${item.title}" (${info.codec}, ${info.duration ?? '?'}s, ${(size / 1024 / 1024).toFixed(1)} MB)`);
+    return item;
+  }
+
+  async remove(id) {
+    const item = this.get(id);
+    if (!item) {
+      return null;
+    }
+    this.items = this.items.filter(i => i.id !== id);
+    await fs.unlink(item.file).catch(() => {});
+    await this.evictKey(this.sourceKey({ mediaId: id }));
+    await this.save();
+    console.log(`🗑️ [MEDIA] Deleted "${item.title}"`);
+    return item;
+  }
+
+  // -------------------------------------------------------------------------
+  // Playback cache
+  // -------------------------------------------------------------------------
+
+  /**
+   * Same audio, same key - whichever playlist the track is in
+   */
+  sourceKey(track) {
+    if (track.mediaId) {
+      return `media:${track.mediaId}`;
+    }
+    return track.file ? `file:${path.resolve(track.file)}` : `url:${track.url}`;
+  }
+
+  cacheBytes() {
+    let total = 0;
+    for (const entry of this.cache.values()) {
+      total += entry.size;
+    }
+    return total;
+  }
+
+  /**
+   * Local path for a track in the cache format, fetching and transcoding it
+   * on first use. The file is pinned against eviction until release().
+   */
+  async acquire(track) {
+    const key = this.sourceKey(track);
+    let entry = this.cache.get(key);
+    if (entry && !(await fs.stat(entry.file).then(() => true, () => false))) {
+      this.cache.delete(key);
+      entry = null;
+    }
+
+    if (!entry) {
+      if (!this.pending.has(key)) {
+        this.pending.set(key, this.prepare(track, key).finally(() => this.pending.delete(key)));
+      }
+      entry = await this.pending.get(key);
+    }
+
+    entry.lastUsed = new Date().toISOString();
+    this.pinned.set(entry.file, (this.pinned.get(entry.file) || 0) + 1);
+    await this.evict();
+    return entry.file;
+  }
+
+  /**
+   * Done playing a file from acquire()
+   */
+  release(file) {
+    const count = this.pinned.get(file) || 0;
+    if (count <= 1) {
+      this.pinned.delete(file);
+    } else {
+      this.pinned.set(file, count - 1);
+    }
+  }
+
+  async prepare(track, key) {
+    const base = path.join(this.cacheDir, createHash('sha1').update(key).digest('hex').slice(0, 20));
+    const file = `${base}${CACHE_EXT}`;
+    let source;
+    let downloaded = null;
+
+    if (track.mediaId) {
+      const item = this.get(track.mediaId);
+      if (!item) {
+        throw new Error(`media ${track.mediaId} is not in the library`);
+      }
+      source = item.file;
+    } else if (track.file) {
+      source = track.file;
+    } else {
+      downloaded = `${base}.download`;
+      await this.download(track.url, downloaded, track.title);
+      source = downloaded;
+    }
+
+    try {
+      const info = await probeMedia(source);
+      if (downloaded && isCacheFormat(info)) {
+        await fs.rename(downloaded, file);
+      } else {
+        console.log(`🎼 [MEDIA] Transcoding "${track.title}" (${info.codec}, ${info.sampleRate} Hz, ${info.channels} ch)...`);
+        const tmpPath = `${base}.tmp`;
+        await transcode(source, tmpPath);
+        await fs.rename(tmpPath, file);
+      }
+      const { size } = await fs.stat(file);
+      const entry = { file, size, duration: info.duration, lastUsed: new Date().toISOString() };
+      this.cache.set(key, entry);
+      await this.save();
+      console.log(`🎼 [MEDIA] Cached "${track.title}" (${(size / 1024 / 1024).toFixed(1)} MB)`);
+      return entry;
+    } finally {
+      if (downloaded) {
+        await fs.unlink(downloaded).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Stream a URL to disk (never buffered in memory)
+   */
+  async download(url, file, title = url) {
+    console.log(`   Downloading "${title}"...`);
+    const response = await axios.get(url, { responseType: 'stream', timeout: 120000 });
+    await pipeline(response.data, createWriteStream(file));
+    const { size } = await fs.stat(file);
+    console.log(`   ✓ Downloaded ${(size / 1024 / 1024).toFixed(1)} MB`);
+  }
+
+  /**
+   * Drop least recently used files until the cache fits, skipping files in use
+   */
+  async evict() {
+    let total = this.cacheBytes();
+    if (total <= this.cacheMaxBytes) {
+      return;
+    }
+    const entries = [...this.cache.entries()].sort((a, b) => a[1].lastUsed.localeCompare(b[1].lastUsed));
+    for (const [key, entry] of entries) {
+      if (total <= this.cacheMaxBytes) {
+        break;
+      }
+      if (this.pinned.has(entry.file)) {
+        continue;
+      }
+      this.cache.delete(key);
+      await fs.unlink(entry.file).catch(() => {});
+      total -= entry.size;
+      console.log(`🧹 [MEDIA] Evicted ${path.basename(entry.file)} from the cache`);
+    }
+    await this.save();
+  }
+
+  async evictKey(key) {
+    const entry = this.cache.get(key);
+    if (entry && !this.pinned.has(entry.file)) {
+      this.cache.delete(key);
+      await fs.unlink(entry.file).catch(() => {});
+    }
+  }
+
+  /**
+   * Empty the cache (files currently playing are kept)
+   */
+  async clearCache() {
+    const before = this.cache.size;
+    for (const key of [...this.cache.keys()]) {
+      await this.evictKey(key);
+    }
+    await this.save();
+    return before - this.cache.size;
+  }
+
+  getCacheStatus() {
+    return {
+      files: this.cache.size,
+      bytes: this.cacheBytes(),
+      maxBytes: this.cacheMaxBytes,
+      inUse: this.pinned.size
+    };
+  }
+
+  /**
+   * Duration of a track in seconds, probing the source if we don't know it
+   * yet. Probes run one at a time so a big playlist doesn't fork a crowd.
+   */
+  probeTrack(track) {
+    if (track.mediaId) {
+      const item = this.get(track.mediaId);
+      return Promise.resolve(item ? item.duration : null);
+    }
+    const cached = this.cache.get(this.sourceKey(track));
+    if (cached && cached.duration != null) {
+      return Promise.resolve(cached.duration);
+    }
+    const probe = this.probeQueue.then(() => probeMedia(track.file || track.url)).then(info => info.duration);
+    this.probeQueue = probe.catch(() => {});
+    return probe;
+  }
+}
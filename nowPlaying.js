@@ -0,0 +1,77 @@
+/**
+ * Now Playing
+ * Tracks what's on air (Auto DJ track, live show, fallback) and recent history
+ *
+ * Emits:
+ *   'change' (item, previous) - something new is on air
+ */
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+
+export class NowPlaying extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.historySize = parseInt(options.historySize ?? process.env.NOW_PLAYING_HISTORY ?? '20', 10);
+    this.defaultArtwork = options.artwork ?? process.env.STATION_ARTWORK_URL ?? null;  // Used when an item has none
+    this.current = null;   // { id, type, title, show, host, artwork, duration, startedAt }
+    this.history = [];     // Most recent first, each with endedAt
+  }
+
+  /**
+   * Put a new item on air. `type` is 'track', 'live', 'fallback' or 'insert'
+   * (a station ID, promo or ad).
+   * Repeating what's already on air (e.g. Auto DJ resuming a track) is ignored
+   * unless `restart` is set (the same track playing again from the top).
+   */
+  update({ type, title, show = null, host = null, artwork = null, duration = null, trackId = null }, { restart = false } = {}) {
+    if (!restart && this.current && this.current.type === type && this.current.title === title &&
+        this.current.show === show && this.current.host === host) {
+      return this.current;
+    }
+
+    const now = new Date().toISOString();
+    const previous = this.current;
+    if (previous) {
+      this.history.unshift({ ...previous, endedAt: now });
+      this.history.length = Math.min(this.history.length, this.historySize);
+    }
+
+    this.current = {
+      id: randomUUID(),
+      type,
+      title: title || (type === 'live' ? 'Live' : 'Untitled'),
+      show,
+      host,
+      artwork: artwork || this.defaultArtwork,
+      duration,
+      trackId,
+      startedAt: now
+    };
+    console.log(`🏷️ [NOW PLAYING] ${this.current.title}${show ? ` (${show})` : ''}${host ? ` with ${host}` : ''}`);
+    this.emit('change', this.current, previous);
+    return this.current;
+  }
+
+  /**
+   * Now-playing item for an Auto DJ track
+   */
+  fromTrack(track, { show = null, type = 'track', restart = false } = {}) {
+    return this.update({
+      type,
+      title: track.title,
+      show,
+      host: track.host || null,
+      artwork: track.artwork || null,
+      duration: track.duration ?? null,
+      trackId: track.id || null
+    }, { restart });
+  }
+
+  get() {
+    return {
+      current: this.current,
+      history: this.history
+    };
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * On-Air State
+ * Who has the air on a channel, as an explicit state machine, so switching
+ * between Auto DJ and a live show can't race
+ *
+ *   AUTODJ ─live-start─▶ GOING_LIVE ─fade done─▶ LIVE ─live-stop─▶ ENDING ─Auto DJ back─▶ AUTODJ
+ *                                                 LIVE ◀─dead air / live audio back─▶ FALLBACK ─live-stop─▶ ENDING
+ *
+ * Handoffs run one at a time: a live-stop sent during the fade to live waits
+ * for it and then ends the show, and a repeated live-stop finds AUTODJ and
+ * does nothing. Each step of a handoff (stopping or starting a player) has a
+ * deadline (HANDOFF_TIMEOUT seconds) - a step that hangs is left to finish in
+ * the background and the handoff is forced through.
+ *
+ * Emits:
+ *   'change' ({ from, to, reason, at }) - every transition
+ *   'timeout' ({ state, step })          - a handoff step overran and was forced
+ */
+
+import { EventEmitter } from 'events';
+
+export const ON_AIR_STATES = ['AUTODJ', 'GOING_LIVE', 'LIVE', 'ENDING', 'FALLBACK'];
+
+const TRANSITIONS = {
+  AUTODJ: ['GOING_LIVE'],
+  GOING_LIVE: ['LIVE'],
+  LIVE: ['FALLBACK', 'ENDING'],
+  FALLBACK: ['LIVE', 'ENDING'],
+  ENDING: ['AUTODJ']
+};
+
+const HISTORY_SIZE = 20;
+
+export class OnAirState extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.label = options.label || '';  // Log prefix of the channel
+    this.stepTimeout = parseFloat(options.stepTimeout ?? process.env.HANDOFF_TIMEOUT ?? '15') * 1000;
+    this.state = 'AUTODJ';
+    this.since = new Date();
+    this.reason = 'startup';
+    this.history = [];                 // Most recent transitions, newest first
+    this.queue = Promise.resolve();    // Handoff in progress
+  }
+
+  is(...states) {
+    return states.includes(this.state);
+  }
+
+  /**
+   * A live show has (or is about to have) the air
+   */
+  isLive() {
+    return this.is('GOING_LIVE', 'LIVE', 'FALLBACK');
+  }
+
+  /**
+   * Move to `to`. Throws on a transition the table doesn't allow - handoffs
+   * check the state before they start, so that's a bug.
+   */
+  transition(to, reason) {
+    const from = this.state;
+    if (!TRANSITIONS[from].includes(to)) {
+      throw new Error(`Invalid on-air transition ${from} -> ${to}`);
+    }
+    const change = { from, to, reason, at: new Date().toISOString() };
+    this.state = to;
+    this.since = new Date();
+    this.reason = reason;
+    this.history.unshift(change);
+    this.history.length = Math.min(this.history.length, HISTORY_SIZE);
+    console.log(`🔀 [ON AIR]${this.label} ${from} -> ${to} (${reason})`);
+    this.emit('change', change);
+    return change;
+  }
+
+  /**
+   * Run a handoff once any in progress has finished. Resolves (or rejects)
+   * with the handoff's own result; a failed handoff doesn't block the next.
+   */
+  run(handoff) {
+    const result = this.queue.then(() => handoff());
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Wait for one step of a handoff, at most `timeout` ms. Resolves true when
+   * it finished, false when it failed or overran (it carries on in the background).
+   */
+  async step(name, promise, timeout = this.stepTimeout) {
+    let timer;
+    const deadline = new Promise((resolve) => {
+      timer = setTimeout(() => resolve('timeout'), timeout);
+    });
+    try {
+      const outcome = await Promise.race([
+        Promise.resolve(promise).then(() => 'done', (error) => {
+          console.error(`❌ [ON AIR]${this.label} ${name} failed during ${this.state}:`, error);
+          return 'failed';
+        }),
+        deadline
+      ]);
+      if (outcome === 'timeout') {
+        console.warn(`⚠️ [ON AIR]${this.label} ${name} took over ${timeout / 1000}s during ${this.state} - forcing the handoff`);
+        this.emit('timeout', { state: this.state, step: name });
+      }
+      return outcome === 'done';
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      since: this.since.toISOString(),
+      reason: this.reason,
+      history: this.history.slice(0, 5)
+    };
+  }
+}
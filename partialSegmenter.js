@@ -0,0 +1,329 @@
+/**
+ * Partial Segmenter
+ * Cuts an MPEG-TS stream into LL-HLS partial segments and full segments
+ *
+ * FFmpeg's HLS muxer can't write partial segments, so in low-latency mode
+ * each rendition is encoded to plain MPEG-TS on a pipe and cut here instead:
+ * a part every PART-TARGET seconds (always at a PES boundary, led by PAT/PMT
+ * so it decodes on its own) and a segment every few parts. Segments are also
+ * written to disk with an ordinary playlist.m3u8, exactly like FFmpeg would,
+ * so the DVR archive and older players don't notice the difference.
+ *
+ * Emits:
+ *   'part' ({ msn, index, duration }) - a new part is available
+ */
+
+import { EventEmitter } from 'events';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { TS_PACKET, PTS_WRAP, packetPid, payloadStart, readPts } from './id3.js';
+
+const TS_CLOCK = 90000;
+
+function ptsDiff(later, earlier) {
+  return (later - earlier + PTS_WRAP) % PTS_WRAP;
+}
+
+export function segmentName(msn) {
+  return `segment-${String(msn).padStart(5, '0')}.ts`;
+}
+
+export function partName(msn, index) {
+  return `part-${String(msn).padStart(5, '0')}.${index}.ts`;
+}
+
+export class PartialSegmenter extends EventEmitter {
+  constructor({ dir, name = '', partTarget = 1, segmentTarget = 4, listSize = 3, discontinuities = [] }) {
+    super();
+    this.setMaxListeners(0);        // One listener per blocked playlist request
+    this.dir = dir;
+    this.name = name;
+    this.partTarget = partTarget;           // Seconds
+    this.segmentTarget = segmentTarget;     // Seconds
+    this.listSize = listSize;               // Complete segments in the playlist
+    this.discontinuities = discontinuities; // Shared with HLSServer - segment numbers after encoder restarts
+
+    this.segments = [];             // Complete: { msn, duration, programDateTime, parts, createdAt }
+    this.open = { msn: 0, parts: [] };  // Segment being built - its parts are already public
+    this.writeQueue = Promise.resolve();
+    this.begin(0);
+  }
+
+  /**
+   * Start parsing a new encoder's output, numbering segments from `msn`
+   */
+  begin(msn) {
+    this.open = { msn, parts: [] };
+    this.remainder = Buffer.alloc(0);
+    this.pmtPid = null;
+    this.audioPid = null;
+    this.psi = [];                  // Latest PAT/PMT, to lead parts that didn't get their own
+    this.pendingPsi = [];           // Table packets since the last audio PES
+    this.part = null;               // { packets, startPts, lastPts }
+    this.frameTicks = 0;            // PTS ticks per audio PES, to keep parts within the target
+  }
+
+  push(chunk) {
+    let data = this.remainder.length > 0 ? Buffer.concat([this.remainder, chunk]) : chunk;
+    let offset = 0;
+    while (offset + TS_PACKET <= data.length) {
+      if (data[offset] !== 0x47) {
+        offset++;  // Lost sync - find the next packet
+        continue;
+      }
+      this.handlePacket(Buffer.from(data.subarray(offset, offset + TS_PACKET)));
+      offset += TS_PACKET;
+    }
+    this.remainder = Buffer.from(data.subarray(offset));
+  }
+
+  handlePacket(packet) {
+    const pid = packetPid(packet);
+    const unitStart = (packet[1] & 0x40) !== 0;
+    const start = payloadStart(packet);
+
+    if (pid !== this.audioPid || this.audioPid === null) {
+      if (pid === 0 && unitStart && start >= 0) {
+        const table = start + 1 + packet[start];
+        this.pmtPid = ((packet[table + 10] & 0x1f) << 8) | packet[table + 11];
+        this.psi = [packet];
+      } else if (pid === this.pmtPid && unitStart && start >= 0) {
+        const table = start + 1 + packet[start];
+        const programInfoLength = ((packet[table + 10] & 0x0f) << 8) | packet[table + 11];
+        const es = table + 12 + programInfoLength;
+        this.audioPid = ((packet[es + 1] & 0x1f) << 8) | packet[es + 2];
+        this.psi = [...this.psi.slice(0, 1), packet];
+      }
+      this.pendingPsi.push(packet);
+      return;
+    }
+
+    const pes = start >= 0 ? packet.subarray(start) : null;
+    const pts = unitStart && pes && pes[0] === 0 && pes[1] === 0 && pes[2] === 1 && (pes[7] & 0x80)
+      ? readPts(pes, 9)
+      : null;
+
+    if (pts === null) {
+      if (this.part) {
+        this.part.packets.push(...this.pendingPsi, packet);
+        this.pendingPsi = [];
+      }
+      return;
+    }
+
+    if (this.part) {
+      if (this.part.lastPts !== null) {
+        this.frameTicks = ptsDiff(pts, this.part.lastPts);
+      }
+      // Cut before this PES if it would take the part past the target
+      const elapsed = ptsDiff(pts, this.part.startPts);
+      if (elapsed + this.frameTicks > this.partTarget * TS_CLOCK + 1) {
+        this.closePart(elapsed / TS_CLOCK);
+      }
+    }
+
+    if (!this.part) {
+      const lead = this.pendingPsi.length > 0 ? this.pendingPsi : this.psi;
+      this.part = { packets: [...lead], startPts: pts, lastPts: null };
+    } else {
+      this.part.packets.push(...this.pendingPsi);
+    }
+    this.pendingPsi = [];
+    this.part.packets.push(packet);
+    this.part.lastPts = pts;
+  }
+
+  closePart(duration) {
+    const part = {
+      index: this.open.parts.length,
+      duration,
+      data: Buffer.concat(this.part.packets),
+      createdAt: Date.now()
+    };
+    this.part = null;
+    this.open.parts.push(part);
+    this.emit('part', { msn: this.open.msn, index: part.index, duration });
+
+    const segmentDuration = this.open.parts.reduce((sum, p) => sum + p.duration, 0);
+    if (segmentDuration >= this.segmentTarget - this.partTarget / 2) {
+      this.closeSegment();
+    }
+  }
+
+  closeSegment() {
+    const { msn, parts } = this.open;
+    if (parts.length === 0) {
+      return;
+    }
+    const duration = parts.reduce((sum, p) => sum + p.duration, 0);
+    const createdAt = parts[parts.length - 1].createdAt;
+    const segment = {
+      msn,
+      duration,
+      programDateTime: parts[0].createdAt - parts[0].duration * 1000,
+      parts,
+      createdAt
+    };
+    this.segments.push(segment);
+    this.open = { msn: msn + 1, parts: [] };
+
+    // Keep parts for what the playlist lists (plus one behind for slow clients)
+    while (this.segments.length > this.listSize + 1) {
+      this.segments.shift();
+    }
+    this.writeSegment(segment);
+  }
+
+  /**
+   * Write a finished segment and the plain media playlist, and delete
+   * segments that have dropped out of it
+   */
+  writeSegment(segment) {
+    const data = Buffer.concat(segment.parts.map(p => p.data));
+    const playlist = this.getPlaylist({ parts: false });
+    this.writeQueue = this.writeQueue.then(async () => {
+      await fs.writeFile(path.join(this.dir, segmentName(segment.msn)), data);
+      const playlistPath = path.join(this.dir, 'playlist.m3u8');
+      await fs.writeFile(`${playlistPath}.tmp`, playlist);
+      await fs.rename(`${playlistPath}.tmp`, playlistPath);
+      await fs.unlink(path.join(this.dir, segmentName(segment.msn - this.listSize - 2))).catch(() => {});
+    }).catch((error) => {
+      console.error(`❌ [LL-HLS] ${this.name} failed to write segment ${segment.msn}:`, error.message);
+    });
+    return this.writeQueue;
+  }
+
+  /**
+   * Encoder went away - finish the part and segment in progress so the
+   * next encoder starts on a fresh segment number
+   */
+  async flush() {
+    if (this.part) {
+      const last = this.part.lastPts ?? this.part.startPts;
+      this.closePart((ptsDiff(last, this.part.startPts) + this.frameTicks) / TS_CLOCK);
+    }
+    this.closeSegment();
+    await this.writeQueue;
+  }
+
+  isAvailable(msn, part = null) {
+    if (msn < this.open.msn) {
+      return true;
+    }
+    return msn === this.open.msn && part !== null && part < this.open.parts.length;
+  }
+
+  /**
+   * Resolve once segment `msn` (or part `part` of it) is available - the
+   * blocking reload / preload hint behaviour LL-HLS players rely on
+   */
+  waitFor(msn, part = null, timeoutMs = this.segmentTarget * 3000) {
+    if (msn > this.open.msn + 2) {
+      return Promise.reject(Object.assign(new Error(`Segment ${msn} is too far in the future`), { status: 400 }));
+    }
+    if (this.isAvailable(msn, part)) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const onPart = () => {
+        if (this.isAvailable(msn, part)) {
+          cleanup();
+          resolve();
+        }
+      };
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(Object.assign(new Error(`Timed out waiting for segment ${msn}${part !== null ? ` part ${part}` : ''}`), { status: 503 }));
+      }, timeoutMs);
+      const cleanup = () => {
+        clearTimeout(timer);
+        this.off('part', onPart);
+      };
+      this.on('part', onPart);
+    });
+  }
+
+  findSegment(msn) {
+    if (msn === this.open.msn) {
+      return this.open;
+    }
+    return this.segments.find(s => s.msn === msn) || null;
+  }
+
+  /**
+   * { data, duration, createdAt } for a part still held in memory
+   */
+  getPart(msn, index) {
+    const segment = this.findSegment(msn);
+    return (segment && segment.parts[index]) || null;
+  }
+
+  /**
+   * A complete segment still held in memory (it may not be on disk yet)
+   */
+  getSegment(msn) {
+    const segment = this.segments.find(s => s.msn === msn);
+    if (!segment) {
+      return null;
+    }
+    return { data: Buffer.concat(segment.parts.map(p => p.data)), duration: segment.duration, createdAt: segment.createdAt };
+  }
+
+  /**
+   * Media playlist. With `parts` (the default) it's the LL-HLS version;
+   * players that don't know the LL tags ignore them and load whole segments.
+   */
+  getPlaylist({ parts = true } = {}) {
+    const listed = this.segments.slice(-this.listSize);
+    if (listed.length === 0 && (!parts || this.open.parts.length === 0)) {
+      throw Object.assign(new Error('No segments yet'), { code: 'ENOENT' });
+    }
+    const firstMsn = listed.length > 0 ? listed[0].msn : this.open.msn;
+    const targetDuration = Math.max(this.segmentTarget, ...listed.map(s => Math.round(s.duration)));
+    const passed = this.discontinuities.filter(n => n < firstMsn).length;
+
+    const lines = ['#EXTM3U', `#EXT-X-VERSION:${parts ? 6 : 3}`, `#EXT-X-TARGETDURATION:${targetDuration}`];
+    if (parts) {
+      lines.push(
+        `#EXT-X-SERVER-CONTROL:CAN-BLOCK-RELOAD=YES,PART-HOLD-BACK=${(this.partTarget * 3).toFixed(3)}`,
+        `#EXT-X-PART-INF:PART-TARGET=${this.partTarget.toFixed(3)}`
+      );
+    }
+    lines.push(`#EXT-X-MEDIA-SEQUENCE:${firstMsn}`);
+    if (passed > 0) {
+      lines.push(`#EXT-X-DISCONTINUITY-SEQUENCE:${passed}`);
+    }
+
+    const partLines = (segment) => segment.parts.map(p =>
+      `#EXT-X-PART:DURATION=${p.duration.toFixed(5)},URI="${partName(segment.msn, p.index)}",INDEPENDENT=YES`);
+
+    listed.forEach((segment, i) => {
+      if (this.discontinuities.includes(segment.msn)) {
+        lines.push('#EXT-X-DISCONTINUITY');
+      }
+      lines.push(`#EXT-X-PROGRAM-DATE-TIME:${new Date(segment.programDateTime).toISOString()}`);
+      // Parts only matter near the live edge
+      if (parts && i >= listed.length - 2) {
+        lines.push(...partLines(segment));
+      }
+      lines.push(`#EXTINF:${segment.duration.toFixed(6)},`, segmentName(segment.msn));
+    });
+
+    if (parts) {
+      if (this.open.parts.length > 0) {
+        if (this.discontinuities.includes(this.open.msn)) {
+          lines.push('#EXT-X-DISCONTINUITY');
+        }
+        const first = this.open.parts[0];
+        lines.push(`#EXT-X-PROGRAM-DATE-TIME:${new Date(first.createdAt - first.duration * 1000).toISOString()}`);
+        lines.push(...partLines(this.open));
+      }
+      lines.push(`#EXT-X-PRELOAD-HINT:TYPE=PART,URI="${partName(this.open.msn, this.open.parts.length)}"`);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  stop() {
+    this.removeAllListeners('part');
+  }
+}
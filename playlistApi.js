@@ -0,0 +1,152 @@
+/**
+ * Playlist management API
+ * List, add, remove and reorder Auto DJ tracks, and read now-playing state
+ *
+ * `/playlist/...` routes act on the default playlist; the same routes under
+ * `/playlists/:name/...` act on a named playlist.
+ */
+
+import express from 'express';
+import { DEFAULT_PLAYLIST } from './playlistStore.js';
+
+const PLAYLIST_NAME = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+/**
+ * Check a track before it's added to a playlist - returns the problem, or null
+ */
+export function validateTrack(body) {
+  if (!body || typeof body.title !== 'string' || !body.title.trim()) {
+    return 'title is required';
+  }
+  if (body.mediaId != null) {
+    if (typeof body.mediaId !== 'string') {
+      return 'mediaId must be a string';
+    }
+  } else if (typeof body.url !== 'string' || !/^https?:\/\//.test(body.url)) {
+    return 'url must be an http(s) URL (or give a mediaId)';
+  }
+  if (body.weight != null && !(Number(body.weight) >= 0)) {
+    return 'weight must be zero or more';
+  }
+  if (body.artwork != null && (typeof body.artwork !== 'string' || !/^https?:\/\//.test(body.artwork))) {
+    return 'artwork must be an http(s) URL';
+  }
+  if (body.gain != null && !(Math.abs(Number(body.gain)) <= 30)) {
+    return 'gain must be between -30 and 30 dB';
+  }
+  if (body.position != null && !Number.isInteger(body.position)) {
+    return 'position must be an integer';
+  }
+  return null;
+}
+
+export function createPlaylistRouter({ store, autoDJ, library, auth }) {
+  const router = express.Router();
+  // Scoped to our paths so public routes on other /api routers stay reachable
+  router.use(['/playlist', '/playlists', '/now-playing'], auth);
+
+  const playlistName = (req) => req.params.name || DEFAULT_PLAYLIST;
+
+  router.get('/playlists', (req, res) => {
+    res.json({
+      playlists: store.names().map(name => ({ name, tracks: store.list(name).length }))
+    });
+  });
+
+  router.put('/playlists/:name', async (req, res) => {
+    const { name } = req.params;
+    if (!PLAYLIST_NAME.test(name)) {
+      return res.status(400).json({ error: 'name may only contain letters, numbers, - and _' });
+    }
+    try {
+      const created = await store.createPlaylist(name);
+      res.status(created ? 201 : 200).json({ name, tracks: store.list(name) });
+    } catch (err) {
+      console.error('❌ [API] Error creating playlist:', err);
+      res.status(500).json({ error: 'Failed to create playlist' });
+    }
+  });
+
+  router.delete('/playlists/:name', async (req, res) => {
+    const { name } = req.params;
+    if (name === DEFAULT_PLAYLIST) {
+      return res.status(400).json({ error: 'The default playlist cannot be deleted' });
+    }
+    try {
+      if (!(await store.deletePlaylist(name))) {
+        return res.status(404).json({ error: 'Playlist not found' });
+      }
+      res.status(204).end();
+    } catch (err) {
+      console.error('❌ [API] Error deleting playlist:', err);
+      res.status(500).json({ error: 'Failed to delete playlist' });
+    }
+  });
+
+  router.get(['/playlist', '/playlists/:name'], (req, res) => {
+    const tracks = store.list(playlistName(req));
+    if (!tracks) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    res.json({ name: playlistName(req), tracks });
+  });
+
+  router.post(['/playlist/tracks', '/playlists/:name/tracks'], async (req, res) => {
+    const error = validateTrack(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    // Duration comes from the media library (or is probed in the background), not the request
+    const { title, url, mediaId, weight, gain, artwork, host, position } = req.body;
+    const media = mediaId != null && library ? library.get(mediaId) : null;
+    if (mediaId != null && !media) {
+      return res.status(400).json({ error: 'mediaId is not in the media library' });
+    }
+    try {
+      const source = media ? { mediaId, duration: media.duration } : { url };
+      const track = await store.add({ title: title.trim(), ...source, weight, gain, artwork, host }, position, playlistName(req));
+      if (!track) {
+        return res.status(404).json({ error: 'Playlist not found' });
+      }
+      res.status(201).json(track);
+    } catch (err) {
+      console.error('❌ [API] Error adding track:', err);
+      res.status(500).json({ error: 'Failed to add track' });
+    }
+  });
+
+  router.delete(['/playlist/tracks/:id', '/playlists/:name/tracks/:id'], async (req, res) => {
+    try {
+      const track = await store.remove(req.params.id, playlistName(req));
+      if (!track) {
+        return res.status(404).json({ error: 'Track not found' });
+      }
+      res.json(track);
+    } catch (err) {
+      console.error('❌ [API] Error removing track:', err);
+      res.status(500).json({ error: 'Failed to remove track' });
+    }
+  });
+
+  router.put(['/playlist/order', '/playlists/:name/order'], async (req, res) => {
+    const ids = req.body && req.body.ids;
+    if (!Array.isArray(ids)) {
+      return res.status(400).json({ error: 'ids must be an array of track ids' });
+    }
+    try {
+      if (!(await store.reorder(ids, playlistName(req)))) {
+        return res.status(400).json({ error: 'ids must list every track exactly once' });
+      }
+      res.json({ name: playlistName(req), tracks: store.list(playlistName(req)) });
+    } catch (err) {
+      console.error('❌ [API] Error reordering playlist:', err);
+      res.status(500).json({ error: 'Failed to reorder playlist' });
+    }
+  });
+
+  router.get('/now-playing', (req, res) => {
+    res.json(autoDJ.getNowPlaying());
+  });
+
+  return router;
+}
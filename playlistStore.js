@@ -0,0 +1,196 @@
+/**
+ * Playlist Store
+ * Persists Auto DJ playlists to a local JSON file so edits survive restarts
+ *
+ * Holds any number of named playlists; "default" always exists and is what
+ * Auto DJ plays unless the schedule says otherwise.
+ */
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export const DEFAULT_PLAYLIST = 'default';
+
+export class PlaylistStore extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.dataDir = options.dataDir || process.env.DATA_DIR || './data';
+    this.filePath = path.join(this.dataDir, 'playlist.json');
+    this.defaults = options.defaults || [];  // Seed tracks when no file exists yet
+    this.playlists = { [DEFAULT_PLAYLIST]: [] };
+    this.writeQueue = Promise.resolve();     // Serialize writes to avoid interleaving
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      // Older files only had a single `tracks` list
+      const playlists = data.playlists || { [DEFAULT_PLAYLIST]: data.tracks || [] };
+      this.playlists = { [DEFAULT_PLAYLIST]: [] };
+      for (const [name, tracks] of Object.entries(playlists)) {
+        this.playlists[name] = Array.isArray(tracks) ? tracks.map(track => this.normalize(track)) : [];
+      }
+      const count = Object.values(this.playlists).reduce((sum, tracks) => sum + tracks.length, 0);
+      console.log(`📂 [PLAYLIST] Loaded ${Object.keys(this.playlists).length} playlist(s), ${count} track(s) from ${this.filePath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ [PLAYLIST] Failed to read ${this.filePath}:`, error.message);
+        throw error;
+      }
+      this.playlists = { [DEFAULT_PLAYLIST]: this.defaults.map(track => this.normalize(track)) };
+      console.log(`📂 [PLAYLIST] No saved playlist - seeding with ${this.playlists[DEFAULT_PLAYLIST].length} default track(s)`);
+      await this.save();
+    }
+    return this.playlists[DEFAULT_PLAYLIST];
+  }
+
+  save() {
+    const snapshot = JSON.stringify({ playlists: this.playlists }, null, 2);
+    this.writeQueue = this.writeQueue.then(async () => {
+      await fs.mkdir(this.dataDir, { recursive: true });
+      // Write to a temp file then rename so a crash never leaves a half-written playlist
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tmpPath, snapshot);
+      await fs.rename(tmpPath, this.filePath);
+    }).catch((error) => {
+      console.error('❌ [PLAYLIST] Failed to save playlist:', error);
+    });
+    return this.writeQueue;
+  }
+
+  normalize(track) {
+    const entry = {
+      id: track.id || randomUUID(),
+      title: String(track.title),
+      url: track.url != null ? String(track.url) : null,
+      duration: track.duration != null ? Number(track.duration) : null,
+      weight: track.weight != null ? Number(track.weight) : 1
+    };
+    // Manual playback gain (dB) - overrides the analysed ReplayGain
+    if (track.gain != null) {
+      entry.gain = Number(track.gain);
+    }
+    // Local file on this server (e.g. a recording) or an uploaded track instead of a URL
+    if (track.file) {
+      entry.file = String(track.file);
+    }
+    if (track.mediaId) {
+      entry.mediaId = String(track.mediaId);
+    }
+    // Now-playing metadata
+    if (track.artwork) {
+      entry.artwork = String(track.artwork);
+    }
+    if (track.host) {
+      entry.host = String(track.host);
+    }
+    if (track.recordingId) {
+      entry.recordingId = track.recordingId;
+    }
+    return entry;
+  }
+
+  names() {
+    return Object.keys(this.playlists);
+  }
+
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.playlists, name);
+  }
+
+  async createPlaylist(name) {
+    if (this.has(name)) {
+      return false;
+    }
+    this.playlists[name] = [];
+    await this.commit(name);
+    console.log(`📋 [PLAYLIST] Created playlist "${name}"`);
+    return true;
+  }
+
+  async deletePlaylist(name) {
+    if (name === DEFAULT_PLAYLIST || !this.has(name)) {
+      return false;
+    }
+    delete this.playlists[name];
+    await this.save();
+    this.emit('delete', name);
+    console.log(`📋 [PLAYLIST] Deleted playlist "${name}"`);
+    return true;
+  }
+
+  /**
+   * Tracks in a playlist, or null if the playlist doesn't exist
+   */
+  list(name = DEFAULT_PLAYLIST) {
+    return this.has(name) ? this.playlists[name] : null;
+  }
+
+  get(id, name = DEFAULT_PLAYLIST) {
+    return (this.list(name) || []).find(track => track.id === id) || null;
+  }
+
+  async add(track, position, name = DEFAULT_PLAYLIST) {
+    const tracks = this.list(name);
+    if (!tracks) {
+      return null;
+    }
+    const entry = this.normalize({ ...track, id: undefined });
+    const index = Math.max(0, Math.min(position ?? tracks.length, tracks.length));
+    this.playlists[name] = [...tracks.slice(0, index), entry, ...tracks.slice(index)];
+    await this.commit(name);
+    console.log(`➕ [PLAYLIST] Added "${entry.title}" to "${name}" at position ${index}`);
+    return entry;
+  }
+
+  async remove(id, name = DEFAULT_PLAYLIST) {
+    const track = this.get(id, name);
+    if (!track) {
+      return null;
+    }
+    this.playlists[name] = this.playlists[name].filter(t => t.id !== id);
+    await this.commit(name);
+    console.log(`➖ [PLAYLIST] Removed "${track.title}" from "${name}"`);
+    return track;
+  }
+
+  /**
+   * Change fields on a track in place (e.g. a duration measured after it was added)
+   */
+  async update(id, fields, name = DEFAULT_PLAYLIST) {
+    const track = this.get(id, name);
+    if (!track) {
+      return null;
+    }
+    const updated = this.normalize({ ...track, ...fields, id });
+    this.playlists[name] = this.playlists[name].map(t => t.id === id ? updated : t);
+    await this.commit(name);
+    return updated;
+  }
+
+  /**
+   * Reorder a playlist to match the given list of track ids.
+   * Returns false if the ids aren't exactly the current set of tracks.
+   */
+  async reorder(ids, name = DEFAULT_PLAYLIST) {
+    const tracks = this.list(name);
+    if (!tracks || ids.length !== tracks.length || new Set(ids).size !== ids.length) {
+      return false;
+    }
+    const reordered = ids.map(id => this.get(id, name));
+    if (reordered.some(track => !track)) {
+      return false;
+    }
+    this.playlists[name] = reordered;
+    await this.commit(name);
+    console.log(`🔃 [PLAYLIST] Reordered "${name}"`);
+    return true;
+  }
+
+  async commit(name) {
+    await this.save();
+    this.emit('change', name, this.playlists[name]);
+  }
+}
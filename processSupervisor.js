@@ -0,0 +1,80 @@
+/**
+ * Process Supervisor
+ * Restarts crashed FFmpeg processes with exponential backoff
+ *
+ * The owner calls started() whenever its process comes up and failed()
+ * when it dies unexpectedly; the supervisor decides when to restart and
+ * keeps the counts that /health reports.
+ */
+
+import { EventEmitter } from 'events';
+
+export class ProcessSupervisor extends EventEmitter {
+  constructor({ name, minDelay = 1000, maxDelay = 30000, stableAfter = 60000 }) {
+    super();
+    this.name = name;
+    this.minDelay = minDelay;        // First restart delay (ms)
+    this.maxDelay = maxDelay;        // Backoff cap (ms)
+    this.stableAfter = stableAfter;  // Running this long resets the backoff (ms)
+    this.restarts = 0;
+    this.consecutiveFailures = 0;
+    this.lastFailure = null;         // { at, reason }
+    this.startedAt = null;
+    this.timer = null;
+  }
+
+  started() {
+    this.startedAt = Date.now();
+  }
+
+  /**
+   * Record a crash and schedule `restart` after the backoff delay
+   */
+  failed(reason, restart) {
+    const now = Date.now();
+    if (this.startedAt && now - this.startedAt >= this.stableAfter) {
+      this.consecutiveFailures = 0;
+    }
+    this.startedAt = null;
+    this.consecutiveFailures++;
+    this.lastFailure = { at: new Date(now).toISOString(), reason };
+
+    const delay = Math.min(this.maxDelay, this.minDelay * 2 ** (this.consecutiveFailures - 1));
+    console.error(`💥 [SUPERVISOR] ${this.name} failed (${reason}) - restarting in ${(delay / 1000).toFixed(1)}s (failure ${this.consecutiveFailures} in a row)`);
+    this.emit('failure', { name: this.name, reason, delay, consecutiveFailures: this.consecutiveFailures });
+
+    this.cancel();
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      this.restarts++;
+      console.log(`🔁 [SUPERVISOR] Restarting ${this.name} (restart #${this.restarts})`);
+      try {
+        await restart();
+        this.emit('restart', { name: this.name, restarts: this.restarts });
+      } catch (error) {
+        this.failed(error.message, restart);
+      }
+    }, delay);
+    return delay;
+  }
+
+  /**
+   * Cancel a pending restart (e.g. on intentional stop)
+   */
+  cancel() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getStatus() {
+    return {
+      restarts: this.restarts,
+      consecutiveFailures: this.consecutiveFailures,
+      lastFailure: this.lastFailure,
+      restartPending: Boolean(this.timer),
+      uptime: this.startedAt ? Math.round((Date.now() - this.startedAt) / 1000) : null
+    };
+  }
+}
@@ -0,0 +1,205 @@
+/**
+ * Live Show Recorder
+ * Records each live session (live-start -> live-stop) to its own file
+ *
+ * Live PCM is fed to a dedicated FFmpeg encoder, separate from the HLS
+ * encoder, so recordings are complete even if listeners' segments expire.
+ */
+
+import { spawn } from 'child_process';
+import { randomUUID } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const SAMPLE_RATE = 48000;
+const CHANNELS = 2;
+const BYTES_PER_SAMPLE = 4;  // f32le
+
+const FORMATS = {
+  m4a: ['-c:a', 'aac', '-b:a', '128k', '-movflags', '+faststart', '-f', 'ipod'],
+  mp3: ['-c:a', 'libmp3lame', '-b:a', '128k', '-f', 'mp3']
+};
+
+export class Recorder {
+  constructor(options = {}) {
+    const dataDir = options.dataDir || process.env.DATA_DIR || './data';
+    this.dir = options.dir || process.env.RECORDINGS_PATH || path.join(dataDir, 'recordings');
+    this.indexPath = path.join(this.dir, 'recordings.json');
+    this.format = options.format || process.env.RECORDING_FORMAT || 'm4a';
+    this.enabled = (options.enabled ?? process.env.RECORDING_ENABLED ?? 'true') !== 'false';
+    if (!FORMATS[this.format]) {
+      console.warn(`⚠️ [RECORDER] Unknown format "${this.format}" - using m4a`);
+      this.format = 'm4a';
+    }
+    this.recordings = [];   // { id, title, show, host, file, format, startedAt, endedAt, duration, bytes, status }
+    this.active = null;     // { recording, ffmpeg, pcmBytes }
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    await fs.mkdir(this.dir, { recursive: true });
+    try {
+      const data = JSON.parse(await fs.readFile(this.indexPath, 'utf8'));
+      this.recordings = Array.isArray(data.recordings) ? data.recordings : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ [RECORDER] Failed to read ${this.indexPath}:`, error.message);
+      }
+      this.recordings = [];
+    }
+
+    // Anything still "recording" was cut off by a crash or redeploy
+    let interrupted = 0;
+    for (const recording of this.recordings) {
+      if (recording.status === 'recording') {
+        recording.status = 'interrupted';
+        interrupted++;
+      }
+    }
+    if (interrupted > 0) {
+      await this.save();
+    }
+    console.log(`🎙️ [RECORDER] ${this.recordings.length} recording(s) in ${this.dir}${interrupted ? ` (${interrupted} interrupted)` : ''}`);
+  }
+
+  save() {
+    const snapshot = JSON.stringify({ recordings: this.recordings }, null, 2);
+    this.writeQueue = this.writeQueue.then(async () => {
+      const tmpPath = `${this.indexPath}.tmp`;
+      await fs.writeFile(tmpPath, snapshot);
+      await fs.rename(tmpPath, this.indexPath);
+    }).catch((error) => {
+      console.error('❌ [RECORDER] Failed to save index:', error);
+    });
+    return this.writeQueue;
+  }
+
+  isRecording() {
+    return Boolean(this.active);
+  }
+
+  /**
+   * Begin recording a live session
+   */
+  async start(info = {}) {
+    if (!this.enabled) {
+      return null;
+    }
+    if (this.active) {
+      console.log('⚠️ [RECORDER] Already recording - ignoring start');
+      return this.active.recording;
+    }
+
+    const startedAt = new Date();
+    const id = randomUUID();
+    const stamp = startedAt.toISOString().replace(/[:.]/g, '-');
+    const file = path.join(this.dir, `live-${stamp}.${this.format}`);
+    const recording = {
+      id,
+      title: info.title || `Live show ${startedAt.toISOString().slice(0, 16).replace('T', ' ')}`,
+      show: info.show || null,
+      host: info.host || null,
+      file,
+      format: this.format,
+      startedAt: startedAt.toISOString(),
+      endedAt: null,
+      duration: 0,
+      bytes: 0,
+      status: 'recording'
+    };
+
+    const ffmpeg = spawn('ffmpeg', [
+      '-f', 'f32le',
+      '-ar', SAMPLE_RATE.toString(),
+      '-ac', CHANNELS.toString(),
+      '-i', 'pipe:0',
+      ...FORMATS[this.format],
+      '-metadata', `title=${recording.title}`,
+      '-loglevel', 'error',
+      '-y', file
+    ]);
+
+    ffmpeg.on('error', (error) => {
+      console.error('❌ [RECORDER] FFmpeg error:', error);
+    });
+    ffmpeg.stderr.on('data', (data) => {
+      console.error(`❌ [RECORDER] FFmpeg stderr: ${data.toString().substring(0, 200)}`);
+    });
+    ffmpeg.stdin.on('error', (error) => {
+      console.error('❌ [RECORDER] Error writing to FFmpeg:', error.message);
+    });
+
+    this.active = { recording, ffmpeg, pcmBytes: 0 };
+    this.recordings.unshift(recording);
+    await this.save();
+    console.log(`🔴 [RECORDER] Recording "${recording.title}" to ${file}`);
+    return recording;
+  }
+
+  /**
+   * Feed live PCM (f32le, 48kHz stereo)
+   */
+  write(buffer) {
+    if (!this.active || !buffer) {
+      return;
+    }
+    this.active.pcmBytes += buffer.length;
+    this.active.ffmpeg.stdin.write(buffer);
+  }
+
+  /**
+   * Finish the current recording and wait for the file to be finalized
+   */
+  async stop() {
+    if (!this.active) {
+      return null;
+    }
+    const { recording, ffmpeg, pcmBytes } = this.active;
+    this.active = null;
+
+    const exitCode = await new Promise((resolve) => {
+      if (ffmpeg.exitCode !== null) {
+        return resolve(ffmpeg.exitCode);
+      }
+      const timeout = setTimeout(() => {
+        console.error('❌ [RECORDER] FFmpeg did not finish in time - killing');
+        ffmpeg.kill('SIGKILL');
+      }, 30000);
+      ffmpeg.on('exit', (code) => {
+        clearTimeout(timeout);
+        resolve(code);
+      });
+      ffmpeg.stdin.end();
+    });
+
+    recording.endedAt = new Date().toISOString();
+    // Duration from audio actually received, not wall clock (gaps in ingest aren't recorded)
+    recording.duration = Math.round(pcmBytes / (SAMPLE_RATE * CHANNELS * BYTES_PER_SAMPLE));
+    recording.bytes = await fs.stat(recording.file).then(stat => stat.size).catch(() => 0);
+    recording.status = exitCode === 0 && recording.bytes > 0 ? 'complete' : 'failed';
+    await this.save();
+
+    console.log(`⏹️ [RECORDER] ${recording.status === 'complete' ? 'Saved' : 'FAILED'} "${recording.title}" (${Math.floor(recording.duration / 60)}m ${recording.duration % 60}s, ${(recording.bytes / 1024 / 1024).toFixed(1)} MB)`);
+    return recording;
+  }
+
+  list() {
+    return this.recordings;
+  }
+
+  get(id) {
+    return this.recordings.find(r => r.id === id) || null;
+  }
+
+  async remove(id) {
+    const recording = this.get(id);
+    if (!recording || (this.active && this.active.recording === recording)) {
+      return null;
+    }
+    await fs.unlink(recording.file).catch(() => {});
+    this.recordings = this.recordings.filter(r => r.id !== id);
+    await this.save();
+    console.log(`🗑️ [RECORDER] Deleted "${recording.title}"`);
+    return recording;
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * Recordings API
+ * List, download and delete live show recordings, or queue them for replay
+ */
+
+import express from 'express';
+import path from 'path';
+import { DEFAULT_PLAYLIST } from './playlistStore.js';
+
+export function createRecordingsRouter({ recorder, playlistStore, gainCache, auth }) {
+  const router = express.Router();
+  router.use('/recordings', auth);
+
+  router.get('/recordings', (req, res) => {
+    res.json({
+      recording: recorder.isRecording() ? recorder.active.recording : null,
+      recordings: recorder.list()
+    });
+  });
+
+  router.get('/recordings/:id', (req, res) => {
+    const recording = recorder.get(req.params.id);
+    if (!recording) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+    res.json(recording);
+  });
+
+  router.get('/recordings/:id/download', (req, res) => {
+    const recording = recorder.get(req.params.id);
+    if (!recording) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+    if (recording.status === 'recording') {
+      return res.status(409).json({ error: 'Recording is still in progress' });
+    }
+    const filename = `${recording.title.replace(/[^\w .-]+/g, '_')}${path.extname(recording.file)}`;
+    res.download(path.resolve(recording.file), filename, (error) => {
+      if (error && !res.headersSent) {
+        console.error('❌ [API] Error sending recording:', error.message);
+        res.status(404).json({ error: 'Recording file missing' });
+      }
+    });
+  });
+
+  router.delete('/recordings/:id', async (req, res) => {
+    const recording = recorder.get(req.params.id);
+    if (!recording) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+    if (recording.status === 'recording') {
+      return res.status(409).json({ error: 'Recording is still in progress' });
+    }
+    try {
+      await recorder.remove(recording.id);
+      // Replays of this recording can't play any more
+      for (const name of playlistStore.names()) {
+        for (const track of playlistStore.list(name).filter(t => t.recordingId === recording.id)) {
+          await playlistStore.remove(track.id, name);
+        }
+      }
+      if (gainCache) {
+        await gainCache.forget({ file: recording.file });
+      }
+      res.json(recording);
+    } catch (err) {
+      console.error('❌ [API] Error deleting recording:', err);
+      res.status(500).json({ error: 'Failed to delete recording' });
+    }
+  });
+
+  // Add a finished recording to an Auto DJ playlist for replays
+  router.post('/recordings/:id/playlist', async (req, res) => {
+    const recording = recorder.get(req.params.id);
+    if (!recording) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+    if (recording.status !== 'complete') {
+      return res.status(409).json({ error: `Only complete recordings can be added (status: ${recording.status})` });
+    }
+    const { playlist = DEFAULT_PLAYLIST, position, title } = req.body || {};
+    try {
+      const track = await playlistStore.add({
+        title: title || recording.title,
+        file: recording.file,
+        duration: recording.duration,
+        recordingId: recording.id
+      }, position, playlist);
+      if (!track) {
+        return res.status(404).json({ error: 'Playlist not found' });
+      }
+      res.status(201).json(track);
+    } catch (err) {
+      console.error('❌ [API] Error adding recording to playlist:', err);
+      res.status(500).json({ error: 'Failed to add recording to playlist' });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,168 @@
+/**
+ * Schedule API
+ * Read the programming schedule (public) and edit it (admin)
+ */
+
+import express from 'express';
+import { parseClock } from './scheduler.js';
+
+function validateContent(content, playlistStore) {
+  if (!content || typeof content !== 'object') {
+    return 'content is required';
+  }
+  if (content.playlist != null) {
+    return playlistStore.has(content.playlist) ? null : `playlist "${content.playlist}" does not exist`;
+  }
+  if (Array.isArray(content.tracks) && content.tracks.length > 0) {
+    const bad = content.tracks.find(t => !t || typeof t.title !== 'string' || !/^https?:\/\//.test(t.url || ''));
+    return bad ? 'each track needs a title and an http(s) url' : null;
+  }
+  return 'content must have a playlist name or a non-empty tracks list';
+}
+
+function validateSlot(body, playlistStore) {
+  if (!body || typeof body.name !== 'string' || !body.name.trim()) {
+    return 'name is required';
+  }
+  if (!Array.isArray(body.days) || body.days.length === 0 || body.days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+    return 'days must be a list of weekday numbers (0 = Sunday ... 6 = Saturday)';
+  }
+  if (parseClock(body.start) === null || parseClock(body.end) === null || body.start === '24:00') {
+    return 'start and end must be HH:MM (24-hour)';
+  }
+  if (body.start === body.end) {
+    return 'start and end must differ';
+  }
+  return validateContent(body.content, playlistStore);
+}
+
+function validateEvent(body, playlistStore) {
+  if (!body || typeof body.name !== 'string' || !body.name.trim()) {
+    return 'name is required';
+  }
+  const start = Date.parse(body.start);
+  const end = Date.parse(body.end);
+  if (Number.isNaN(start) || Number.isNaN(end)) {
+    return 'start and end must be ISO 8601 timestamps';
+  }
+  if (end <= start) {
+    return 'end must be after start';
+  }
+  if (end <= Date.now()) {
+    return 'event has already ended';
+  }
+  return validateContent(body.content, playlistStore);
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+export function createScheduleRouter({ scheduler, playlistStore, auth }) {
+  const router = express.Router();
+
+  // Public - listener apps can show what's on
+  router.get('/schedule', (req, res) => {
+    res.json(scheduler.getSchedule());
+  });
+
+  router.get('/schedule/now', (req, res) => {
+    res.json(scheduler.current);
+  });
+
+  router.put('/schedule/default', auth, async (req, res) => {
+    const content = req.body && req.body.content;
+    const error = validateContent(content, playlistStore);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    try {
+      await scheduler.setDefault(content);
+      res.json(scheduler.getSchedule());
+    } catch (err) {
+      console.error('❌ [API] Error setting default programming:', err);
+      res.status(500).json({ error: 'Failed to update schedule' });
+    }
+  });
+
+  router.put('/schedule/timezone', auth, async (req, res) => {
+    const timezone = req.body && req.body.timezone;
+    if (typeof timezone !== 'string' || !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: 'timezone must be an IANA time zone, e.g. America/Chicago' });
+    }
+    try {
+      await scheduler.setTimezone(timezone);
+      res.json(scheduler.getSchedule());
+    } catch (err) {
+      console.error('❌ [API] Error setting time zone:', err);
+      res.status(500).json({ error: 'Failed to update schedule' });
+    }
+  });
+
+  router.post('/schedule/slots', auth, async (req, res) => {
+    const error = validateSlot(req.body, playlistStore);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    try {
+      const { name, days, start, end, content } = req.body;
+      res.status(201).json(await scheduler.addSlot({ name: name.trim(), days, start, end, content }));
+    } catch (err) {
+      console.error('❌ [API] Error adding slot:', err);
+      res.status(500).json({ error: 'Failed to add slot' });
+    }
+  });
+
+  router.delete('/schedule/slots/:id', auth, async (req, res) => {
+    try {
+      const slot = await scheduler.removeSlot(req.params.id);
+      if (!slot) {
+        return res.status(404).json({ error: 'Slot not found' });
+      }
+      res.json(slot);
+    } catch (err) {
+      console.error('❌ [API] Error removing slot:', err);
+      res.status(500).json({ error: 'Failed to remove slot' });
+    }
+  });
+
+  router.post('/schedule/events', auth, async (req, res) => {
+    const error = validateEvent(req.body, playlistStore);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    try {
+      const { name, start, end, content } = req.body;
+      const event = await scheduler.addEvent({
+        name: name.trim(),
+        start: new Date(start).toISOString(),
+        end: new Date(end).toISOString(),
+        content
+      });
+      res.status(201).json(event);
+    } catch (err) {
+      console.error('❌ [API] Error adding event:', err);
+      res.status(500).json({ error: 'Failed to add event' });
+    }
+  });
+
+  router.delete('/schedule/events/:id', auth, async (req, res) => {
+    try {
+      const event = await scheduler.removeEvent(req.params.id);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+      res.json(event);
+    } catch (err) {
+      console.error('❌ [API] Error removing event:', err);
+      res.status(500).json({ error: 'Failed to remove event' });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,231 @@
+/**
+ * Show Scheduler
+ * Clock-based programming that decides what Auto DJ plays
+ *
+ * Priority: one-off events > recurring weekly slots > default.
+ * Weekly slots are evaluated in the station's time zone.
+ *
+ * Content is either `{ playlist: '<name>' }` or `{ tracks: [{ title, url, duration }] }`
+ * for specific recordings (e.g. a replay of a show).
+ */
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * "HH:MM" -> minutes since midnight (null if invalid). "24:00" is allowed as an end time.
+ */
+export function parseClock(value) {
+  if (value === '24:00') {
+    return 24 * 60;
+  }
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value));
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+/**
+ * Day of week (0 = Sunday) and minutes since midnight in a time zone
+ */
+export function zonedTime(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = type => parts.find(p => p.type === type).value;
+  return {
+    day: WEEKDAYS.indexOf(get('weekday')),
+    minutes: parseInt(get('hour'), 10) * 60 + parseInt(get('minute'), 10)
+  };
+}
+
+export class Scheduler extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.dataDir = options.dataDir || process.env.DATA_DIR || './data';
+    this.filePath = path.join(this.dataDir, 'schedule.json');
+    this.timezone = options.timezone || process.env.STATION_TIMEZONE || 'America/Chicago';
+    this.checkInterval = options.checkInterval || 10000;  // How often to re-evaluate (ms)
+    this.defaultContent = { playlist: 'default' };
+    this.slots = [];     // { id, name, days: [0-6], start: 'HH:MM', end: 'HH:MM', content }
+    this.events = [];    // { id, name, start: ISO, end: ISO, content }
+    this.current = null; // Program currently on air
+    this.timer = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      this.timezone = data.timezone || this.timezone;
+      this.defaultContent = data.default || this.defaultContent;
+      this.slots = Array.isArray(data.slots) ? data.slots : [];
+      this.events = Array.isArray(data.events) ? data.events : [];
+      console.log(`📅 [SCHEDULE] Loaded ${this.slots.length} weekly slot(s), ${this.events.length} event(s) (${this.timezone})`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ [SCHEDULE] Failed to read ${this.filePath}:`, error.message);
+        throw error;
+      }
+      console.log(`📅 [SCHEDULE] No saved schedule - using default programming (${this.timezone})`);
+    }
+    this.current = this.resolve();
+    return this.current;
+  }
+
+  save() {
+    const snapshot = JSON.stringify({
+      timezone: this.timezone,
+      default: this.defaultContent,
+      slots: this.slots,
+      events: this.events
+    }, null, 2);
+    this.writeQueue = this.writeQueue.then(async () => {
+      await fs.mkdir(this.dataDir, { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tmpPath, snapshot);
+      await fs.rename(tmpPath, this.filePath);
+    }).catch((error) => {
+      console.error('❌ [SCHEDULE] Failed to save schedule:', error);
+    });
+    return this.writeQueue;
+  }
+
+  start() {
+    this.stop();
+    this.timer = setInterval(() => this.check(), this.checkInterval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Work out what should be on air at a given moment
+   */
+  resolve(date = new Date()) {
+    const now = date.getTime();
+
+    // One-off events win; if several overlap the most recently started one wins
+    const event = this.events
+      .filter(e => Date.parse(e.start) <= now && now < Date.parse(e.end))
+      .sort((a, b) => Date.parse(b.start) - Date.parse(a.start))[0];
+    if (event) {
+      return { kind: 'event', id: event.id, name: event.name, content: event.content };
+    }
+
+    const { day, minutes } = zonedTime(date, this.timezone);
+    const previousDay = (day + 6) % 7;
+    const slot = this.slots.find((s) => {
+      const start = parseClock(s.start);
+      const end = parseClock(s.end);
+      if (end > start) {
+        return s.days.includes(day) && minutes >= start && minutes < end;
+      }
+      // Overnight slot (e.g. 22:00-02:00) belongs to the day it starts on
+      return (s.days.includes(day) && minutes >= start) || (s.days.includes(previousDay) && minutes < end);
+    });
+    if (slot) {
+      return { kind: 'slot', id: slot.id, name: slot.name, content: slot.content };
+    }
+
+    return { kind: 'default', id: 'default', name: 'Default', content: this.defaultContent };
+  }
+
+  /**
+   * Re-evaluate the schedule and announce a change of program
+   */
+  check() {
+    const next = this.resolve();
+    if (this.current && next.kind === this.current.kind && next.id === this.current.id) {
+      return;
+    }
+    const previous = this.current;
+    this.current = next;
+    console.log(`📅 [SCHEDULE] Now on air: ${next.name} (${next.kind})${previous ? ` - was ${previous.name}` : ''}`);
+    this.emit('change', next, previous);
+  }
+
+  pruneEvents(now = Date.now()) {
+    const before = this.events.length;
+    this.events = this.events.filter(e => Date.parse(e.end) > now);
+    return before - this.events.length;
+  }
+
+  getSchedule() {
+    return {
+      timezone: this.timezone,
+      default: this.defaultContent,
+      slots: this.slots,
+      events: this.events,
+      current: this.current
+    };
+  }
+
+  async commit() {
+    this.pruneEvents();
+    await this.save();
+    this.check();
+  }
+
+  async setDefault(content) {
+    this.defaultContent = content;
+    // Re-announce if the default is what's on air now
+    if (this.current && this.current.kind === 'default') {
+      this.current = null;
+    }
+    await this.commit();
+  }
+
+  async setTimezone(timezone) {
+    this.timezone = timezone;
+    await this.commit();
+  }
+
+  async addSlot(slot) {
+    const entry = { id: randomUUID(), ...slot };
+    this.slots.push(entry);
+    await this.commit();
+    console.log(`📅 [SCHEDULE] Added weekly slot "${entry.name}" ${entry.days.map(d => WEEKDAYS[d]).join(',')} ${entry.start}-${entry.end}`);
+    return entry;
+  }
+
+  async removeSlot(id) {
+    const slot = this.slots.find(s => s.id === id);
+    if (!slot) {
+      return null;
+    }
+    this.slots = this.slots.filter(s => s.id !== id);
+    await this.commit();
+    console.log(`📅 [SCHEDULE] Removed weekly slot "${slot.name}"`);
+    return slot;
+  }
+
+  async addEvent(event) {
+    const entry = { id: randomUUID(), ...event };
+    this.events.push(entry);
+    await this.commit();
+    console.log(`📅 [SCHEDULE] Added event "${entry.name}" ${entry.start} - ${entry.end}`);
+    return entry;
+  }
+
+  async removeEvent(id) {
+    const event = this.events.find(e => e.id === id);
+    if (!event) {
+      return null;
+    }
+    this.events = this.events.filter(e => e.id !== id);
+    await this.commit();
+    console.log(`📅 [SCHEDULE] Removed event "${event.name}"`);
+    return event;
+  }
+}
@@ -10,17 +10,44 @@ import express from 'express';
 import cors from 'cors';
 import { createServer } from 'http';
 import { Server as SocketIOServer } from 'socket.io';
-import { HLSServer } from './hlsServer.js';
-import { AutoDJ } from './autoDJ.js';
+import { createPlaylistRouter } from './playlistApi.js';
+import { createScheduleRouter } from './scheduleApi.js';
+import { ApiKeyStore, SessionStore, can, createSocketAuth, requirePermission } from './auth.js';
+import { createKeysRouter } from './keysApi.js';
+import { ListenerStats } from './listenerStats.js';
+import { createRecordingsRouter } from './recordingsApi.js';
+import { parseProcessing } from './audioProcessing.js';
+import { TrackGainCache } from './trackGain.js';
+import { MediaLibrary } from './mediaLibrary.js';
+import { createMediaRouter } from './mediaApi.js';
+import { Channel } from './channel.js';
+import { ChannelStore, MAIN_CHANNEL } from './channelStore.js';
+import { createChannelsRouter } from './channelsApi.js';
+import { createStreamRouter } from './streamApi.js';
+import { createAdminRouter } from './adminApi.js';
+import { createInsertionsRouter } from './insertionsApi.js';
+import { FailoverManager } from './failover.js';
+import { createFailoverRouter } from './failoverApi.js';
+import { UrlSigner } from './signedUrls.js';
+import { createStreamUrlsRouter } from './streamUrlsApi.js';
+import { LiveDecoder, parseSocketFormat, socketInputArgs } from './liveIngest.js';
+import { IcecastSourceServer } from './icecastSource.js';
+import { toPCMBuffer } from './hlsServer.js';
+import { EventBus } from './eventBus.js';
+import { WebhookStore, WebhookDispatcher } from './webhooks.js';
+import { createWebhooksRouter } from './webhooksApi.js';
 
 const app = express();
 const PORT = parseInt(process.env.PORT || '8081', 10);
 
+// Behind Railway's proxy - use X-Forwarded-For so listener IPs are real
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY || '1', 10));
+
 // Middleware - WIDE OPEN CORS for streaming (public content)
 app.use(cors({
   origin: '*',
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
   credentials: false
 }));
 app.use(express.json());
@@ -31,15 +58,160 @@ const httpServer = createServer(app);
 // Initialize Socket.IO (for receiving audio from main app)
 const io = new SocketIOServer(httpServer, {
   cors: {
-    origin: '*', // Accept from any origin (secure with API keys in production)
+    origin: '*', // Any origin - every socket must still present an API key
     methods: ['GET', 'POST']
   },
   maxHttpBufferSize: 1e8 // 100MB for audio data
 });
 
-// Initialize services
-const hlsServer = new HLSServer();
-const autoDJ = new AutoDJ(hlsServer);
+// Initialize shared services (every channel uses the same keys, media library and gain cache)
+const processing = parseProcessing();
+const gainCache = new TrackGainCache({
+  target: processing.loudness.target,
+  peakCeiling: processing.loudness.truePeak
+});
+const mediaLibrary = new MediaLibrary();
+const keyStore = new ApiKeyStore();
+const sessions = new SessionStore(keyStore);
+const listenerStats = new ListenerStats();
+const channelStore = new ChannelStore();
+const signer = new UrlSigner();  // Signed, expiring stream URLs (STREAM_SIGNING_SECRET)
+
+// Stream state changes from every channel, delivered to the configured webhooks
+const events = new EventBus();
+const webhookStore = new WebhookStore();
+const webhooks = new WebhookDispatcher(webhookStore, events);
+listenerStats.on('peak', (peak) => events.publish('listeners.peak', null, peak));
+
+// Channels by id - "main" is served at the root URLs as well as /channels/main
+const channels = new Map();
+const channelRouters = new Map();  // id -> { stream, api }
+const channelRoom = (id) => `channel:${id}`;
+
+// Hot standby (FAILOVER_ROLE) - a standby mirrors the active instance and starts no channels until it takes over
+const failover = new FailoverManager(channels, { store: channelStore });
+
+// Public now-playing feed (no key needed - listeners' apps connect here).
+// Connect with `?channel=<id>` for a channel other than main.
+const nowPlayingFeed = io.of('/now-playing');
+nowPlayingFeed.on('connection', (socket) => {
+  const channel = channels.get(socket.handshake.query.channel || MAIN_CHANNEL);
+  if (!channel) {
+    socket.disconnect(true);
+    return;
+  }
+  socket.join(channel.id);
+  socket.emit('now-playing', channel.nowPlaying.current);
+});
+
+// Management API (requires an admin key)
+const requireAdmin = requirePermission(keyStore, 'manage');
+// Signed stream URLs for our apps (admin or player key)
+const requireSigner = requirePermission(keyStore, 'sign');
+
+// Encoders (Icecast source clients, RTMP publishers) present a key that can send live audio
+const authenticateIngest = (key) => {
+  const identity = keyStore.authenticate(key);
+  return identity && can(identity.role, 'live-audio') ? identity : null;
+};
+const icecastSource = new IcecastSourceServer({ channels, authenticate: authenticateIngest });
+
+/**
+ * Create a channel with its routes and socket announcements
+ */
+function addChannel(definition) {
+  const channel = new Channel(definition, { gainCache, mediaLibrary, authenticate: authenticateIngest });
+  if (channel.access === 'signed' && !signer.configured) {
+    console.warn(`⚠️  Channel "${channel.id}" needs signed URLs but STREAM_SIGNING_SECRET is not set - its stream will refuse every request`);
+  }
+
+  channel.on('now-playing', (item) => {
+    nowPlayingFeed.to(channel.id).emit('now-playing', item);
+    if (item.type === 'track') {
+      const { title, show, host, duration, trackId } = item;
+      events.publish('track.changed', channel.id, { title, show, host, duration, trackId });
+    }
+  });
+  channel.on('dead-air', (alert) => {
+    io.to(channelRoom(channel.id)).emit('dead-air', { ...alert, channel: channel.id });
+    events.publish('dead-air.started', channel.id, alert);
+  });
+  channel.on('dead-air-recovered', (info) => {
+    io.to(channelRoom(channel.id)).emit('dead-air-recovered', { ...info, channel: channel.id });
+    events.publish('dead-air.recovered', channel.id, info);
+  });
+  channel.on('live-started', (show) => events.publish('live.started', channel.id, show));
+  channel.on('live-stopped', (show) => events.publish('live.stopped', channel.id, show));
+  channel.on('process-failure', ({ name, reason, delay, consecutiveFailures }) => {
+    events.publish('encoder.failed', channel.id, { process: name, reason, restartIn: delay, consecutiveFailures });
+  });
+  channel.on('process-restart', ({ name, restarts }) => {
+    events.publish('encoder.restarted', channel.id, { process: name, restarts });
+  });
+
+  const api = express.Router();
+  api.use(createScheduleRouter({ scheduler: channel.scheduler, playlistStore: channel.playlistStore, auth: requireAdmin }));
+  api.use(createPlaylistRouter({ store: channel.playlistStore, autoDJ: channel.autoDJ, library: mediaLibrary, auth: requireAdmin }));
+  api.use(createRecordingsRouter({ recorder: channel.recorder, playlistStore: channel.playlistStore, gainCache, auth: requireAdmin }));
+  api.use(createInsertionsRouter({ insertions: channel.insertions, playlistStore: channel.playlistStore, auth: requireAdmin }));
+  api.use(createStreamUrlsRouter({ channel, signer, auth: requireSigner }));
+
+  channels.set(channel.id, channel);
+  channelRouters.set(channel.id, {
+    stream: createStreamRouter({ channel, listenerStats, signer }),
+    api
+  });
+  return channel;
+}
+
+const main = addChannel({ id: MAIN_CHANNEL });
+
+// Channels created/removed through the API start and stop right away
+channelStore.on('create', (definition) => {
+  const channel = addChannel(definition);
+  if (failover.isStandby()) {
+    return;
+  }
+  channel.start().catch((error) => {
+    console.error(`❌ [CHANNELS] Failed to start "${definition.id}":`, error);
+  });
+});
+
+/**
+ * Take a channel's routes and sockets off this server straight away; resolves
+ * once its players have stopped (a standby has none running)
+ */
+function removeChannel(id) {
+  const channel = channels.get(id);
+  if (!channel) {
+    return Promise.resolve();
+  }
+  channels.delete(channel.id);
+  channelRouters.delete(channel.id);
+  io.in(channelRoom(channel.id)).disconnectSockets(true);
+  nowPlayingFeed.in(channel.id).disconnectSockets(true);
+  if (failover.isStandby()) {
+    return Promise.resolve();
+  }
+  return channel.stop().catch((error) => {
+    console.error(`❌ [CHANNELS] Error stopping "${channel.id}":`, error);
+  });
+}
+
+channelStore.on('delete', (definition) => removeChannel(definition.id));
+
+// Definition changed (following a failover peer) - rebuild the channel with its new settings
+channelStore.on('update', async (definition) => {
+  const stopped = removeChannel(definition.id);
+  const channel = addChannel(definition);
+  if (failover.isStandby()) {
+    return;
+  }
+  await stopped;  // The old players let go of the ports and segment directories first
+  channel.start().catch((error) => {
+    console.error(`❌ [CHANNELS] Failed to restart "${definition.id}":`, error);
+  });
+});
 
 // Health check
 app.get('/health', (req, res) => {
@@ -49,135 +221,289 @@ app.get('/health', (req, res) => {
     status: 'ok',
     service: 'AudioRoad Streaming Server',
     timestamp: new Date().toISOString(),
-    streaming: hlsServer.isStreaming(),
-    autoDJ: autoDJ.isPlaying()
+    ...main.getStatus(),
+    channels: Object.fromEntries([...channels.values()].map(channel => [channel.id, {
+      name: channel.name,
+      streaming: channel.hlsServer.isStreaming(),
+      autoDJ: channel.autoDJ.isPlaying(),
+      live: channel.hlsServer.liveMode,
+      onAir: channel.onAir.state
+    }])),
+    failover: failover.getStatus()
   });
 });
 
-// Get HLS playlist
-app.get('/live.m3u8', async (req, res) => {
-  try {
-    const playlist = await hlsServer.getPlaylist();
-    res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.send(playlist);
-  } catch (error) {
-    console.error('Error serving playlist:', error);
-    res.status(503).send('Stream offline');
+// Listener-facing routes: the main channel at the root, every channel under /channels/:id
+app.use(channelRouters.get(MAIN_CHANNEL).stream);
+app.use('/channels/:channelId', (req, res, next) => {
+  const routers = channelRouters.get(req.params.channelId);
+  if (!routers) {
+    return res.status(404).send('Channel not found');
   }
+  routers.stream(req, res, next);
 });
 
-// Get HLS segment
-app.get('/segment-:number.ts', async (req, res) => {
-  try {
-    const segment = await hlsServer.getSegment(req.params.number);
-    res.setHeader('Content-Type', 'video/mp2t');
-    res.setHeader('Cache-Control', 'public, max-age=60');
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.send(segment);
-  } catch (error) {
-    console.error('Error serving segment:', error);
-    res.status(404).send('Segment not found');
+// Listener stats for dashboards
+app.get('/stats', requireAdmin, (req, res) => {
+  res.json(listenerStats.getStats());
+});
+
+// Prometheus scrape endpoint (configure the scrape job with an admin bearer token)
+app.get('/metrics', requireAdmin, (req, res) => {
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4');
+  res.send(listenerStats.getMetrics({
+    audioroad_streaming: { help: 'HLS encoder running (1/0)', value: main.hlsServer.isStreaming() ? 1 : 0 },
+    audioroad_autodj_playing: { help: 'Auto DJ playing (1/0)', value: main.autoDJ.isPlaying() ? 1 : 0 },
+    audioroad_channels: { help: 'Channels running', value: channels.size }
+  }));
+});
+
+// The standby polls these (with an admin key) to mirror segments and notice the primary is gone
+app.use(createFailoverRouter({ failover, channels, auth: requireAdmin }));
+
+// A standby hasn't loaded its channels' playlists or schedules - manage the active instance
+app.use(['/api', '/admin/api'], (req, res, next) => {
+  if (failover.isStandby()) {
+    return res.status(503).json({ error: 'This instance is the standby - use the active one' });
+  }
+  next();
+});
+
+// Admin panel (log in with an admin key)
+app.use(createAdminRouter({ sessions, channels, listenerStats, signer }));
+
+app.use('/api', createChannelsRouter({ store: channelStore, channels, auth: requireAdmin }));
+app.use('/api/channels/:channelId', (req, res, next) => {
+  const routers = channelRouters.get(req.params.channelId);
+  if (!routers) {
+    return res.status(404).json({ error: 'Channel not found' });
+  }
+  routers.api(req, res, next);
+});
+app.use('/api', channelRouters.get(MAIN_CHANNEL).api);
+app.use('/api', createKeysRouter({ keyStore, auth: requireAdmin }));
+app.use('/api', createWebhooksRouter({ store: webhookStore, dispatcher: webhooks, auth: requireAdmin }));
+app.use('/api', createMediaRouter({ library: mediaLibrary, channels, gainCache, auth: requireAdmin }));
+
+// Socket.IO auth - reject any socket without a valid key
+io.use(createSocketAuth(keyStore));
+
+// Each socket broadcasts to one channel: `io(url, { auth: { token, channel } })` (default main)
+io.use((socket, next) => {
+  if (failover.isStandby()) {
+    return next(new Error('standby'));  // Broadcasters retry the other instance
+  }
+  const id = socket.handshake.auth.channel || socket.handshake.query.channel || MAIN_CHANNEL;
+  if (!channels.has(id)) {
+    return next(new Error('unknown channel'));
+  }
+  socket.data.channel = id;
+  next();
+});
+
+// Drop sockets whose key was revoked
+keyStore.on('change', () => {
+  for (const socket of io.sockets.sockets.values()) {
+    if (!keyStore.has(socket.data.auth.id)) {
+      console.warn(`🔑 [AUTH] Disconnecting ${socket.id} - key ${socket.data.auth.id} was revoked`);
+      socket.disconnect(true);
+    }
   }
 });
 
 // Socket.IO handlers
 io.on('connection', (socket) => {
-  console.log(`🔌 Client connected: ${socket.id}`);
+  const { role, id: keyId } = socket.data.auth;
+  const channelId = socket.data.channel;
+  socket.join(channelRoom(channelId));
+  console.log(`🔌 Client connected: ${socket.id} (${role} key ${keyId}, channel ${channelId})`);
+
+  // The channel may be deleted while we're connected
+  const channel = () => channels.get(channelId);
 
-  // Receive live audio from main app
+  // A broadcaster that dropped mid-show picks it back up
+  if (can(role, 'live-start')) {
+    channel().broadcasterBack({ socket: socket.id, key: keyId });
+  }
+
+  // Check the socket's role before handling an event
+  const denied = new Set();
+  const allowed = (action) => {
+    if (can(role, action)) {
+      return true;
+    }
+    // Only log the first denial per event so live-audio can't flood the logs
+    if (!denied.has(action)) {
+      denied.add(action);
+      console.warn(`🚫 [AUTH] ${socket.id} (${role}) is not allowed to send ${action}`);
+    }
+    return false;
+  };
+
+  // Receive live audio from main app - raw f32le 48kHz stereo unless the
+  // socket declared another format with live-format (then FFmpeg decodes it)
   let liveAudioCount = 0;
   let lastLiveLog = Date.now();
-  
+  let format = parseSocketFormat();
+  let decoder = null;
+
+  const deliver = (audioData) => {
+    const target = channel();
+    if (!target) {
+      return false;
+    }
+    if (target.liveAudio(audioData)) {
+      return true;
+    }
+    if (target.ingest && !denied.has('encoder')) {
+      denied.add('encoder');
+      console.warn(`⚠️ [LIVE AUDIO] Dropping audio from ${socket.id} - a ${target.ingest.source.type} encoder is on air (${channelId})`);
+    }
+    return false;
+  };
+
+  const stopDecoder = () => {
+    const current = decoder;
+    decoder = null;
+    if (current) {
+      current.stop();
+    }
+  };
+
+  // { format: 'webm' | 'ogg' | 's16le' | 'f32le', sampleRate?, channels? } - before the first
+  // chunk, and again whenever the recorder restarts (WebM and Ogg chunks need their header)
+  socket.on('live-format', (declaration, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    if (!allowed('live-audio') || !channel()) {
+      return respond({ error: 'Not allowed' });
+    }
+    const parsed = parseSocketFormat(declaration);
+    if (parsed.error) {
+      return respond({ error: parsed.error });
+    }
+    stopDecoder();
+    format = parsed;
+    if (!parsed.passthrough) {
+      const current = new LiveDecoder(`socket ${socket.id}`, socketInputArgs(parsed));
+      current.on('audio', deliver);
+      current.on('exit', ({ error }) => {
+        if (decoder !== current) {
+          return;  // Replaced or stopped on purpose
+        }
+        decoder = null;
+        console.warn(`⚠️ [LIVE AUDIO] Decoder for ${socket.id} stopped${error ? `: ${error}` : ''} - waiting for live-format`);
+        socket.emit('live-format-error', { error: error || 'Decoder stopped' });
+      });
+      decoder = current.start();
+    }
+    console.log(`📡 [LIVE AUDIO] ${socket.id} sends ${parsed.format} ${parsed.sampleRate}Hz ${parsed.channels === 1 ? 'mono' : 'stereo'} (${channelId})`);
+    respond({ ok: true, format: parsed });
+  });
+
   socket.on('live-audio', (audioData) => {
-    if (hlsServer.isStreaming()) {
-      liveAudioCount++;
-      
-      // Log every 5 seconds to confirm live audio is flowing
-      const now = Date.now();
-      if (now - lastLiveLog > 5000) {
-        console.log(`📡 [LIVE AUDIO] Received ${liveAudioCount} chunks in last 5 seconds`);
-        liveAudioCount = 0;
-        lastLiveLog = now;
+    if (!allowed('live-audio') || !channel()) {
+      return;
+    }
+    if (format.passthrough) {
+      if (!deliver(audioData)) {
+        return;
+      }
+    } else {
+      const buffer = toPCMBuffer(audioData);
+      if (!decoder || !buffer) {
+        return;  // Decoder died - the client has to send live-format again
       }
-      
-      // Process as live audio (not Auto DJ)
-      hlsServer.processAudio(audioData, 'live');
+      decoder.write(buffer);
+    }
+    liveAudioCount++;
+
+    // Log every 5 seconds to confirm live audio is flowing
+    const now = Date.now();
+    if (now - lastLiveLog > 5000) {
+      console.log(`📡 [LIVE AUDIO] Received ${liveAudioCount} chunks in last 5 seconds (${channelId})`);
+      liveAudioCount = 0;
+      lastLiveLog = now;
     }
   });
 
-  // Live show starting - pause Auto DJ
-  socket.on('live-start', async () => {
-    console.log('📡 [LIVE] Live show starting - pausing Auto DJ...');
+  // Live show starting - see Channel.liveStart for the options
+  socket.on('live-start', async (info = {}) => {
+    if (!allowed('live-start') || !channel()) {
+      return;
+    }
     try {
-      // CRITICAL: Set live mode lock IMMEDIATELY (before anything else)
-      if (autoDJ) {
-        autoDJ.liveModeActive = true;
-        console.log('🔒 [LIVE] Auto DJ locked - cannot restart');
-      }
-      
-      // Stop Auto DJ
-      if (autoDJ && autoDJ.isPlaying()) {
-        await autoDJ.stop();
-        console.log('✅ [LIVE] Auto DJ stopped');
-      }
-      
-      // Wait for Auto DJ audio to finish draining
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      // Switch HLS to live mode (blocks any remaining Auto DJ chunks)
-      hlsServer.setLiveMode(true);
-      console.log('✅ [LIVE] HLS switched to LIVE mode - ready for live audio');
-      
+      await channel().liveStart(info && typeof info === 'object' ? info : {}, { socket: socket.id, key: keyId });
     } catch (error) {
-      console.error('❌ [LIVE] Error stopping Auto DJ:', error);
+      console.error('❌ [LIVE] Error starting live show:', error);
     }
   });
 
-  // Track last live-stop to prevent duplicates
-  let lastLiveStop = 0;
-  
-  // Live show ended - resume Auto DJ
+  // Music bed under the live show: { playlist } (defaults to MUSIC_BED_PLAYLIST)
+  socket.on('bed-start', async (info = {}) => {
+    if (!allowed('bed') || !channel()) {
+      return;
+    }
+    try {
+      await channel().bedStart((info && info.playlist) || undefined);
+    } catch (error) {
+      console.error('❌ [BED] Error starting music bed:', error);
+    }
+  });
+
+  socket.on('bed-stop', async () => {
+    if (!allowed('bed') || !channel()) {
+      return;
+    }
+    console.log('🎼 [BED] Music bed off');
+    try {
+      await channel().bedStop();
+    } catch (error) {
+      console.error('❌ [BED] Error stopping music bed:', error);
+    }
+  });
+
+  // Live show ended - resume Auto DJ (repeats are ignored once the show is off air)
   socket.on('live-stop', async () => {
-    // Debounce: Ignore if we just processed a live-stop within 2 seconds
-    const now = Date.now();
-    if (now - lastLiveStop < 2000) {
-      console.log('⚠️ [LIVE] Ignoring duplicate live-stop signal');
+    if (!allowed('live-stop') || !channel()) {
       return;
     }
-    lastLiveStop = now;
-    
-    console.log('📴 [LIVE] Live show ended - resuming Auto DJ...');
     try {
-      // Switch HLS back to Auto DJ mode
-      hlsServer.setLiveMode(false);
-      
-      // Wait a moment for any buffered live audio to finish
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      // Clear live mode lock BEFORE resuming Auto DJ
-      if (autoDJ) {
-        autoDJ.liveModeActive = false;  // Allow Auto DJ to start again
-      }
-      
-      // Resume Auto DJ ONLY if it's not already playing
-      if (autoDJ && !autoDJ.isPlaying()) {
-        await autoDJ.start();
-        console.log('✅ [LIVE] Auto DJ resumed');
-      } else if (autoDJ && autoDJ.isPlaying()) {
-        console.log('⚠️ [LIVE] Auto DJ already playing - not restarting');
-      }
+      await channel().liveStop();
     } catch (error) {
-      console.error('❌ [LIVE] Error resuming Auto DJ:', error);
+      console.error('❌ [LIVE] Error ending live show:', error);
     }
   });
 
   socket.on('disconnect', () => {
+    stopDecoder();
+    // Broadcaster gone without live-stop - the show ends unless they're back in time
+    if (channel()) {
+      channel().broadcasterLost(socket.id);
+    }
     console.log(`🔌 Client disconnected: ${socket.id}`);
   });
 });
 
+/**
+ * Start the main channel, then any extra channels. `takeover` maps channel
+ * id -> where a failed primary's segments left off.
+ */
+async function startChannels(takeover = {}) {
+  await main.start(takeover[MAIN_CHANNEL]);
+  console.log('✅ Main channel started');
+  for (const channel of channels.values()) {
+    if (channel === main) {
+      continue;
+    }
+    try {
+      await channel.start(takeover[channel.id]);
+    } catch (error) {
+      console.error(`❌ [CHANNELS] Failed to start "${channel.id}":`, error);
+    }
+  }
+  icecastSource.start();
+}
+
 // Start server
 async function start() {
   try {
@@ -185,19 +511,42 @@ async function start() {
     console.log(`📡 Port: ${PORT}`);
     console.log(`🌍 Environment: ${process.env.NODE_ENV}`);
 
-    // Start HLS server
-    await hlsServer.start();
-    console.log('✅ HLS server started');
+    // Load API keys and the shared media library, then every channel's playlists and schedule
+    listenerStats.start();
+    await keyStore.load();
+    keyStore.watch();
+    await gainCache.load();
+    await mediaLibrary.load();
+    await webhookStore.load();
+    webhooks.start();
+    if (keyStore.envKeys().length === 0 && keyStore.list().length === 0) {
+      console.warn('⚠️  No API keys configured - set API_KEY; all ingest and management requests will be rejected');
+    }
+
+    for (const definition of await channelStore.load()) {
+      addChannel(definition);
+    }
 
-    // Start Auto DJ
-    await autoDJ.start();
-    console.log('✅ Auto DJ started');
+    // A standby starts its channels when it takes over, continuing the primary's segments
+    failover.on('promote', (takeover) => {
+      startChannels(takeover).catch((error) => {
+        console.error('❌ [FAILOVER] Failed to take over:', error);
+      });
+    });
+    if (await failover.start() !== 'standby') {
+      await startChannels();
+    }
 
     // Start HTTP server
     httpServer.listen(PORT, '0.0.0.0', () => {
       console.log(`\n✅ Streaming server running on port ${PORT}`);
       console.log(`📊 HLS stream: http://localhost:${PORT}/live.m3u8`);
-      console.log(`🎵 Auto DJ: ${autoDJ.isPlaying() ? 'Playing' : 'Stopped'}\n`);
+      for (const channel of channels.values()) {
+        if (channel !== main) {
+          console.log(`📺 ${channel.name}: http://localhost:${PORT}/channels/${channel.id}/live.m3u8`);
+        }
+      }
+      console.log(`🎵 Auto DJ: ${main.autoDJ.isPlaying() ? 'Playing' : failover.isStandby() ? 'Standby' : 'Stopped'}\n`);
     });
   } catch (error) {
     console.error('❌ Failed to start server:', error);
@@ -209,8 +558,15 @@ async function start() {
 process.on('SIGTERM', async () => {
   console.log('🛑 SIGTERM received, shutting down gracefully...');
   
-  await autoDJ.stop();
-  await hlsServer.stop();
+  listenerStats.stop();
+  failover.stop();
+  icecastSource.stop();
+  webhooks.stop();
+  if (!failover.isStandby()) {
+    for (const channel of channels.values()) {
+      await channel.stop();
+    }
+  }
   
   httpServer.close(() => {
     console.log('✅ Server closed');
@@ -219,4 +575,3 @@ process.on('SIGTERM', async () => {
 });
 
 start();
-
@@ -0,0 +1,214 @@
+/**
+ * Stream routes
+ * What listeners fetch for one channel: HLS (live, low-latency and DVR),
+ * Icecast-style streams and now playing
+ *
+ * The main channel is mounted at `/` and every channel at `/channels/:id`,
+ * so the same relative URLs work under either.
+ *
+ * Channels with `access: 'signed'` only serve HMAC-signed URLs (see
+ * signedUrls.js); encrypted channels serve AES-128 segments and their keys.
+ */
+
+import express from 'express';
+import { KEY_ID } from './hlsEncryption.js';
+
+// What a signed channel protects (now playing stays public). Case-insensitive
+// like Express routing, so /LIVE.m3u8 can't slip past the signature check.
+const SIGNED_PATHS = /^\/(live\.m3u8|live\/|dvr\.m3u8|stream\.|segment-)/i;
+
+/**
+ * Parse an LL-HLS `_HLS_msn`/`_HLS_part` query value (null if absent, NaN if invalid)
+ */
+function hlsQueryNumber(value) {
+  if (value == null) {
+    return null;
+  }
+  return /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+}
+
+export function createStreamRouter({ channel, listenerStats, signer }) {
+  // Exact-case routes: a signed URL only works with the casing it was signed for
+  const router = express.Router({ caseSensitive: true });
+  const { hlsServer, icecastStreams, nowPlaying } = channel;
+  const record = (req, kind, bytes = 0, rendition = null) => listenerStats.record(req, kind, bytes, rendition, channel.id);
+
+  // Signed channels reject anything without a valid, unexpired signature
+  router.use((req, res, next) => {
+    if (channel.access !== 'signed' || !SIGNED_PATHS.test(req.path)) {
+      return next();
+    }
+    const reason = signer.verify(req.baseUrl + req.path, req.query);
+    if (reason) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      return res.status(403).send(`Forbidden - ${reason}`);
+    }
+    next();
+  });
+
+  // Key tags for encrypted media playlists, then sign every URI with the request's expiry
+  const finish = (req, playlist, { media = false } = {}) => {
+    const keyed = media && channel.encryption ? channel.encryption.addKeyTags(playlist) : playlist;
+    return channel.access === 'signed' ? signer.signPlaylist(keyed, req.baseUrl + req.path, req.query.exp) : keyed;
+  };
+  const protect = (segment, number) => (channel.encryption ? channel.encryption.encrypt(segment, parseInt(number, 10)) : segment);
+
+  // Get HLS master playlist (lists every rendition)
+  router.get('/live.m3u8', async (req, res) => {
+    try {
+      const playlist = await hlsServer.getMasterPlaylist();
+      res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.send(finish(req, playlist));
+      record(req, 'playlist');
+    } catch (error) {
+      console.error('Error serving master playlist:', error);
+      res.status(503).send('Stream offline');
+    }
+  });
+
+  // Get a rendition's media playlist (LL-HLS blocking reload with ?_HLS_msn=&_HLS_part=)
+  router.get('/live/:rendition/playlist.m3u8', async (req, res) => {
+    const msn = hlsQueryNumber(req.query._HLS_msn);
+    const part = hlsQueryNumber(req.query._HLS_part);
+    if (Number.isNaN(msn) || Number.isNaN(part) || (part !== null && msn === null)) {
+      return res.status(400).send('Invalid _HLS_msn/_HLS_part');
+    }
+    try {
+      const playlist = await hlsServer.getPlaylist(req.params.rendition, { msn, part });
+      res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.send(finish(req, playlist, { media: true }));
+      record(req, 'playlist', 0, req.params.rendition);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).send(error.message);
+      }
+      console.error('Error serving playlist:', error);
+      res.status(503).send('Stream offline');
+    }
+  });
+
+  // LL-HLS partial segment (blocks until available when it's the preload hint)
+  router.get('/live/:rendition/part-:msn(\\d+).:part(\\d+).ts', async (req, res) => {
+    try {
+      const part = await hlsServer.getPart(parseInt(req.params.msn, 10), parseInt(req.params.part, 10), req.params.rendition);
+      res.setHeader('Content-Type', 'video/mp2t');
+      res.setHeader('Cache-Control', 'public, max-age=60');
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.send(part);
+      record(req, 'segment', part.length, req.params.rendition);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).send(error.message);
+      }
+      console.error('Error serving part:', error);
+      res.status(404).send('Part not found');
+    }
+  });
+
+  // Get a rendition's HLS segment
+  router.get('/live/:rendition/segment-:number.ts', async (req, res) => {
+    try {
+      const segment = protect(await hlsServer.getSegment(req.params.number, req.params.rendition), req.params.number);
+      res.setHeader('Content-Type', 'video/mp2t');
+      res.setHeader('Cache-Control', 'public, max-age=60');
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.send(segment);
+      record(req, 'segment', segment.length, req.params.rendition);
+    } catch (error) {
+      console.error('Error serving segment:', error);
+      res.status(404).send('Segment not found');
+    }
+  });
+
+  // DVR master playlist - ?start= ISO time, unix seconds, -seconds from now, or "show"
+  router.get('/dvr.m3u8', (req, res) => {
+    try {
+      const playlist = hlsServer.getDVRMasterPlaylist(req.query.start);
+      res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.send(finish(req, playlist));
+      record(req, 'playlist');
+    } catch (error) {
+      console.error('Error serving DVR master playlist:', error.message);
+      res.status(503).send('DVR unavailable');
+    }
+  });
+
+  // DVR media playlist for one rendition (segments share the live segment route)
+  router.get('/live/:rendition/dvr.m3u8', (req, res) => {
+    try {
+      const playlist = hlsServer.getDVRPlaylist(req.params.rendition, req.query.start);
+      res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.send(finish(req, playlist, { media: true }));
+      record(req, 'playlist', 0, req.params.rendition);
+    } catch (error) {
+      console.error('Error serving DVR playlist:', error.message);
+      res.status(503).send('DVR unavailable');
+    }
+  });
+
+  // AES-128 key for an encrypted channel's segments
+  router.get('/live/:rendition/key-:keyId.key', (req, res) => {
+    if (!channel.encryption || !KEY_ID.test(req.params.keyId)) {
+      return res.status(404).send('Key not found');
+    }
+    res.setHeader('Content-Type', 'application/octet-stream');
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.send(channel.encryption.key(req.params.keyId));
+  });
+
+  // Icecast/SHOUTcast-style stream (send `Icy-MetaData: 1` for titles)
+  router.get('/stream.:format(mp3|aac)', (req, res) => {
+    const stream = icecastStreams[req.params.format];
+    if (!stream) {
+      return res.status(404).send('Stream not available');
+    }
+    const format = req.params.format;
+    const client = stream.addClient(req, res);
+    record(req, 'stream', 0, format);
+
+    // Long-lived connection - report progress so the session doesn't time out
+    let reported = 0;
+    const report = () => {
+      record(req, 'stream', client.bytes - reported, format);
+      reported = client.bytes;
+    };
+    const timer = setInterval(report, 10000);
+    res.on('close', () => {
+      clearInterval(timer);
+      report();
+    });
+  });
+
+  // Legacy segment URL - serves the highest quality rendition
+  router.get('/segment-:number.ts', async (req, res) => {
+    try {
+      const segment = protect(await hlsServer.getSegment(req.params.number), req.params.number);
+      res.setHeader('Content-Type', 'video/mp2t');
+      res.setHeader('Cache-Control', 'public, max-age=60');
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.send(segment);
+      record(req, 'segment', segment.length, hlsServer.defaultRendition.name);
+    } catch (error) {
+      console.error('Error serving segment:', error);
+      res.status(404).send('Segment not found');
+    }
+  });
+
+  // What's on air now plus recent history (public)
+  router.get('/now-playing', (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.json(nowPlaying.get());
+  });
+
+  return router;
+}
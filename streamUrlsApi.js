@@ -0,0 +1,39 @@
+/**
+ * Stream URLs API
+ * Signed, expiring listener URLs for a channel - for our own apps' backends
+ * (needs a key with the "sign" permission: admin or player)
+ */
+
+import express from 'express';
+import { MAIN_CHANNEL } from './channelStore.js';
+
+const MAX_TTL = 7 * 24 * 3600;
+
+export function createStreamUrlsRouter({ channel, signer, auth }) {
+  const router = express.Router();
+  router.use('/stream-urls', auth);
+
+  // { ttl? } seconds (default STREAM_URL_TTL) -> signed HLS, DVR and Icecast URLs
+  router.post('/stream-urls', (req, res) => {
+    if (!signer.configured) {
+      return res.status(503).json({ error: 'STREAM_SIGNING_SECRET is not set' });
+    }
+    const ttl = req.body && req.body.ttl != null ? req.body.ttl : signer.ttl;
+    if (!Number.isInteger(ttl) || ttl < 1 || ttl > MAX_TTL) {
+      return res.status(400).json({ error: `ttl must be a whole number of seconds from 1 to ${MAX_TTL}` });
+    }
+    const expires = Math.floor(Date.now() / 1000) + ttl;
+    const base = channel.id === MAIN_CHANNEL ? '' : `/channels/${channel.id}`;
+    const sign = (file) => signer.signUrl(`${base}/${file}`, expires);
+    res.json({
+      channel: channel.id,
+      access: channel.access,
+      expiresAt: new Date(expires * 1000).toISOString(),
+      hls: sign('live.m3u8'),
+      dvr: sign('dvr.m3u8'),
+      streams: Object.fromEntries(Object.keys(channel.icecastStreams).map(format => [format, sign(`stream.${format}`)]))
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { ApiKeyStore } from '../auth.js';
+
+console.log = () => {};
+const warnings = [];
+console.warn = message => warnings.push(message);
+
+test('a hand-edited key with a malformed hash is ignored instead of breaking authentication', async () => {
+  const dataDir = await mkdtemp(path.join(tmpdir(), 'audioroad-auth-'));
+  try {
+    const store = new ApiKeyStore({ dataDir });
+    await store.load();
+    const { key } = await store.create('broadcaster', 'good');
+    await store.writeQueue;
+
+    const file = path.join(dataDir, 'api-keys.json');
+    const data = JSON.parse(await readFile(file, 'utf8'));
+    data.keys.unshift(
+      { id: 'short', label: 'truncated', role: 'admin', hash: 'abc123', createdAt: new Date().toISOString() },
+      { id: 'not-hex', label: 'not hex', role: 'admin', hash: 'Z'.repeat(64), createdAt: new Date().toISOString() }
+    );
+    await writeFile(file, JSON.stringify(data));
+
+    warnings.length = 0;
+    await store.load();
+    assert.deepEqual(store.keys.map(entry => entry.label), ['good']);
+    assert.equal(warnings.length, 2);  // One per key dropped
+    assert.match(warnings[0], /short/);
+    assert.equal(store.authenticate(key).role, 'broadcaster');
+    assert.equal(store.authenticate('ark_not-a-key'), null);
+  } finally {
+    await rm(dataDir, { recursive: true, force: true });
+  }
+});
+
+test('a stored hash in uppercase hex still authenticates', async () => {
+  const dataDir = await mkdtemp(path.join(tmpdir(), 'audioroad-auth-'));
+  try {
+    const key = 'ark_written-by-another-tool';
+    const hash = createHash('sha256').update(key).digest('hex').toUpperCase();
+    await writeFile(path.join(dataDir, 'api-keys.json'), JSON.stringify({
+      keys: [{ id: 'upper', label: 'uppercase', role: 'control', hash, createdAt: new Date().toISOString() }]
+    }));
+
+    const store = new ApiKeyStore({ dataDir });
+    await store.load();
+    assert.equal(store.authenticate(key).role, 'control');
+  } finally {
+    await rm(dataDir, { recursive: true, force: true });
+  }
+});
+
+test('authenticate skips a malformed hash that got into memory', () => {
+  const store = new ApiKeyStore({ dataDir: tmpdir() });
+  store.keys = [{ id: 'bad', label: '', role: 'admin', hash: 'abcd' }];
+  assert.equal(store.authenticate('anything'), null);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Fake FFmpeg first on PATH - a "short" input plays for a moment and ends
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+process.env.PATH = `${fixtures}${path.delimiter}${process.env.PATH}`;
+
+console.log = () => {};
+
+const { AutoDJ } = await import('../autoDJ.js');
+
+// AutoDJ's own `once` option hides EventEmitter#once
+const nextEvent = (autoDJ, event) => new Promise(resolve => autoDJ.on(event, resolve));
+
+const hlsServer = {
+  processAudio() {},
+  mixer: { source: () => ({ length: 0 }), flush() {} }
+};
+
+test('removing the last track on air goes quiet until tracks are added', async () => {
+  const track = { id: 'a', title: 'Short Track', file: '/tmp/short-track.m4a' };
+  const autoDJ = new AutoDJ(hlsServer, { playlist: [track], gap: 0 });
+  await autoDJ.start();
+  assert.equal(autoDJ.isPlaying(), true);
+
+  autoDJ.setPlaylist([]);
+  await nextEvent(autoDJ, 'ended');
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(autoDJ.isPlaying(), false);
+  assert.equal(autoDJ.ffmpeg, null);
+
+  const started = nextEvent(autoDJ, 'track');
+  autoDJ.setPlaylist([track]);
+  await started;
+  assert.equal(autoDJ.isPlaying(), true);
+
+  await autoDJ.stop();
+});
@@ -0,0 +1,237 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Fake FFmpeg first on PATH; short fades, deadlines and grace so the handoffs run quickly
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+process.env.PATH = `${fixtures}${path.delimiter}${process.env.PATH}`;
+Object.assign(process.env, {
+  MIXER_FADE: '0.05',
+  HANDOFF_TIMEOUT: '0.3',
+  LIVE_DISCONNECT_GRACE: '0.2',
+  ICECAST_FORMATS: '',
+  DVR_WINDOW: '0',
+  RECORDING_ENABLED: 'false',
+  HLS_RENDITIONS: '128'
+});
+
+// The channel narrates every step - keep the test output to the results
+console.log = () => {};
+console.warn = () => {};
+
+const { Channel } = await import('../channel.js');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+let dir;
+let channel;
+let tracks;
+let states;
+
+beforeEach(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), 'audioroad-test-'));
+  process.env.DATA_DIR = path.join(dir, 'data');
+  process.env.HLS_STREAM_PATH = path.join(dir, 'hls');
+  const file = path.join(dir, 'track.m4a');
+  await writeFile(file, '');
+
+  channel = new Channel({ id: 'test' }, { gainCache: null, mediaLibrary: null, authenticate: () => null });
+  await channel.start();
+  channel.autoDJ.setPlaylist([{ id: 'a', title: 'Track A', file }, { id: 'b', title: 'Track B', file }]);
+  await channel.autoDJ.start();
+  tracks = 0;
+  channel.autoDJ.on('track', () => tracks++);
+  states = [];
+  channel.onAir.on('change', change => states.push(change.to));
+});
+
+afterEach(async () => {
+  await channel.stop();
+  await rm(dir, { recursive: true, force: true });
+});
+
+test('starts on Auto DJ', () => {
+  assert.equal(channel.onAir.state, 'AUTODJ');
+  assert.equal(channel.autoDJ.isPlaying(), true);
+  assert.equal(channel.getStatus().onAir.state, 'AUTODJ');
+});
+
+test('live-start fades through GOING_LIVE to LIVE and stops the Auto DJ decoder', async () => {
+  const decoder = channel.autoDJ.ffmpeg;
+  const started = channel.liveStart({ title: 'Morning Show' });
+  await wait(0);
+  assert.equal(channel.onAir.state, 'GOING_LIVE');
+  assert.equal(channel.autoDJ.isPlaying(), true);  // Still fading out
+
+  await started;
+  assert.equal(channel.onAir.state, 'LIVE');
+  assert.equal(channel.autoDJ.isPlaying(), false);
+  assert.equal(channel.autoDJ.liveModeActive, true);
+  assert.notEqual(decoder.signalCode, null);  // The fake decoder really exited
+  assert.equal(channel.getSource(), 'live');
+});
+
+test('live-stop hands back through ENDING to AUTODJ, resuming Auto DJ once', async () => {
+  await channel.liveStart({ title: 'Morning Show' });
+  const before = tracks;
+
+  const results = await Promise.all([channel.liveStop(), channel.liveStop(), channel.liveStop()]);
+  assert.deepEqual(results, [true, false, false]);
+  assert.deepEqual(states, ['GOING_LIVE', 'LIVE', 'ENDING', 'AUTODJ']);
+  assert.equal(channel.autoDJ.isPlaying(), true);
+  assert.equal(channel.autoDJ.liveModeActive, false);
+  assert.equal(tracks, before + 1);  // Resumed once, not once per live-stop
+});
+
+test('live-stop sent during the fade waits for it, then ends the show', async () => {
+  const started = channel.liveStart({ title: 'Short Show' });
+  const stopped = channel.liveStop();
+  await Promise.all([started, stopped]);
+
+  assert.deepEqual(states, ['GOING_LIVE', 'LIVE', 'ENDING', 'AUTODJ']);
+  assert.equal(channel.autoDJ.isPlaying(), true);
+  assert.equal(channel.hlsServer.liveMode, false);
+});
+
+test('live-stop with no show on air does nothing', async () => {
+  assert.equal(await channel.liveStop(), false);
+  assert.deepEqual(states, []);
+  assert.equal(tracks, 0);
+});
+
+test('dead air puts fallback on air and live audio takes it back', async () => {
+  await channel.liveStart({ title: 'Call-in' });
+  channel.deadAirMonitor.emit('dead-air', { reason: 'silence', silentFor: 10 });
+  await channel.onAir.run(() => {});
+  assert.equal(channel.onAir.state, 'FALLBACK');
+  assert.equal(channel.autoDJ.isPlaying(), true);
+
+  channel.deadAirMonitor.emit('recovered', { deadFor: 12 });
+  await channel.onAir.run(() => {});
+  assert.equal(channel.onAir.state, 'LIVE');
+  assert.equal(channel.autoDJ.isPlaying(), false);
+  assert.equal(channel.autoDJ.liveModeActive, true);
+
+  // A second dead-air alert while the first is being handled only switches once
+  channel.deadAirMonitor.emit('dead-air', { reason: 'silence', silentFor: 10 });
+  channel.deadAirMonitor.emit('dead-air', { reason: 'silence', silentFor: 11 });
+  await channel.onAir.run(() => {});
+  assert.deepEqual(states, ['GOING_LIVE', 'LIVE', 'FALLBACK', 'LIVE', 'FALLBACK']);
+});
+
+test('a broadcaster that drops without live-stop ends the show after the grace period', async () => {
+  const stopped = [];
+  channel.on('live-stopped', show => stopped.push(show));
+  await channel.liveStart({ title: 'Dropped' }, { socket: 's1', key: 'k1' });
+
+  assert.equal(channel.broadcasterLost('someone-else'), false);
+  assert.equal(channel.broadcasterLost('s1'), true);
+  assert.equal(channel.onAir.state, 'LIVE');
+
+  await wait(200 + 50 * 2 + 100);
+  assert.equal(channel.onAir.state, 'AUTODJ');
+  assert.equal(channel.autoDJ.isPlaying(), true);
+  assert.equal(stopped.length, 1);
+  assert.equal(stopped[0].reason, 'broadcaster disconnected');
+});
+
+test('a broadcaster that reconnects in time keeps the show on air', async () => {
+  await channel.liveStart({ title: 'Flaky Wi-Fi' }, { socket: 's1', key: 'k1' });
+  channel.broadcasterLost('s1');
+  assert.equal(channel.broadcasterBack({ socket: 's2', key: 'other-key' }), false);
+  assert.equal(channel.broadcasterBack({ socket: 's2', key: 'k1' }), true);
+
+  await wait(400);
+  assert.equal(channel.onAir.state, 'LIVE');
+  // The new socket is now the one that ends the show if it drops
+  assert.equal(channel.broadcasterLost('s1'), false);
+  assert.equal(channel.broadcasterLost('s2'), true);
+});
+
+test('a player that will not stop is cut off and marked as a discontinuity', async () => {
+  const timeouts = [];
+  channel.onAir.on('timeout', info => timeouts.push(info));
+  const { autoDJ } = channel;
+  const stop = autoDJ.stop.bind(autoDJ);
+  autoDJ.stop = () => new Promise(() => {});
+
+  await channel.liveStart({ title: 'Stuck' });
+  assert.equal(channel.onAir.state, 'LIVE');
+  assert.deepEqual(timeouts, [{ state: 'GOING_LIVE', step: 'Stop Auto DJ' }]);
+  await wait(20);
+  assert.deepEqual(channel.hlsServer.discontinuities, [0]);
+
+  autoDJ.stop = stop;
+});
+
+test('an Auto DJ that will not start does not leave the channel stuck ending', async () => {
+  await channel.liveStart({ title: 'Last Show' });
+  const { autoDJ } = channel;
+  autoDJ.start = () => new Promise(() => {});
+
+  assert.equal(await channel.liveStop(), true);
+  assert.equal(channel.onAir.state, 'AUTODJ');
+
+  // ...and the next show can still go live
+  await channel.liveStart({ title: 'Next Show' });
+  assert.equal(channel.onAir.state, 'LIVE');
+});
+
+test('a break that fails to end does not leave the channel stuck going live', async () => {
+  const { insertions } = channel;
+  const abort = insertions.abort.bind(insertions);
+  insertions.abort = () => Promise.reject(new Error('break player wedged'));
+
+  await channel.liveStart({ title: 'Unlucky' });
+  assert.equal(channel.onAir.state, 'LIVE');
+  assert.equal(channel.autoDJ.isPlaying(), false);
+
+  assert.equal(await channel.liveStop(), true);
+  assert.equal(channel.onAir.state, 'AUTODJ');
+
+  insertions.abort = abort;
+});
+
+test('a live-started listener that throws still leaves the show on air and endable', async () => {
+  channel.on('live-started', () => {
+    throw new Error('listener bug');
+  });
+
+  await assert.rejects(channel.liveStart({ title: 'Noisy' }), /listener bug/);
+  assert.equal(channel.onAir.state, 'LIVE');
+  assert.equal(channel.deadAirMonitor.active, true);
+
+  assert.equal(await channel.liveStop(), true);
+  assert.equal(channel.onAir.state, 'AUTODJ');
+  assert.equal(channel.autoDJ.isPlaying(), true);
+});
+
+test('a live-stopped listener that throws still hands back to a playing Auto DJ', async () => {
+  await channel.liveStart({ title: 'Noisy' });
+  channel.on('live-stopped', () => {
+    throw new Error('listener bug');
+  });
+
+  await assert.rejects(channel.liveStop(), /listener bug/);
+  assert.equal(channel.onAir.state, 'AUTODJ');
+  assert.equal(channel.autoDJ.liveModeActive, false);
+  assert.equal(channel.autoDJ.isPlaying(), true);
+});
+
+test('forcing fallback reports whether fallback audio really went on air', async () => {
+  await channel.liveStart({ title: 'Bad Line' });
+  assert.equal(await channel.forceFallback(true), true);
+  assert.equal(channel.onAir.state, 'FALLBACK');
+  assert.equal(await channel.forceFallback(false), true);
+  assert.equal(channel.onAir.state, 'LIVE');
+
+  // Nothing left to cover with - the show stays on air and the caller hears about it
+  channel.autoDJ.setPlaylist([]);
+  assert.equal(await channel.forceFallback(true), false);
+  assert.equal(channel.onAir.state, 'LIVE');
+  assert.equal(channel.fallbackForced, false);
+  assert.equal(channel.hlsServer.fallbackActive, false);
+});
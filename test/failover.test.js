@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { ChannelStore } from '../channelStore.js';
+import { FailoverManager } from '../failover.js';
+
+console.log = () => {};
+
+test('the standby adds and removes channels to match the active instance', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'audioroad-test-'));
+  try {
+    const store = new ChannelStore({ dataDir: dir });
+    await store.load();
+    await store.create({ id: 'old-event', name: 'Old Event' });
+
+    // What server.js does with the store's events
+    const channels = new Map([['main', { id: 'main' }], ['old-event', { id: 'old-event' }]]);
+    store.on('create', definition => channels.set(definition.id, { id: definition.id }));
+    store.on('delete', definition => channels.delete(definition.id));
+
+    // The active instance has since deleted old-event and created music
+    const activeStore = new ChannelStore({ dataDir: path.join(dir, 'active') });
+    activeStore.channels = [{ id: 'music', name: 'Music Only', createdAt: '2026-01-01T00:00:00.000Z' }];
+    const heartbeat = await new FailoverManager(new Map(), { store: activeStore }).getHeartbeat();
+
+    const standby = new FailoverManager(channels, { store, role: 'standby', peerUrl: 'http://peer' });
+    standby.replicated.set('old-event', { sequence: 41, discontinuities: [] });
+    await standby.syncChannels(heartbeat);
+
+    assert.deepEqual([...channels.keys()], ['main', 'music']);
+    assert.deepEqual(store.list().map(c => c.id), ['music']);
+    assert.equal(standby.replicated.has('old-event'), false);
+    const saved = JSON.parse(await readFile(path.join(dir, 'channels.json'), 'utf8'));
+    assert.equal(saved.channels[0].createdAt, '2026-01-01T00:00:00.000Z');
+
+    // Nothing changed - nothing emitted
+    let events = 0;
+    store.on('create', () => events++);
+    store.on('delete', () => events++);
+    await standby.syncChannels(heartbeat);
+    await standby.syncChannels({});  // A peer that doesn't send its channels
+    assert.equal(events, 0);
+    assert.deepEqual([...channels.keys()], ['main', 'music']);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('the standby picks up a channel whose definition changed on the active instance', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'audioroad-test-'));
+  try {
+    const store = new ChannelStore({ dataDir: dir });
+    await store.load();
+    const created = await store.create({ id: 'music', name: 'Music Only', renditions: '64,128' });
+
+    // What server.js does: rebuild the channel from its new definition
+    const channels = new Map([['music', { id: 'music', definition: created }]]);
+    store.on('update', definition => channels.set(definition.id, { id: definition.id, definition }));
+
+    const standby = new FailoverManager(channels, { store, role: 'standby', peerUrl: 'http://peer' });
+    standby.replicated.set('music', { sequence: 41, discontinuities: [] });
+    const changed = { ...created, name: 'Music All Night', renditions: '64,128,256' };
+    await standby.syncChannels({ definitions: [changed] });
+
+    assert.deepEqual(channels.get('music').definition, changed);
+    assert.deepEqual(store.get('music'), changed);
+    assert.equal(standby.replicated.has('music'), true);  // Still takes over where the peer left off
+    const saved = JSON.parse(await readFile(path.join(dir, 'channels.json'), 'utf8'));
+    assert.equal(saved.channels[0].name, 'Music All Night');
+
+    let updates = 0;
+    store.on('update', () => updates++);
+    await standby.syncChannels({ definitions: [{ ...changed }] });
+    assert.equal(updates, 0);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,30 @@
+// Serves an Express app on a free local port for the tests in one file.
+// `configure(app)` mounts the routers under test; requests go through fetch.
+
+import { before, after } from 'node:test';
+import express from 'express';
+
+export function serveApp(configure) {
+  let server;
+  let base;
+
+  before(async () => {
+    const app = express();
+    configure(app);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const request = (path, options) => fetch(`${base}${path}`, options);
+  return {
+    request,
+    postJson: (path, body) => request(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    })
+  };
+}
@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateHeaderValue } from 'http';
+import { IcecastStream } from '../icecastStream.js';
+
+test('any station name or description can be sent as ICY headers', () => {
+  const stream = new IcecastStream({}, {
+    name: 'Радио Ночь 🌙',
+    description: 'Late night\r\nX-Injected: yes\tcall-ins',
+    genre: 'Talk'
+  });
+  const headers = stream.headers(true);
+
+  for (const [name, value] of Object.entries(headers)) {
+    assert.doesNotThrow(() => validateHeaderValue(name, value), name);
+  }
+  // Players read the bytes as UTF-8
+  assert.equal(Buffer.from(headers['icy-name'], 'latin1').toString('utf8'), 'Радио Ночь 🌙');
+  assert.equal(headers['icy-description'], 'Late night X-Injected: yes call-ins');
+  assert.equal(headers['icy-genre'], 'Talk');
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ListenerStats } from '../listenerStats.js';
+
+const listeningSeconds = stats =>
+  Number(stats.getMetrics().match(/^audioroad_listening_seconds_total (\d+)$/m)[1]);
+
+test('listening time never goes down when a session ends', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+  const stats = new ListenerStats({ sessionTimeout: 30_000 });
+  const req = { ip: '10.0.0.1', headers: { 'user-agent': 'VLC/3.0.18' } };
+
+  stats.record(req, 'segment');
+  t.mock.timers.tick(60_000);
+  stats.record(req, 'segment');
+  const playing = listeningSeconds(stats);
+  assert.equal(playing, 60);
+
+  // Gone quiet: still counted up to the last request, then credited as-is
+  t.mock.timers.tick(20_000);
+  assert.equal(listeningSeconds(stats), playing);
+  t.mock.timers.tick(20_000);
+  stats.sweep();
+  assert.equal(stats.current().length, 0);
+  assert.equal(listeningSeconds(stats), playing);
+  assert.equal(stats.getStats().totals.listeningSeconds, playing);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createMediaRouter } from '../mediaApi.js';
+import { serveApp } from './fixtures/http.js';
+
+console.error = () => {};
+
+const added = [];
+const library = {
+  get: id => (id === 'm1' ? { id: 'm1', title: 'Uploaded Song', duration: 180 } : null)
+};
+const channels = new Map([['main', {
+  playlistStore: {
+    add: async (track, position, playlist) => {
+      added.push({ track, position, playlist });
+      return { id: `t${added.length}`, ...track };
+    }
+  }
+}]]);
+
+const http = serveApp((app) => {
+  app.use(express.json());
+  app.use('/api', createMediaRouter({ library, channels, gainCache: null, auth: (req, res, next) => next() }));
+});
+
+const addToPlaylist = body => http.postJson('/api/media/m1/playlist', body);
+
+test('adding media to a playlist checks the track like the playlist API', async () => {
+  for (const [body, message] of [
+    [{ weight: 'abc' }, /weight/],
+    [{ weight: -1 }, /weight/],
+    [{ gain: 45 }, /gain/],
+    [{ artwork: 'javascript:alert(1)' }, /artwork/],
+    [{ position: 'top' }, /position/]
+  ]) {
+    const res = await addToPlaylist(body);
+    assert.equal(res.status, 400, JSON.stringify(body));
+    assert.match((await res.json()).error, message);
+  }
+  assert.equal(added.length, 0);
+});
+
+test('adding media to a playlist takes the library title and valid settings', async () => {
+  const res = await addToPlaylist({ weight: 2, gain: -3, artwork: 'https://example.com/a.jpg', position: 0 });
+  assert.equal(res.status, 201);
+  assert.deepEqual(added[0].track, {
+    title: 'Uploaded Song',
+    mediaId: 'm1',
+    duration: 180,
+    weight: 2,
+    gain: -3,
+    artwork: 'https://example.com/a.jpg',
+    host: undefined
+  });
+  assert.equal(added[0].position, 0);
+});
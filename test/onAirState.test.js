@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OnAirState } from '../onAirState.js';
+
+test('follows the allowed transitions and records them', () => {
+  const onAir = new OnAirState();
+  const changes = [];
+  onAir.on('change', change => changes.push(`${change.from}>${change.to}`));
+
+  onAir.transition('GOING_LIVE', 'live-start');
+  onAir.transition('LIVE', 'fade complete');
+  onAir.transition('FALLBACK', 'dead air');
+  onAir.transition('LIVE', 'live audio back');
+  onAir.transition('ENDING', 'live-stop');
+  onAir.transition('AUTODJ', 'handoff complete');
+
+  assert.deepEqual(changes, ['AUTODJ>GOING_LIVE', 'GOING_LIVE>LIVE', 'LIVE>FALLBACK', 'FALLBACK>LIVE', 'LIVE>ENDING', 'ENDING>AUTODJ']);
+  assert.equal(onAir.getStatus().state, 'AUTODJ');
+  assert.equal(onAir.getStatus().reason, 'handoff complete');
+  assert.equal(onAir.history.length, 6);
+});
+
+test('rejects transitions the table does not allow', () => {
+  const onAir = new OnAirState();
+  assert.throws(() => onAir.transition('LIVE', 'skipping the fade'), /AUTODJ -> LIVE/);
+  assert.throws(() => onAir.transition('ENDING', 'nothing to end'), /AUTODJ -> ENDING/);
+  onAir.transition('GOING_LIVE', 'live-start');
+  assert.throws(() => onAir.transition('ENDING', 'mid-fade'), /GOING_LIVE -> ENDING/);
+  assert.equal(onAir.state, 'GOING_LIVE');
+});
+
+test('runs handoffs one at a time, even after one fails', async () => {
+  const onAir = new OnAirState();
+  const order = [];
+  const first = onAir.run(async () => {
+    order.push('first:start');
+    await new Promise(resolve => setTimeout(resolve, 30));
+    order.push('first:end');
+    throw new Error('boom');
+  });
+  const second = onAir.run(async () => {
+    order.push('second');
+    return 'ok';
+  });
+
+  await assert.rejects(first, /boom/);
+  assert.equal(await second, 'ok');
+  assert.deepEqual(order, ['first:start', 'first:end', 'second']);
+});
+
+test('gives up on a step that overruns its deadline', async () => {
+  const onAir = new OnAirState({ stepTimeout: 0.05 });
+  const timeouts = [];
+  onAir.on('timeout', info => timeouts.push(info));
+
+  assert.equal(await onAir.step('Quick', Promise.resolve()), true);
+  assert.equal(await onAir.step('Stuck', new Promise(() => {})), false);
+  assert.equal(await onAir.step('Broken', Promise.reject(new Error('no'))), false);
+  assert.deepEqual(timeouts, [{ state: 'AUTODJ', step: 'Stuck' }]);
+});
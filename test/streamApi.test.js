@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStreamRouter } from '../streamApi.js';
+import { UrlSigner } from '../signedUrls.js';
+import { serveApp } from './fixtures/http.js';
+
+const signer = new UrlSigner({ secret: 'test-secret', ttl: 600 });
+const channel = {
+  id: 'main',
+  access: 'signed',
+  encryption: {
+    key: () => Buffer.alloc(16, 7),
+    addKeyTags: playlist => playlist
+  },
+  hlsServer: {
+    getMasterPlaylist: async () => '#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=128000\nlive/128k/playlist.m3u8\n',
+    getSegment: async () => Buffer.alloc(188),
+    defaultRendition: { name: '128k' }
+  },
+  icecastStreams: {},
+  nowPlaying: { get: () => ({ current: null }) }
+};
+
+const http = serveApp(app => app.use(createStreamRouter({ channel, listenerStats: { record() {} }, signer })));
+
+const status = async path => (await http.request(path)).status;
+
+test('signed channels reject unsigned URLs', async () => {
+  assert.equal(await status('/live.m3u8'), 403);
+  assert.equal(await status('/live/128k/segment-00001.ts'), 403);
+  assert.equal(await status('/live/128k/key-deadbeef-1.key'), 403);
+});
+
+test('changing the case of an unsigned URL does not get around the signature', async () => {
+  for (const path of ['/LIVE.m3u8', '/Live.M3U8', '/LIVE/128k/segment-00001.ts', '/LIVE/128k/key-deadbeef-1.key', '/DVR.m3u8', '/Segment-00001.ts']) {
+    assert.ok([403, 404].includes(await status(path)), path);
+  }
+});
+
+test('a signed URL only works with the casing it was signed for', async () => {
+  assert.equal(await status(signer.signUrl('/live.m3u8')), 200);
+  const signed = new URL(signer.signUrl('/live.m3u8'), 'http://localhost');
+  assert.notEqual(await status(`/LIVE.m3u8${signed.search}`), 200);
+});
+
+test('now playing stays public', async () => {
+  assert.equal(await status('/now-playing'), 200);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { WebhookStore, WebhookDispatcher } from '../webhooks.js';
+
+console.log = () => {};
+console.warn = () => {};
+console.error = () => {};
+
+const good = { id: 'good', url: 'https://example.com/hook', events: ['*'], format: 'json', secret: 'whsec_x' };
+
+test('hand-edited webhooks that would break delivery are ignored on load', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'audioroad-test-'));
+  try {
+    await writeFile(path.join(dir, 'webhooks.json'), JSON.stringify({
+      webhooks: [
+        good,
+        { ...good, id: 'no-events', events: undefined },
+        { ...good, id: 'bad-events', events: 'live.started' },
+        { ...good, id: 'no-secret', secret: 42 },
+        { ...good, id: 'bad-url', url: 'not a url' },
+        null
+      ]
+    }));
+    const store = new WebhookStore({ dataDir: dir });
+    await store.load();
+    assert.deepEqual(store.webhooks.map(hook => hook.id), ['good']);
+    assert.deepEqual(store.subscribers('live.started').map(hook => hook.id), ['good']);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('a delivery that throws before sending is recorded as failed, not left to reject', async () => {
+  const store = new WebhookStore();
+  store.webhooks = [{ ...good, secret: null }];  // signPayload throws
+  const dispatcher = new WebhookDispatcher(store, new EventEmitter());
+
+  const delivery = dispatcher.deliver(store.webhooks[0], { id: 'e1', type: 'ping', channel: null, data: {} });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts.length, 1);
+  assert.equal(dispatcher.timers.size, 0);
+});
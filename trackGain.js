@@ -0,0 +1,182 @@
+/**
+ * Track Gain Cache
+ * ReplayGain-style loudness analysis for Auto DJ files
+ *
+ * Each track is measured once (EBU R128 integrated loudness and true peak)
+ * and the gain needed to reach the station target is cached in
+ * $DATA_DIR/track-gain.json next to the playlists, so Auto DJ can play every
+ * file at the same level without re-analysing it.
+ */
+
+import { spawn } from 'child_process';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const MAX_BOOST = 12;  // dB - don't drag very quiet files all the way up
+const MAX_CUT = -20;   // dB
+
+/**
+ * Measure a file with FFmpeg's loudnorm analysis pass
+ * Resolves { lufs, truePeak } (LUFS / dBTP)
+ */
+export function analyzeLoudness(file) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn('ffmpeg', [
+      '-hide_banner', '-nostats',
+      '-i', file,
+      '-vn',
+      '-af', 'loudnorm=print_format=json',
+      '-f', 'null', '-'
+    ]);
+    let output = '';
+    ffmpeg.stderr.on('data', (data) => {
+      output = (output + data.toString()).slice(-4096);  // The JSON summary comes last
+    });
+    ffmpeg.on('error', reject);
+    ffmpeg.on('close', (code) => {
+      const match = output.match(/\{[^{}]*"input_i"[^{}]*\}/);
+      if (code !== 0 || !match) {
+        return reject(new Error(`loudness analysis failed (exit code ${code})`));
+      }
+      const stats = JSON.parse(match[0]);
+      const lufs = parseFloat(stats.input_i);
+      const truePeak = parseFloat(stats.input_tp);
+      if (!Number.isFinite(lufs)) {
+        return reject(new Error('file is silent'));
+      }
+      resolve({ lufs, truePeak: Number.isFinite(truePeak) ? truePeak : 0 });
+    });
+  });
+}
+
+export class TrackGainCache {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || process.env.DATA_DIR || './data';
+    this.filePath = path.join(this.dataDir, 'track-gain.json');
+    this.target = parseFloat(options.target ?? process.env.AUDIO_TARGET_LUFS ?? '-16');       // LUFS
+    this.peakCeiling = parseFloat(options.peakCeiling ?? process.env.AUDIO_TRUE_PEAK ?? '-1.5');  // dBTP
+    this.enabled = (options.enabled ?? process.env.TRACK_GAIN ?? 'true') !== 'false';
+    this.entries = {};            // key -> { lufs, truePeak, gain, analyzedAt }
+    this.pending = new Map();     // key -> analysis promise
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      this.entries = data.tracks || {};
+      // Measurements don't change with the target - only the gain does
+      if (data.target !== this.target) {
+        for (const entry of Object.values(this.entries)) {
+          entry.gain = this.computeGain(entry.lufs, entry.truePeak);
+        }
+        await this.save();
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ [GAIN] Failed to read ${this.filePath}:`, error.message);
+      }
+      this.entries = {};
+    }
+    console.log(`🔊 [GAIN] ${Object.keys(this.entries).length} analysed track(s), target ${this.target} LUFS${this.enabled ? '' : ' (disabled)'}`);
+  }
+
+  save() {
+    const snapshot = JSON.stringify({ target: this.target, tracks: this.entries }, null, 2);
+    this.writeQueue = this.writeQueue.then(async () => {
+      await fs.mkdir(this.dataDir, { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tmpPath, snapshot);
+      await fs.rename(tmpPath, this.filePath);
+    }).catch((error) => {
+      console.error('❌ [GAIN] Failed to save track gain cache:', error);
+    });
+    return this.writeQueue;
+  }
+
+  /**
+   * Gain to reach the target without pushing peaks past the ceiling
+   */
+  computeGain(lufs, truePeak) {
+    const gain = Math.max(MAX_CUT, Math.min(this.target - lufs, this.peakCeiling - truePeak, MAX_BOOST));
+    return Math.round(gain * 10) / 10;
+  }
+
+  /**
+   * Same audio, same key - whichever playlist the track is in
+   */
+  key(track) {
+    if (track.mediaId) {
+      return `media:${track.mediaId}`;
+    }
+    return track.file || track.url || null;
+  }
+
+  get(track) {
+    const key = this.key(track);
+    return key ? this.entries[key] || null : null;
+  }
+
+  /**
+   * Gain (dB) to play a track at: a manual `gain` on the track wins,
+   * then the analysed value, else unity until it has been measured
+   */
+  gainFor(track) {
+    if (track.gain != null) {
+      return Number(track.gain);
+    }
+    if (!this.enabled) {
+      return 0;
+    }
+    const entry = this.get(track);
+    return entry ? entry.gain : 0;
+  }
+
+  /**
+   * Measure a downloaded/local file unless we already have it cached
+   */
+  async analyze(track, file) {
+    const key = this.key(track);
+    if (!this.enabled || !key || !file || this.entries[key]) {
+      return this.get(track);
+    }
+    if (this.pending.has(key)) {
+      return this.pending.get(key);
+    }
+
+    const analysis = (async () => {
+      try {
+        console.log(`🔊 [GAIN] Analysing "${track.title}"...`);
+        const { lufs, truePeak } = await analyzeLoudness(file);
+        const entry = {
+          lufs: Math.round(lufs * 10) / 10,
+          truePeak: Math.round(truePeak * 10) / 10,
+          gain: this.computeGain(lufs, truePeak),
+          analyzedAt: new Date().toISOString()
+        };
+        this.entries[key] = entry;
+        await this.save();
+        console.log(`🔊 [GAIN] "${track.title}": ${entry.lufs} LUFS -> ${entry.gain >= 0 ? '+' : ''}${entry.gain} dB`);
+        return entry;
+      } catch (error) {
+        console.error(`❌ [GAIN] Could not analyse "${track.title}":`, error.message);
+        return null;
+      } finally {
+        this.pending.delete(key);
+      }
+    })();
+    this.pending.set(key, analysis);
+    return analysis;
+  }
+
+  /**
+   * Drop cached entries (e.g. a recording that was deleted)
+   */
+  async forget(track) {
+    const key = this.key(track);
+    if (key && this.entries[key]) {
+      delete this.entries[key];
+      await this.save();
+    }
+  }
+}
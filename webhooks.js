@@ -0,0 +1,361 @@
+/**
+ * Webhooks
+ * Outbound HTTP notifications for event bus events
+ *
+ * Webhooks are saved to $DATA_DIR/webhooks.json, each with the event types
+ * it wants ('*' = all) and its own signing secret. A delivery POSTs the event
+ * as JSON with:
+ *   X-AudioRoad-Event      - the event type
+ *   X-AudioRoad-Delivery   - delivery id (the same across retries)
+ *   X-AudioRoad-Timestamp  - unix seconds of this attempt
+ *   X-AudioRoad-Signature  - sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the secret>
+ * Webhooks with format 'slack' get a Slack incoming-webhook message instead.
+ *
+ * Failed deliveries (network errors, timeouts, 408, 429 and 5xx) are retried
+ * with exponential backoff; other 4xx responses fail straight away. The last
+ * WEBHOOK_LOG_SIZE deliveries are kept in memory for the delivery log.
+ */
+
+import { createHmac, randomBytes, randomUUID } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import axios from 'axios';
+
+export const WEBHOOK_FORMATS = ['json', 'slack'];
+
+const RETRYABLE_STATUS = (status) => status === 408 || status === 429 || status >= 500;
+
+/**
+ * Signature header value for a request body sent at `timestamp` (unix seconds)
+ */
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * One line for Slack (and logs)
+ */
+export function summarize(event) {
+  const { type, channel, data } = event;
+  const where = channel ? ` [${channel}]` : '';
+  switch (type) {
+    case 'live.started':
+      return `🔴${where} Live: ${data.title}${data.host ? ` with ${data.host}` : ''}${data.source && data.source !== 'socket' ? ` (${data.source})` : ''}`;
+    case 'live.stopped':
+      return `⏹️${where} Live show ended: ${data.title}${data.seconds != null ? ` after ${Math.round(data.seconds / 60)} min` : ''}${data.reason && data.reason !== 'live-stop' ? ` (${data.reason})` : ''}`;
+    case 'track.changed':
+      return `🎵${where} Now playing: ${data.host ? `${data.host} - ` : ''}${data.title}`;
+    case 'encoder.failed':
+      return `💥${where} ${data.process} failed (${data.reason}) - restarting in ${Math.round(data.restartIn / 1000)}s (failure ${data.consecutiveFailures} in a row)`;
+    case 'encoder.restarted':
+      return `🔁${where} ${data.process} restarted (restart #${data.restarts})`;
+    case 'dead-air.started':
+      return `🚨${where} Dead air: ${data.reason === 'no-audio' ? 'no live audio' : 'silence'} for ${data.silentFor}s - fallback on air`;
+    case 'dead-air.recovered':
+      return `✅${where} Live audio is back after ${data.deadFor}s`;
+    case 'listeners.peak':
+      return `📈 New listener peak: ${data.listeners}`;
+    case 'ping':
+      return '👋 Webhook test from the streaming server';
+    default:
+      return `${type}${where}`;
+  }
+}
+
+/**
+ * What's wrong with a webhook read from webhooks.json (e.g. hand-edited), or null
+ */
+function storedProblem(hook) {
+  if (!hook || typeof hook.id !== 'string' || !hook.id) {
+    return 'no id';
+  }
+  let url;
+  try {
+    url = new URL(hook.url);
+  } catch (error) {
+    return 'url is not an absolute URL';
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return 'url is not http(s)';
+  }
+  if (!Array.isArray(hook.events) || hook.events.length === 0 || !hook.events.every(type => typeof type === 'string')) {
+    return 'events is not a list of event types';
+  }
+  if (typeof hook.secret !== 'string' || !hook.secret) {
+    return 'secret is missing';
+  }
+  if (hook.format != null && !WEBHOOK_FORMATS.includes(hook.format)) {
+    return `format is not one of ${WEBHOOK_FORMATS.join(', ')}`;
+  }
+  return null;
+}
+
+export class WebhookStore {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || process.env.DATA_DIR || './data';
+    this.filePath = path.join(this.dataDir, 'webhooks.json');
+    this.webhooks = [];   // { id, url, events, format, description, secret, createdAt }
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      this.webhooks = (Array.isArray(data.webhooks) ? data.webhooks : []).filter((hook) => {
+        const problem = storedProblem(hook);
+        if (problem) {
+          console.warn(`⚠️ [WEBHOOKS] Ignoring webhook ${hook && hook.id ? hook.id : '(no id)'} in ${this.filePath}: ${problem}`);
+        }
+        return !problem;
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ [WEBHOOKS] Failed to read ${this.filePath}:`, error.message);
+      }
+      this.webhooks = [];
+    }
+    console.log(`🪝 [WEBHOOKS] ${this.webhooks.length} webhook(s)`);
+    return this.webhooks;
+  }
+
+  save() {
+    const snapshot = JSON.stringify({ webhooks: this.webhooks }, null, 2);
+    this.writeQueue = this.writeQueue.then(async () => {
+      await fs.mkdir(this.dataDir, { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tmpPath, snapshot, { mode: 0o600 });  // Holds the signing secrets
+      await fs.rename(tmpPath, this.filePath);
+    }).catch((error) => {
+      console.error('❌ [WEBHOOKS] Failed to save webhooks:', error);
+    });
+    return this.writeQueue;
+  }
+
+  /**
+   * Webhooks without their secrets
+   */
+  list() {
+    return this.webhooks.map(({ secret, ...hook }) => hook);
+  }
+
+  get(id) {
+    return this.webhooks.find(hook => hook.id === id) || null;
+  }
+
+  /**
+   * Webhooks that want an event of this type
+   */
+  subscribers(type) {
+    return this.webhooks.filter(hook => hook.events.includes('*') || hook.events.includes(type));
+  }
+
+  /**
+   * Add a webhook - the result includes the secret (only shown this once)
+   */
+  async create({ url, events = ['*'], format = 'json', description = '' }) {
+    const hook = {
+      id: randomUUID(),
+      url,
+      events,
+      format,
+      description,
+      secret: `whsec_${randomBytes(24).toString('base64url')}`,
+      createdAt: new Date().toISOString()
+    };
+    this.webhooks.push(hook);
+    await this.save();
+    console.log(`🪝 [WEBHOOKS] Added ${hook.id} -> ${new URL(url).host} (${events.join(', ')})`);
+    return hook;
+  }
+
+  async remove(id) {
+    const hook = this.get(id);
+    if (!hook) {
+      return null;
+    }
+    this.webhooks = this.webhooks.filter(h => h.id !== id);
+    await this.save();
+    console.log(`🪝 [WEBHOOKS] Removed ${id}`);
+    const { secret, ...removed } = hook;
+    return removed;
+  }
+}
+
+export class WebhookDispatcher {
+  constructor(store, bus, options = {}) {
+    this.store = store;
+    this.bus = bus;
+    this.maxAttempts = parseInt(options.maxAttempts ?? process.env.WEBHOOK_MAX_ATTEMPTS ?? '6', 10);
+    this.retryDelay = parseFloat(options.retryDelay ?? process.env.WEBHOOK_RETRY_DELAY ?? '10') * 1000;  // First retry (ms), doubling
+    this.maxRetryDelay = 15 * 60 * 1000;
+    this.timeout = parseFloat(options.timeout ?? process.env.WEBHOOK_TIMEOUT ?? '10') * 1000;
+    this.logSize = parseInt(options.logSize ?? process.env.WEBHOOK_LOG_SIZE ?? '200', 10);
+    this.deliveries = [];   // Most recent first
+    this.timers = new Map();  // delivery id -> pending retry
+    this.listener = (event) => this.dispatch(event);
+  }
+
+  start() {
+    this.bus.on('event', this.listener);
+  }
+
+  stop() {
+    this.bus.off('event', this.listener);
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+
+  dispatch(event) {
+    for (const hook of this.store.subscribers(event.type)) {
+      this.deliver(hook, event);
+    }
+  }
+
+  /**
+   * Start delivering an event to one webhook - returns the delivery record
+   */
+  deliver(hook, event) {
+    const delivery = {
+      id: randomUUID(),
+      webhookId: hook.id,
+      url: hook.url,
+      event,
+      status: 'pending',    // 'pending', 'retrying', 'delivered' or 'failed'
+      attempts: [],         // { at, status, error, ms }
+      nextAttemptAt: null,
+      createdAt: new Date().toISOString()
+    };
+    this.deliveries.unshift(delivery);
+    for (const dropped of this.deliveries.splice(this.logSize)) {
+      this.cancel(dropped);
+    }
+    this.attempt(delivery);
+    return delivery;
+  }
+
+  cancel(delivery) {
+    const timer = this.timers.get(delivery.id);
+    if (timer) {
+      clearTimeout(timer);
+      this.timers.delete(delivery.id);
+    }
+  }
+
+  request(hook, delivery) {
+    const { event } = delivery;
+    if (hook.format === 'slack') {
+      return { body: JSON.stringify({ text: summarize(event) }), headers: {} };
+    }
+    const body = JSON.stringify(event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    return {
+      body,
+      headers: {
+        'X-AudioRoad-Event': event.type,
+        'X-AudioRoad-Delivery': delivery.id,
+        'X-AudioRoad-Timestamp': String(timestamp),
+        'X-AudioRoad-Signature': signPayload(hook.secret, timestamp, body)
+      }
+    };
+  }
+
+  /**
+   * One try at a delivery. Started without waiting (by deliver, redeliver and
+   * retry timers), so it never rejects - anything unexpected fails the delivery.
+   */
+  async attempt(delivery) {
+    try {
+      await this.send(delivery);
+    } catch (error) {
+      this.cancel(delivery);
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      delivery.attempts.push({ at: new Date().toISOString(), status: null, error: error.message, ms: 0 });
+      console.error(`❌ [WEBHOOKS] ${delivery.event.type} to webhook ${delivery.webhookId} failed: ${error.message}`);
+    }
+  }
+
+  async send(delivery) {
+    this.timers.delete(delivery.id);
+    const hook = this.store.get(delivery.webhookId);
+    if (!hook) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      delivery.attempts.push({ at: new Date().toISOString(), status: null, error: 'Webhook was removed', ms: 0 });
+      return;
+    }
+
+    const { body, headers } = this.request(hook, delivery);
+    const started = Date.now();
+    const record = { at: new Date(started).toISOString(), status: null, error: null, ms: 0 };
+    let retry = false;
+    try {
+      const response = await axios.post(hook.url, body, {
+        headers: { 'Content-Type': 'application/json', 'User-Agent': 'AudioRoad-Webhooks/1.0', ...headers },
+        timeout: this.timeout,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+      record.status = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        record.error = `HTTP ${response.status}`;
+        retry = RETRYABLE_STATUS(response.status);
+      }
+    } catch (error) {
+      record.error = error.code || error.message;
+      retry = true;
+    }
+    record.ms = Date.now() - started;
+    delivery.attempts.push(record);
+
+    if (!record.error) {
+      delivery.status = 'delivered';
+      delivery.nextAttemptAt = null;
+      return;
+    }
+    if (retry && delivery.attempts.length < this.maxAttempts) {
+      const delay = Math.min(this.maxRetryDelay, this.retryDelay * 2 ** (delivery.attempts.length - 1));
+      delivery.status = 'retrying';
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      this.timers.set(delivery.id, setTimeout(() => this.attempt(delivery), delay));
+      console.warn(`⚠️ [WEBHOOKS] ${delivery.event.type} to ${new URL(hook.url).host} failed (${record.error}) - retrying in ${Math.round(delay / 1000)}s`);
+      return;
+    }
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    console.error(`❌ [WEBHOOKS] ${delivery.event.type} to ${new URL(hook.url).host} failed after ${delivery.attempts.length} attempt(s): ${record.error}`);
+  }
+
+  /**
+   * Send a delivery again now (keeps its attempt history). Returns it, or null if unknown.
+   */
+  redeliver(id) {
+    const delivery = this.deliveries.find(d => d.id === id);
+    if (!delivery) {
+      return null;
+    }
+    this.cancel(delivery);
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = null;
+    this.attempt(delivery);
+    return delivery;
+  }
+
+  /**
+   * A test event for one webhook
+   */
+  ping(hook) {
+    return this.deliver(hook, { id: randomUUID(), type: 'ping', channel: null, timestamp: new Date().toISOString(), data: {} });
+  }
+
+  /**
+   * Delivery log, newest first: { webhook?, status?, limit? }
+   */
+  list({ webhook = null, status = null, limit = 50 } = {}) {
+    return this.deliveries
+      .filter(d => (!webhook || d.webhookId === webhook) && (!status || d.status === status))
+      .slice(0, limit);
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * Webhooks API
+ * Manage outbound webhooks and inspect their delivery log (admin key)
+ */
+
+import express from 'express';
+import { EVENT_TYPES } from './eventBus.js';
+import { WEBHOOK_FORMATS } from './webhooks.js';
+
+const DELIVERY_STATUSES = ['pending', 'retrying', 'delivered', 'failed'];
+
+function validateWebhook(body) {
+  if (!body || typeof body.url !== 'string') {
+    return 'url is required';
+  }
+  let url;
+  try {
+    url = new URL(body.url);
+  } catch (error) {
+    return 'url must be an absolute http(s) URL';
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return 'url must be an absolute http(s) URL';
+  }
+  if (body.events != null) {
+    if (!Array.isArray(body.events) || body.events.length === 0) {
+      return 'events must be a non-empty list of event types (or ["*"])';
+    }
+    const unknown = body.events.filter(type => type !== '*' && !EVENT_TYPES[type]);
+    if (unknown.length > 0) {
+      return `Unknown event type(s): ${unknown.join(', ')} - use ${Object.keys(EVENT_TYPES).join(', ')} or *`;
+    }
+  }
+  if (body.format != null && !WEBHOOK_FORMATS.includes(body.format)) {
+    return `format must be one of ${WEBHOOK_FORMATS.join(', ')}`;
+  }
+  if (body.description != null && typeof body.description !== 'string') {
+    return 'description must be a string';
+  }
+  return null;
+}
+
+export function createWebhooksRouter({ store, dispatcher, auth }) {
+  const router = express.Router();
+  router.use('/webhooks', auth);
+
+  router.get('/webhooks', (req, res) => {
+    res.json({ webhooks: store.list(), events: EVENT_TYPES });
+  });
+
+  router.post('/webhooks', async (req, res) => {
+    const error = validateWebhook(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { url, events, format, description } = req.body;
+    try {
+      // The secret is only returned here - the receiver needs it to check signatures
+      res.status(201).json(await store.create({ url, events: events || undefined, format: format || undefined, description: description || '' }));
+    } catch (err) {
+      console.error('❌ [API] Error creating webhook:', err);
+      res.status(500).json({ error: 'Failed to create webhook' });
+    }
+  });
+
+  // ?webhook=<id>&status=failed&limit=50
+  router.get('/webhooks/deliveries', (req, res) => {
+    const { webhook, status } = req.query;
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${DELIVERY_STATUSES.join(', ')}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '50', 10) || 50, 1), dispatcher.logSize);
+    res.json({ deliveries: dispatcher.list({ webhook: webhook || null, status: status || null, limit }) });
+  });
+
+  router.post('/webhooks/deliveries/:id/retry', (req, res) => {
+    const delivery = dispatcher.redeliver(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found (the log only keeps recent ones)' });
+    }
+    res.status(202).json(delivery);
+  });
+
+  router.post('/webhooks/:id/test', (req, res) => {
+    const hook = store.get(req.params.id);
+    if (!hook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.status(202).json(dispatcher.ping(hook));
+  });
+
+  router.delete('/webhooks/:id', async (req, res) => {
+    try {
+      const removed = await store.remove(req.params.id);
+      if (!removed) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+      res.json(removed);
+    } catch (err) {
+      console.error('❌ [API] Error removing webhook:', err);
+      res.status(500).json({ error: 'Failed to remove webhook' });
+    }
+  });
+
+  return router;
+}